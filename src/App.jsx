@@ -4,15 +4,23 @@ import { QueryClientProvider } from "@tanstack/react-query";
 import { queryClient } from "./lib/queryClient";
 import { Toaster } from "@/components/ui/toaster";
 import { AuthProvider } from "@/contexts/auth-context";
+import { ChainProvider } from "@/contexts/chain-context";
 import { Web3Provider } from "@/contexts/web3-context";
 import SafariDebug from "@/components/safari-debug";
+import { WalletUnlockDialog } from "@/components/wallet-unlock-dialog";
 import Home from "@/pages/home";
+import History from "@/pages/history";
+import Settings from "@/pages/settings";
+import Treasury from "@/pages/treasury";
 import NotFound from "@/pages/not-found";
 
 function Router() {
   return (
     <Switch>
       <Route path="/" component={Home} />
+      <Route path="/history" component={History} />
+      <Route path="/treasury" component={Treasury} />
+      <Route path="/settings" component={Settings} />
       <Route component={NotFound} />
     </Switch>
   );
@@ -22,11 +30,14 @@ function App() {
   return (
     <QueryClientProvider client={queryClient}>
       <AuthProvider>
-        <Web3Provider>
-          <Toaster />
-          <Router />
-          <SafariDebug />
-        </Web3Provider>
+        <ChainProvider>
+          <Web3Provider>
+            <Toaster />
+            <WalletUnlockDialog />
+            <Router />
+            <SafariDebug />
+          </Web3Provider>
+        </ChainProvider>
       </AuthProvider>
     </QueryClientProvider>
   );
@@ -0,0 +1,223 @@
+import React, { useState } from "react";
+import { AlertTriangle, BookUser, Pencil, Trash2 } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import { useAddressBook } from "@/hooks/use-address-book";
+
+const EMPTY_CONTACT = { _id: null, label: "", address: "" };
+
+const CHANGE_LABELS = {
+  create: "Adding",
+  update: "Updating",
+  delete: "Deleting",
+};
+
+export function AddressBookCard() {
+  const [formData, setFormData] = useState(EMPTY_CONTACT);
+  const {
+    contacts,
+    isLoading,
+    saveContact,
+    removeContact,
+    failedChanges,
+    dismissFailedChanges,
+  } = useAddressBook();
+  const { toast } = useToast();
+
+  const isEditing = !!formData._id;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    saveContact.mutate(formData, {
+      onSuccess: (contact) => {
+        toast({
+          title: isEditing ? "Contact updated" : "Contact saved",
+          description: `${contact.label} is in your address book.`,
+        });
+        setFormData(EMPTY_CONTACT);
+      },
+      onError: (error) => {
+        toast({
+          title: "Could not save contact",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const handleRemove = (contact) => {
+    removeContact.mutate(contact._id, {
+      onSuccess: () => {
+        if (formData._id === contact._id) setFormData(EMPTY_CONTACT);
+      },
+      onError: (error) => {
+        toast({
+          title: "Could not delete contact",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <BookUser className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Address Book
+            </h3>
+            <p className="text-sm text-gray-600">
+              Saved recipients for your transfers
+            </p>
+          </div>
+        </div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="grid sm:grid-cols-[1fr_2fr_auto] gap-3 items-end mb-4"
+        >
+          <div>
+            <Label
+              htmlFor="contactLabel"
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              Label
+            </Label>
+            <Input
+              id="contactLabel"
+              placeholder="Alice"
+              value={formData.label}
+              onChange={(e) =>
+                setFormData((prev) => ({ ...prev, label: e.target.value }))
+              }
+              disabled={saveContact.isPending}
+            />
+          </div>
+          <div>
+            <Label
+              htmlFor="contactAddress"
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              Address
+            </Label>
+            <Input
+              id="contactAddress"
+              placeholder="0x..."
+              value={formData.address}
+              onChange={(e) =>
+                setFormData((prev) => ({ ...prev, address: e.target.value }))
+              }
+              className="font-mono text-sm"
+              disabled={saveContact.isPending}
+            />
+          </div>
+          <div className="flex space-x-2">
+            <Button
+              type="submit"
+              disabled={
+                saveContact.isPending || !formData.label || !formData.address
+              }
+            >
+              {saveContact.isPending && (
+                <LoadingSpinner className="mr-2" size="sm" />
+              )}
+              {isEditing ? "Update" : "Save"}
+            </Button>
+            {isEditing && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setFormData(EMPTY_CONTACT)}
+              >
+                Cancel
+              </Button>
+            )}
+          </div>
+        </form>
+
+        {failedChanges.length > 0 && (
+          <div className="py-2 px-3 rounded-lg border border-amber-200 bg-amber-50 space-y-2 mb-4">
+            <p className="text-xs font-medium text-amber-900">
+              Some changes made offline could not be saved
+            </p>
+            {failedChanges.map((change, index) => (
+              <p
+                key={`${change.id}-${index}`}
+                className="flex items-start text-xs text-amber-800"
+              >
+                <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+                {CHANGE_LABELS[change.type]} {change.data?.label || "a contact"}
+                : {change.error}
+              </p>
+            ))}
+            <Button variant="outline" size="sm" onClick={dismissFailedChanges}>
+              Dismiss
+            </Button>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner />
+          </div>
+        ) : contacts.length === 0 ? (
+          <p className="text-sm text-gray-500">No saved contacts yet</p>
+        ) : (
+          <ul className="space-y-2">
+            {contacts.map((contact) => (
+              <li
+                key={contact._id}
+                className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {contact.label}
+                  </p>
+                  <p className="text-xs text-gray-500 font-mono truncate">
+                    {contact.address}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() =>
+                      setFormData({
+                        _id: contact._id,
+                        label: contact.label,
+                        address: contact.address,
+                      })
+                    }
+                    className="h-7 w-7 p-0 text-gray-400 hover:text-primary"
+                  >
+                    <Pencil className="w-3 h-3" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleRemove(contact)}
+                    disabled={removeContact.isPending}
+                    className="h-7 w-7 p-0 text-gray-400 hover:text-red-600"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
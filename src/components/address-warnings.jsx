@@ -0,0 +1,30 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+
+// Recipient warnings the user has to acknowledge before sending
+export function AddressWarnings({ warnings, acknowledged, onAcknowledge }) {
+  if (!warnings.length) return null;
+
+  return (
+    <div className="py-2 px-3 rounded-lg border border-amber-200 bg-amber-50 space-y-2">
+      {warnings.map((warning) => (
+        <p
+          key={warning.type}
+          className="flex items-start text-xs text-amber-800"
+        >
+          <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+          {warning.message}
+        </p>
+      ))}
+      <label className="flex items-center text-xs text-amber-900 font-medium">
+        <input
+          type="checkbox"
+          checked={acknowledged}
+          onChange={(e) => onAcknowledge(e.target.checked)}
+          className="mr-2"
+        />
+        I've checked this address and want to continue
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React from "react";
+import { Link, useLocation } from "wouter";
+import { Box } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { Button } from "@/components/ui/button";
+import { NetworkSelector } from "@/components/network-selector";
+import { cn } from "@/lib/utils";
+
+const NAV_LINKS = [
+  { href: "/", label: "Wallet" },
+  { href: "/history", label: "History" },
+  { href: "/treasury", label: "Treasury" },
+  { href: "/settings", label: "Settings" },
+];
+
+export function AppHeader() {
+  const { user, logout } = useAuth();
+  const [location] = useLocation();
+
+  return (
+    <header className="bg-white shadow-sm border-b border-gray-200">
+      <div className="max-w-6xl mx-auto px-4 py-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <div className="w-8 h-8 bg-primary rounded-lg flex items-center justify-center">
+              <Box className="text-white text-sm w-4 h-4" />
+            </div>
+            <h1 className="text-xl font-semibold text-gray-900">
+              ZeroDev dApp
+            </h1>
+            {user && (
+              <nav className="flex items-center space-x-1 pl-3">
+                {NAV_LINKS.map((link) => (
+                  <Link
+                    key={link.href}
+                    href={link.href}
+                    className={cn(
+                      "px-3 py-1 rounded-md text-sm font-medium",
+                      location === link.href
+                        ? "bg-gray-100 text-gray-900"
+                        : "text-gray-500 hover:text-gray-900"
+                    )}
+                  >
+                    {link.label}
+                  </Link>
+                ))}
+              </nav>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="text-sm text-gray-500 font-medium hidden sm:block">
+              Gasless Transactions Demo
+            </div>
+            <NetworkSelector />
+            {user && (
+              <Button variant="outline" size="sm" onClick={logout}>
+                Logout
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+    </header>
+  );
+}
@@ -1,35 +1,126 @@
 import React, { useState } from "react";
+import { formatUnits, parseEther, parseUnits } from "ethers";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { LoadingSpinner } from "@/components/ui/loading-spinner";
-import { Zap } from "lucide-react";
+import { Zap, Plus, ArrowUp, ArrowDown, Trash2 } from "lucide-react";
 import { useWeb3 } from "@/contexts/web3-context";
 import { useAuth } from "@/contexts/auth-context";
 import { useToast } from "@/hooks/use-toast";
-import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { apiRequest } from "@/lib/queryClient";
+import { BALANCES_QUERY_KEY } from "@/hooks/use-balances";
+import { TRANSACTIONS_QUERY_KEY } from "@/hooks/use-transaction-history";
+import { BatchBuilder } from "@/lib/batch-builder";
+import {
+  mayHaveBeenSubmitted,
+  runTransactionLifecycle,
+} from "@/lib/transaction-lifecycle";
+import { PreflightError } from "@/lib/preflight";
+import { SpendingLimitError } from "@/lib/spending-limits";
+import { TransactionStatus } from "@/components/transaction-status";
+import { RecipientInput } from "@/components/recipient-input";
+import { AddressWarnings } from "@/components/address-warnings";
+import { useAddressWarnings } from "@/hooks/use-address-warnings";
+import { TransactionReviewDialog } from "@/components/transaction-review-dialog";
+import { useRecipientResolution } from "@/hooks/use-ens";
+import { resolveRecipient } from "@/lib/ens";
+import { TokenSelector } from "@/components/token-selector";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { getDefaultToken, isNativeToken } from "@/lib/tokens";
+
+const OPERATION_TYPES = [
+  { value: "transfer", label: "Transfer token" },
+  { value: "approve", label: "Approve token" },
+  // Labelled with the active chain's native symbol
+  { value: "native", label: "Send" },
+  { value: "call", label: "Contract call" },
+];
+
+const emptyForm = {
+  type: "transfer",
+  address: "",
+  amount: "",
+  abiFragment: "",
+  args: "",
+};
+
+const truncateAddress = (address) =>
+  address ? `${address.slice(0, 6)}...${address.slice(-4)}` : "";
 
 export function BatchedActionsCard() {
-  const [formData, setFormData] = useState({
-    recipient: "",
-    amount: "",
-  });
+  const [formData, setFormData] = useState(emptyForm);
+  const [batch, setBatch] = useState(() => new BatchBuilder());
+  const [lifecycle, setLifecycle] = useState(null);
+  const [warningsAcknowledged, setWarningsAcknowledged] = useState(false);
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [token, setToken] = useState(null);
 
-  const { sendBatchTransaction, isConnected } = useWeb3();
+  const {
+    sendBatchOperations,
+    quoteBatchOperations,
+    preflightBatchOperations,
+    trackUserOperation,
+    chain,
+    isConnected,
+  } = useWeb3();
   const { user } = useAuth();
   const { toast } = useToast();
+  const resolution = useRecipientResolution(formData.address);
+  const { tokens, getToken } = useTokenRegistry();
+
+  // Transfers and approvals are ERC-20 only; native sends have their own type
+  const erc20Tokens = tokens.filter((item) => !isNativeToken(item));
+  const selectedToken =
+    (token && getToken(token.address)) || getDefaultToken(erc20Tokens);
+
+  // Gas quote for the review dialog
+  const batchQuery = useQuery({
+    queryKey: [
+      "sponsorship",
+      chain.chainId,
+      "batch",
+      batch.operations.map((operation) => operation.id),
+    ],
+    queryFn: () => quoteBatchOperations(batch.build()),
+    enabled: isReviewing && !batch.isEmpty(),
+    staleTime: 1000 * 30,
+    retry: false,
+  });
+  // Contract calls and approvals legitimately target token contracts
+  const addressWarnings = useAddressWarnings(resolution.address, {
+    allowTokenContract: formData.type === "call" || formData.type === "approve",
+  });
   const queryClient = useQueryClient();
 
   const batchMutation = useMutation({
-    mutationFn: async (data) => {
+    mutationFn: async (builder) => {
       if (!user) throw new Error("User not authenticated");
       if (!isConnected)
         throw new Error(
           "Smart account not connected. Please wait for wallet creation to complete."
         );
 
+      const preview = builder.preview();
+
+      // Total transferred by the batch, for the summary record. Amounts are
+      // only summed when every transfer moves the same token.
+      const transferred = builder.operations.filter(
+        (operation) => operation.kind === "transfer"
+      );
+      const transferredSymbols = [
+        ...new Set(transferred.map((operation) => operation.symbol)),
+      ];
+      const totalAmount = transferred.reduce(
+        (total, operation) => total + operation.amount,
+        0n
+      );
+
+      // Block before recording anything if the batch can't succeed
+      await preflightBatchOperations(builder.build());
+
       // Create transaction record
       const transactionResponse = await apiRequest(
         "POST",
@@ -37,17 +128,21 @@ export function BatchedActionsCard() {
         {
           userId: user.id,
           type: "batch",
-          recipient: data.recipient,
-          amount: data.amount,
-          tokenSymbol: "USDC",
-          batchOperations: [
-            { type: "approve", amount: data.amount },
-            {
-              type: "transfer",
-              recipient: data.recipient,
-              amount: data.amount,
-            },
-          ],
+          recipient: preview[0].recipient || preview[0].to,
+          amount:
+            transferredSymbols.length === 1
+              ? formatUnits(totalAmount, transferred[0].decimals)
+              : "0",
+          tokenSymbol: transferredSymbols.join(", "),
+          chainId: chain.chainId,
+          batchOperations: preview.map((operation) => ({
+            type: operation.kind,
+            to: operation.to,
+            recipient: operation.recipient,
+            amount: operation.amount,
+            tokenSymbol: operation.symbol,
+            description: operation.description,
+          })),
         }
       );
 
@@ -58,58 +153,122 @@ export function BatchedActionsCard() {
         throw new Error("Failed to create transaction record");
       }
 
-      try {
-        // Send batch transaction
-        const txHash = await sendBatchTransaction(data.recipient, data.amount);
-
-        // Update transaction with success
-        await apiRequest("PATCH", `/api/transactions/${transaction._id}`, {
-          status: "completed",
-          hash: txHash,
-        });
+      const { userOpHash, txHash } = await runTransactionLifecycle({
+        transactionId: transaction._id,
+        submit: () => sendBatchOperations(builder.build()),
+        track: trackUserOperation,
+        onStatusChange: (update) =>
+          setLifecycle((prev) => ({ ...prev, ...update })),
+      });
 
-        return { transaction, txHash };
-      } catch (error) {
-        // Update transaction with failure
-        if (transaction && transaction._id) {
-          await apiRequest("PATCH", `/api/transactions/${transaction._id}`, {
-            status: "failed",
-            error:
-              error instanceof Error
-                ? error.message
-                : "Batch transaction failed",
-          });
-        }
-        throw error;
-      }
+      return { transaction, userOpHash, txHash };
     },
-    onSuccess: () => {
+    onSuccess: (_, builder) => {
       toast({
         title: "Batch operation successful!",
-        description: "Your approve + transfer batch has been completed.",
+        description: `Your batch of ${builder.length} operations has been confirmed on-chain.`,
       });
-      setFormData({ recipient: "", amount: "" });
+      setBatch(new BatchBuilder());
       queryClient.invalidateQueries({
         queryKey: ["/api/users", user?.id, "transactions"],
       });
+      queryClient.invalidateQueries({ queryKey: [TRANSACTIONS_QUERY_KEY] });
+      queryClient.invalidateQueries({ queryKey: [BALANCES_QUERY_KEY] });
     },
     onError: (error) => {
       toast({
-        title: "Batch operation failed",
-        description:
-          error instanceof Error ? error.message : "Please try again.",
+        title:
+          error instanceof SpendingLimitError
+            ? "Blocked by spending limit"
+            : error instanceof PreflightError
+            ? "Batch blocked"
+            : mayHaveBeenSubmitted(error)
+            ? "Batch status unknown"
+            : "Batch operation failed",
+        description: mayHaveBeenSubmitted(error)
+          ? "It may still go through. Check your history before sending it again."
+          : error instanceof Error
+          ? error.message
+          : "Please try again.",
         variant: "destructive",
       });
+      queryClient.invalidateQueries({ queryKey: [TRANSACTIONS_QUERY_KEY] });
     },
   });
 
+  const handleAddOperation = async () => {
+    const { type, address, amount, abiFragment, args } = formData;
+
+    if (!address || (type !== "call" && !amount)) {
+      toast({
+        title: "Invalid input",
+        description: "Please enter both address and amount.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (addressWarnings.length > 0 && !warningsAcknowledged) {
+      toast({
+        title: "Check the address",
+        description: "Review the address warnings before adding it.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      // Hex address or ENS name
+      const { address: target } = await resolveRecipient(address);
+      const next = batch.clone();
+
+      if (type === "native") {
+        next.addNativeTransfer(target, parseEther(amount), {
+          symbol: chain.nativeSymbol,
+        });
+      } else if (type === "call") {
+        const parsedArgs = args.trim() ? JSON.parse(args) : [];
+        if (!Array.isArray(parsedArgs)) {
+          throw new Error("Arguments must be a JSON array");
+        }
+        next.addCall(target, abiFragment, parsedArgs, {
+          value: amount ? parseEther(amount) : 0n,
+        });
+      } else {
+        if (!selectedToken) {
+          throw new Error("Select a token first");
+        }
+        const { address: tokenAddress, symbol, decimals } = selectedToken;
+        const tokenOptions = { symbol, decimals };
+        const baseAmount = parseUnits(amount, decimals);
+
+        if (type === "approve") {
+          next.addApprove(tokenAddress, target, baseAmount, tokenOptions);
+        } else {
+          next.addTransfer(tokenAddress, target, baseAmount, tokenOptions);
+        }
+      }
+
+      setBatch(next);
+      setFormData((prev) => ({ ...emptyForm, type: prev.type }));
+      setWarningsAcknowledged(false);
+    } catch (error) {
+      toast({
+        title: "Could not add operation",
+        description:
+          error instanceof Error ? error.message : "Please check the inputs.",
+        variant: "destructive",
+      });
+    }
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
 
-    if (!formData.recipient || !formData.amount) {
+    if (batch.isEmpty()) {
       toast({
-        title: "Invalid input",
-        description: "Please enter both recipient address and amount.",
+        title: "Empty batch",
+        description: "Add at least one operation before executing.",
         variant: "destructive",
       });
       return;
@@ -124,13 +283,26 @@ export function BatchedActionsCard() {
       return;
     }
 
-    batchMutation.mutate(formData);
+    // Batches are always reviewed: every decoded operation is shown
+    setIsReviewing(true);
+  };
+
+  const handleConfirmReview = () => {
+    setIsReviewing(false);
+    setLifecycle(null);
+    batchMutation.mutate(batch);
   };
 
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
+    if (field === "address") setWarningsAcknowledged(false);
   };
 
+  const preview = batch.preview();
+  const isCall = formData.type === "call";
+  const isTokenOperation =
+    formData.type === "transfer" || formData.type === "approve";
+
   return (
     <Card className="shadow-card">
       <CardContent className="p-6">
@@ -143,57 +315,240 @@ export function BatchedActionsCard() {
               Batch Operations
             </h3>
             <p className="text-sm text-gray-600">
-              Approve + Transfer in one transaction
+              Combine several calls into one transaction
             </p>
           </div>
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <Label
+              htmlFor="batchOperationType"
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              Operation
+            </Label>
+            <select
+              id="batchOperationType"
+              value={formData.type}
+              onChange={(e) => handleInputChange("type", e.target.value)}
+              className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+              disabled={batchMutation.isPending}
+            >
+              {OPERATION_TYPES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.value === "native"
+                    ? `${option.label} ${chain.nativeSymbol}`
+                    : option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isTokenOperation && (
+            <div>
+              <Label
+                htmlFor="batchToken"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Token
+              </Label>
+              <TokenSelector
+                id="batchToken"
+                value={selectedToken}
+                onChange={setToken}
+                filter={(item) => !isNativeToken(item)}
+                disabled={batchMutation.isPending}
+              />
+            </div>
+          )}
+
           <div>
             <Label
               htmlFor="batchRecipientAddress"
               className="text-sm font-medium text-gray-700 mb-2"
             >
-              Recipient Address
+              {isCall
+                ? "Contract Address"
+                : formData.type === "approve"
+                ? "Spender Address"
+                : "Recipient Address"}
             </Label>
-            <Input
+            <RecipientInput
               id="batchRecipientAddress"
-              type="text"
-              placeholder="0x..."
-              value={formData.recipient}
-              onChange={(e) => handleInputChange("recipient", e.target.value)}
-              className="font-mono text-sm"
+              value={formData.address}
+              onChange={(value) => handleInputChange("address", value)}
+              resolution={resolution}
               disabled={batchMutation.isPending}
             />
           </div>
 
+          <AddressWarnings
+            warnings={addressWarnings}
+            acknowledged={warningsAcknowledged}
+            onAcknowledge={setWarningsAcknowledged}
+          />
+
+          {isCall && (
+            <>
+              <div>
+                <Label
+                  htmlFor="batchAbiFragment"
+                  className="text-sm font-medium text-gray-700 mb-2"
+                >
+                  Function
+                </Label>
+                <Input
+                  id="batchAbiFragment"
+                  type="text"
+                  placeholder="function mint(address to, uint256 amount)"
+                  value={formData.abiFragment}
+                  onChange={(e) =>
+                    handleInputChange("abiFragment", e.target.value)
+                  }
+                  className="font-mono text-sm"
+                  disabled={batchMutation.isPending}
+                />
+              </div>
+              <div>
+                <Label
+                  htmlFor="batchArgs"
+                  className="text-sm font-medium text-gray-700 mb-2"
+                >
+                  Arguments (JSON array)
+                </Label>
+                <Input
+                  id="batchArgs"
+                  type="text"
+                  placeholder='["0x...", "1000"]'
+                  value={formData.args}
+                  onChange={(e) => handleInputChange("args", e.target.value)}
+                  className="font-mono text-sm"
+                  disabled={batchMutation.isPending}
+                />
+              </div>
+            </>
+          )}
+
           <div>
             <Label
               htmlFor="batchAmount"
               className="text-sm font-medium text-gray-700 mb-2"
             >
-              Amount (USDC)
+              {isCall ? "Value (optional)" : "Amount"}
             </Label>
             <div className="relative">
               <Input
                 id="batchAmount"
                 type="number"
                 placeholder="0.00"
-                step="0.01"
+                step="any"
                 min="0"
                 value={formData.amount}
                 onChange={(e) => handleInputChange("amount", e.target.value)}
                 disabled={batchMutation.isPending}
               />
               <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-                <span className="text-gray-500 text-sm font-medium">USDC</span>
+                <span className="text-gray-500 text-sm font-medium">
+                  {isTokenOperation
+                    ? selectedToken?.symbol
+                    : chain.nativeSymbol}
+                </span>
               </div>
             </div>
           </div>
 
+          <Button
+            type="button"
+            variant="outline"
+            onClick={handleAddOperation}
+            disabled={batchMutation.isPending}
+            className="w-full"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Operation
+          </Button>
+
+          {preview.length > 0 && (
+            <ol className="space-y-2">
+              {preview.map((operation) => (
+                <li
+                  key={operation.id}
+                  className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {operation.index + 1}. {operation.description}
+                    </p>
+                    <p className="text-xs text-gray-500 font-mono">
+                      {operation.recipient
+                        ? `to ${truncateAddress(operation.recipient)}`
+                        : `on ${truncateAddress(operation.to)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      onClick={() =>
+                        setBatch((prev) =>
+                          prev
+                            .clone()
+                            .move(operation.index, operation.index - 1)
+                        )
+                      }
+                      disabled={
+                        operation.index === 0 || batchMutation.isPending
+                      }
+                    >
+                      <ArrowUp className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0"
+                      onClick={() =>
+                        setBatch((prev) =>
+                          prev
+                            .clone()
+                            .move(operation.index, operation.index + 1)
+                        )
+                      }
+                      disabled={
+                        operation.index === preview.length - 1 ||
+                        batchMutation.isPending
+                      }
+                    >
+                      <ArrowDown className="w-3 h-3" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="h-7 w-7 p-0 text-gray-400 hover:text-red-600"
+                      onClick={() =>
+                        setBatch((prev) => prev.clone().remove(operation.id))
+                      }
+                      disabled={batchMutation.isPending}
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </Button>
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+
+          <TransactionStatus lifecycle={lifecycle} />
+
           <Button
             type="submit"
-            disabled={batchMutation.isPending || !isConnected}
+            disabled={
+              batchMutation.isPending || !isConnected || batch.isEmpty()
+            }
             className="w-full bg-accent hover:bg-accent-dark text-white font-medium"
           >
             {batchMutation.isPending ? (
@@ -204,10 +559,23 @@ export function BatchedActionsCard() {
             ) : !isConnected ? (
               "Connecting Wallet..."
             ) : (
-              "Execute Batch"
+              `Execute Batch (${batch.length})`
             )}
           </Button>
         </form>
+
+        <TransactionReviewDialog
+          open={isReviewing}
+          onOpenChange={setIsReviewing}
+          title="Review batch"
+          review={{ operations: preview }}
+          chain={chain}
+          quote={batchQuery.data}
+          isQuoting={batchQuery.isFetching}
+          quoteError={batchQuery.error}
+          onConfirm={handleConfirmReview}
+          allowSkipSetting={false}
+        />
       </CardContent>
     </Card>
   );
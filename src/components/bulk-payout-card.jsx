@@ -0,0 +1,544 @@
+import React, { useMemo, useState } from "react";
+import { formatUnits } from "ethers";
+import { AlertTriangle, FileUp, Users } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/hooks/use-toast";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { apiRequest } from "@/lib/queryClient";
+import { BALANCES_QUERY_KEY, useBalances } from "@/hooks/use-balances";
+import { TRANSACTIONS_QUERY_KEY } from "@/hooks/use-transaction-history";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { PreflightError } from "@/lib/preflight";
+import { SPENDING_LIMIT_KIND, SpendingLimitError } from "@/lib/spending-limits";
+import { formatTokenAmount } from "@/lib/erc20";
+import { getDefaultToken } from "@/lib/tokens";
+import { TRANSACTION_STATUS } from "@/lib/transaction-lifecycle";
+import {
+  MAX_PAYOUT_ROWS,
+  buildPayoutBatch,
+  chunkOperations,
+  getNativeGasFee,
+  mergeChunkQuotes,
+  parsePayoutCsv,
+  runPayout,
+  validatePayoutRows,
+} from "@/lib/bulk-payout";
+import { TransactionStatus } from "@/components/transaction-status";
+import { TransactionReviewDialog } from "@/components/transaction-review-dialog";
+
+// Back to CSV row shape, so failed rows can be validated and sent again
+const toPayoutRow = ({ line, address, amount, token, memo }) => ({
+  line,
+  address,
+  amount,
+  token: token.address || token.symbol,
+  memo,
+});
+
+const truncateAddress = (address) =>
+  /^0x[0-9a-fA-F]{40}$/.test(address)
+    ? `${address.slice(0, 6)}...${address.slice(-4)}`
+    : address || "—";
+
+// Pay many recipients from one CSV file (address,amount[,token,memo]). Rows
+// are validated before anything is sent; the payout runs as one batched
+// UserOperation, or several when it is too large for one.
+export function BulkPayoutCard() {
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState(null);
+  const [review, setReview] = useState(null);
+  const [isPreparing, setIsPreparing] = useState(false);
+  const [lifecycle, setLifecycle] = useState(null);
+  // Native gas the last prepared payout needs on top of its native total
+  const [nativeGasFee, setNativeGasFee] = useState(0n);
+  // { paidCount, unknownCount, failedRows } of a payout that stopped part-way
+  const [partialPayout, setPartialPayout] = useState(null);
+
+  const {
+    sendBatchOperations,
+    quoteBatchOperations,
+    preflightBatchOperations,
+    enforceSpendingLimits,
+    trackUserOperation,
+    chain,
+    isConnected,
+  } = useWeb3();
+  const { user } = useAuth();
+  const { tokens } = useTokenRegistry();
+  const { getContactLabel } = useAddressBook();
+  const balances = useBalances(user?.walletAddress);
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+
+  const defaultToken = getDefaultToken(tokens);
+  const validation = useMemo(
+    () =>
+      rows &&
+      validatePayoutRows(rows, {
+        tokens,
+        defaultToken,
+        ownAddress: user?.walletAddress,
+        balances: balances.data,
+        nativeGasFee,
+      }),
+    [
+      rows,
+      tokens,
+      defaultToken,
+      user?.walletAddress,
+      balances.data,
+      nativeGasFee,
+    ]
+  );
+
+  const payoutMutation = useMutation({
+    mutationFn: async ({ chunks, validRows }) => {
+      if (!user) throw new Error("User not authenticated");
+
+      // Chunks are checked one by one as they are sent, which would let a
+      // payout over the daily limit stop part-way; check the whole of it
+      await enforceSpendingLimits(
+        chunks.flatMap((chunk) => chunk.calls),
+        { kinds: [SPENDING_LIMIT_KIND.DAILY] }
+      );
+
+      // Child rows of the parent record, in file order
+      const chunkOf = new Map();
+      chunks.forEach((chunk, index) =>
+        chunk.operations.forEach((operation) =>
+          chunkOf.set(operation.id, index)
+        )
+      );
+      const operations = chunks.flatMap((chunk) => chunk.operations);
+      const payouts = validRows.map((row, index) => ({
+        type: operations[index].kind,
+        to: operations[index].to,
+        recipient: row.address,
+        recipientLabel: getContactLabel(row.address),
+        amount: row.amount,
+        tokenSymbol: row.token.symbol,
+        description: operations[index].description,
+        memo: row.memo,
+        chunk: chunkOf.get(operations[index].id),
+      }));
+      const symbols = [...new Set(payouts.map((payout) => payout.tokenSymbol))];
+      const total = validRows.reduce((sum, row) => sum + row.baseAmount, 0n);
+
+      const transactionResponse = await apiRequest(
+        "POST",
+        "/api/transactions",
+        {
+          userId: user.id,
+          type: "payout",
+          recipient: payouts[0].recipient,
+          recipientLabel: `${payouts.length} recipients`,
+          amount:
+            symbols.length === 1
+              ? formatUnits(total, validRows[0].token.decimals)
+              : "0",
+          tokenSymbol: symbols.join(", "),
+          chainId: chain.chainId,
+          paymasterMode: chunks[0].quote.paymasterMode,
+          batchOperations: payouts,
+        }
+      );
+
+      const transaction = transactionResponse.data;
+      if (!transaction || !transaction._id) {
+        throw new Error("Failed to create transaction record");
+      }
+
+      const records = await runPayout({
+        transactionId: transaction._id,
+        chunks,
+        payouts,
+        submit: (chunk) =>
+          sendBatchOperations(chunk.calls, {
+            paymasterMode: chunk.quote.paymasterMode,
+          }),
+        track: trackUserOperation,
+        onStatusChange: (update) =>
+          setLifecycle((prev) => ({ ...prev, ...update })),
+      });
+
+      return { transaction, records };
+    },
+    onSuccess: ({ records }) => {
+      toast({
+        title: "Payout confirmed!",
+        description: `${records.length} payments have been confirmed on-chain.`,
+      });
+      setRows(null);
+      setFileName("");
+      setPartialPayout(null);
+    },
+    onError: (error, { validRows }) => {
+      // Rows of confirmed chunks are paid and rows of a chunk that was sent
+      // but lost track of may still be; only failed rows may be sent again
+      const records = error?.records || [];
+      const paidCount = records.filter(
+        (record) => record.status === TRANSACTION_STATUS.CONFIRMED
+      ).length;
+      const unknownCount = records.filter(
+        (record) =>
+          record.status === TRANSACTION_STATUS.SUBMITTED ||
+          record.status === TRANSACTION_STATUS.INCLUDED
+      ).length;
+      if (paidCount > 0 || unknownCount > 0) {
+        setPartialPayout({
+          paidCount,
+          unknownCount,
+          failedRows: validRows
+            .filter(
+              (row, index) =>
+                records[index].status === TRANSACTION_STATUS.FAILED
+            )
+            .map(toPayoutRow),
+        });
+      }
+      toast({
+        title: "Payout failed",
+        description:
+          error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      });
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: ["/api/users", user?.id, "transactions"],
+      });
+      queryClient.invalidateQueries({ queryKey: [TRANSACTIONS_QUERY_KEY] });
+      queryClient.invalidateQueries({ queryKey: [BALANCES_QUERY_KEY] });
+    },
+  });
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setLifecycle(null);
+    setNativeGasFee(0n);
+    try {
+      setRows(parsePayoutCsv(await file.text()));
+      setFileName(file.name);
+      if (partialPayout) {
+        toast({
+          title: "Part of your last payout was already paid",
+          description: `${
+            partialPayout.paidCount + partialPayout.unknownCount
+          } payments went through or may still. Make sure this file doesn't pay them again.`,
+          variant: "destructive",
+        });
+      }
+    } catch (error) {
+      setRows(null);
+      setFileName("");
+      toast({
+        title: "Could not read CSV",
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  // Split into UserOperations, quote and simulate each one, then open the
+  // review dialog
+  const handleReview = async () => {
+    setIsPreparing(true);
+    try {
+      const validRows = validation.rows;
+      const builder = buildPayoutBatch(validRows);
+      const chunks = await chunkOperations(
+        builder.operations,
+        quoteBatchOperations
+      );
+      await enforceSpendingLimits(
+        chunks.flatMap((chunk) => chunk.calls),
+        { kinds: [SPENDING_LIMIT_KIND.DAILY] }
+      );
+      for (const chunk of chunks) {
+        await preflightBatchOperations(chunk.calls);
+      }
+
+      // Gas paid from the account comes out of the same native balance
+      const gasFee = getNativeGasFee(chunks);
+      setNativeGasFee(gasFee);
+      const withGas = validatePayoutRows(rows, {
+        tokens,
+        defaultToken,
+        ownAddress: user?.walletAddress,
+        balances: balances.data,
+        nativeGasFee: gasFee,
+      });
+      if (!withGas.isValid) {
+        toast({
+          title: "Not enough for gas",
+          description: `Gas isn't sponsored for this payout and your ${chain.nativeSymbol} balance doesn't cover it.`,
+          variant: "destructive",
+        });
+        return;
+      }
+
+      setReview({
+        chunks,
+        validRows,
+        operations: builder.preview(),
+        quote: mergeChunkQuotes(chunks),
+      });
+    } catch (error) {
+      toast({
+        title:
+          error instanceof SpendingLimitError
+            ? "Blocked by spending limit"
+            : error instanceof PreflightError
+            ? "Payout blocked"
+            : "Could not prepare payout",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setIsPreparing(false);
+    }
+  };
+
+  const handleConfirmReview = () => {
+    const { chunks, validRows } = review;
+    setReview(null);
+    setLifecycle(null);
+    payoutMutation.mutate({ chunks, validRows });
+  };
+
+  const handleRetryFailed = () => {
+    setRows(partialPayout.failedRows);
+    setFileName("Unpaid rows of the last payout");
+    setNativeGasFee(0n);
+    setLifecycle(null);
+  };
+
+  const isBusy = isPreparing || payoutMutation.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-accent rounded-lg flex items-center justify-center">
+            <Users className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Bulk Payout</h3>
+            <p className="text-sm text-gray-600">
+              Pay up to {MAX_PAYOUT_ROWS} recipients from a CSV file
+            </p>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <Label
+              htmlFor="payoutFile"
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              CSV file
+            </Label>
+            <Input
+              id="payoutFile"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              disabled={isBusy}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Columns: address, amount, token (optional, defaults to{" "}
+              {defaultToken?.symbol}), memo (optional)
+            </p>
+          </div>
+
+          {partialPayout && !payoutMutation.isPending && (
+            <div className="py-2 px-3 rounded-lg border border-amber-200 bg-amber-50 space-y-2">
+              <p className="flex items-start text-xs text-amber-800">
+                <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+                {partialPayout.paidCount} payments of the last payout were sent;{" "}
+                {partialPayout.unknownCount > 0 &&
+                  `${partialPayout.unknownCount} may still go through (check your history); `}
+                {partialPayout.failedRows.length} were not. Don't upload the
+                full file again.
+              </p>
+              <div className="flex space-x-2">
+                {partialPayout.failedRows.length > 0 && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={handleRetryFailed}
+                    disabled={isBusy}
+                  >
+                    Retry unpaid rows
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setPartialPayout(null)}
+                >
+                  Dismiss
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {validation && (
+            <>
+              <div className="flex items-center justify-between text-sm">
+                <span className="flex items-center text-gray-700">
+                  <FileUp className="w-4 h-4 mr-1" />
+                  {fileName}: {validation.rows.length} rows
+                </span>
+                {validation.errorCount > 0 && (
+                  <span className="text-red-600">
+                    {validation.errorCount} with errors
+                  </span>
+                )}
+              </div>
+
+              <div className="max-h-64 overflow-y-auto border border-gray-100 rounded-lg">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                    <tr>
+                      <th className="text-left font-medium px-2 py-1">Line</th>
+                      <th className="text-left font-medium px-2 py-1">
+                        Recipient
+                      </th>
+                      <th className="text-right font-medium px-2 py-1">
+                        Amount
+                      </th>
+                      <th className="text-left font-medium px-2 py-1">Memo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {validation.rows.map((row) => (
+                      <tr
+                        key={row.line}
+                        className={cn(
+                          "border-t border-gray-100",
+                          row.errors.length > 0 && "bg-red-50"
+                        )}
+                      >
+                        <td className="px-2 py-1 text-gray-500">{row.line}</td>
+                        <td className="px-2 py-1">
+                          <span className="font-mono" title={row.address}>
+                            {getContactLabel(row.address) ||
+                              truncateAddress(row.address)}
+                          </span>
+                          {row.errors.map((error) => (
+                            <p key={error} className="text-red-600">
+                              {error}
+                            </p>
+                          ))}
+                        </td>
+                        <td className="px-2 py-1 text-right whitespace-nowrap">
+                          {row.amount} {row.token?.symbol}
+                        </td>
+                        <td className="px-2 py-1 text-gray-500 truncate max-w-[8rem]">
+                          {row.memo}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {validation.totals.length > 0 && (
+                <ul className="text-sm space-y-1">
+                  {validation.totals.map(
+                    ({ token, total, gasFee, balance, insufficient }) => (
+                      <li
+                        key={token.address || "native"}
+                        className={cn(
+                          "flex justify-between",
+                          insufficient ? "text-red-600" : "text-gray-700"
+                        )}
+                      >
+                        <span>
+                          Total {formatTokenAmount(total, token.decimals)}{" "}
+                          {token.symbol}
+                          {gasFee > 0n &&
+                            ` + up to ${formatTokenAmount(
+                              gasFee,
+                              token.decimals
+                            )} gas`}
+                        </span>
+                        <span>
+                          {balance === null
+                            ? "Balance unknown"
+                            : `${
+                                insufficient ? "Only " : ""
+                              }${formatTokenAmount(balance, token.decimals)} ${
+                                token.symbol
+                              } available`}
+                        </span>
+                      </li>
+                    )
+                  )}
+                </ul>
+              )}
+            </>
+          )}
+
+          <TransactionStatus lifecycle={lifecycle} />
+          {payoutMutation.isPending &&
+            payoutMutation.variables.chunks.length > 1 &&
+            lifecycle?.chunk !== null && (
+              <p className="text-xs text-gray-500">
+                Sending part {lifecycle.chunk + 1} of{" "}
+                {payoutMutation.variables.chunks.length}
+              </p>
+            )}
+
+          <Button
+            type="button"
+            onClick={handleReview}
+            disabled={isBusy || !isConnected || !validation?.isValid}
+            className="w-full bg-accent hover:bg-accent-dark text-white font-medium"
+          >
+            {isBusy ? (
+              <>
+                <LoadingSpinner className="mr-2" size="sm" />
+                {isPreparing ? "Preparing Payout..." : "Sending Payout..."}
+              </>
+            ) : !isConnected ? (
+              "Connecting Wallet..."
+            ) : (
+              `Review Payout${validation ? ` (${validation.rows.length})` : ""}`
+            )}
+          </Button>
+        </div>
+
+        <TransactionReviewDialog
+          open={!!review}
+          onOpenChange={(open) => !open && setReview(null)}
+          title="Review payout"
+          review={
+            review && {
+              operations: review.operations,
+              chunkCount: review.chunks.length,
+            }
+          }
+          chain={chain}
+          quote={review?.quote}
+          isQuoting={false}
+          quoteError={null}
+          onConfirm={handleConfirmReview}
+          allowSkipSetting={false}
+        />
+      </CardContent>
+    </Card>
+  );
+}
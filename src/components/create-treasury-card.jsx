@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { Copy, Users } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useToast } from "@/hooks/use-toast";
+import { useTreasuries, useTreasuryOwnerAddress } from "@/hooks/use-treasuries";
+import {
+  TreasuryOwnersEditor,
+  emptyOwner,
+} from "@/components/treasury-owners-editor";
+
+// This device's owner address (what co-owners add) and a form creating a
+// treasury with weighted owners and an approval threshold
+export function CreateTreasuryCard() {
+  const [name, setName] = useState("");
+  const [owners, setOwners] = useState(null);
+  const [threshold, setThreshold] = useState(1);
+
+  const { chain, hasMultisigValidator } = useWeb3();
+  const { ownerAddress, createTreasury } = useTreasuries();
+  const revealOwnerAddress = useTreasuryOwnerAddress();
+  const { toast } = useToast();
+
+  // Start with this device as the first owner
+  const ownerRows = owners ?? [
+    { ...emptyOwner, address: ownerAddress || "", label: "Me" },
+  ];
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(ownerAddress);
+      toast({ title: "Owner address copied" });
+    } catch (error) {
+      toast({
+        title: "Copy failed",
+        description: "Could not copy address to clipboard",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast({
+        title: "Name required",
+        description: "Give the treasury a name",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    createTreasury.mutate(
+      { name, owners: ownerRows, threshold },
+      {
+        onSuccess: (treasury) => {
+          toast({
+            title: "Treasury created",
+            description: `${
+              treasury?.name || name
+            } is deployed when its first proposal executes.`,
+          });
+          setName("");
+          setOwners(null);
+          setThreshold(1);
+        },
+        onError: (error) =>
+          toast({
+            title: "Could not create treasury",
+            description: error.message,
+            variant: "destructive",
+          }),
+      }
+    );
+  };
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <Users className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              New Treasury
+            </h3>
+            <p className="text-sm text-gray-600">
+              A shared account that spends only with enough owner signatures
+            </p>
+          </div>
+        </div>
+
+        {!hasMultisigValidator ? (
+          <p className="text-sm text-gray-500">
+            No multisig validator is configured for {chain.name}.
+          </p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between gap-3 py-2 px-3 bg-gray-50 rounded-lg mb-6">
+              {ownerAddress ? (
+                <>
+                  <p className="text-xs text-gray-600 min-w-0">
+                    Your owner address on this device{" "}
+                    <span className="font-mono break-all text-gray-900">
+                      {ownerAddress}
+                    </span>
+                  </p>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={handleCopy}
+                    aria-label="Copy owner address"
+                  >
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </>
+              ) : (
+                <>
+                  <p className="text-xs text-gray-600">
+                    Co-owners add you by your owner address on this device.
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => revealOwnerAddress.mutate()}
+                    disabled={revealOwnerAddress.isPending}
+                  >
+                    {revealOwnerAddress.isPending && (
+                      <LoadingSpinner className="mr-2" size="sm" />
+                    )}
+                    Show address
+                  </Button>
+                </>
+              )}
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label
+                  htmlFor="treasuryName"
+                  className="text-sm font-medium text-gray-700 mb-2"
+                >
+                  Name
+                </Label>
+                <Input
+                  id="treasuryName"
+                  placeholder="Team treasury"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  disabled={createTreasury.isPending}
+                />
+              </div>
+              <TreasuryOwnersEditor
+                id="newTreasury"
+                owners={ownerRows}
+                threshold={threshold}
+                onOwnersChange={setOwners}
+                onThresholdChange={setThreshold}
+                disabled={createTreasury.isPending}
+              />
+              <Button
+                type="submit"
+                disabled={createTreasury.isPending || !ownerAddress}
+                className="w-full bg-primary hover:bg-primary-dark text-white font-medium"
+              >
+                {createTreasury.isPending && (
+                  <LoadingSpinner className="mr-2" size="sm" />
+                )}
+                Create treasury
+              </Button>
+            </form>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
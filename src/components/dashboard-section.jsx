@@ -1,7 +1,12 @@
 import React, { useEffect } from "react";
 import { UserInfoCard } from "./user-info-card";
 import { TokenTransferCard } from "./token-transfer-card";
+import { ScheduledTransfersCard } from "./scheduled-transfers-card";
 import { BatchedActionsCard } from "./batched-actions-card";
+import { BulkPayoutCard } from "./bulk-payout-card";
+import { AddressBookCard } from "./address-book-card";
+import { RecoveryBanner } from "./recovery-banner";
+import { TreasuryProposalsCard } from "./treasury-proposals-card";
 import { LoadingSpinner } from "@/components/ui/loading-spinner";
 import { useAuth } from "@/contexts/auth-context";
 import { useWeb3 } from "@/contexts/web3-context";
@@ -118,12 +123,18 @@ export function DashboardSection() {
 
   return (
     <div className="space-y-6">
+      <RecoveryBanner />
       <UserInfoCard />
+      <TreasuryProposalsCard hideWhenEmpty />
 
       <div className="grid lg:grid-cols-2 gap-6">
         <TokenTransferCard />
+        <ScheduledTransfersCard />
         <BatchedActionsCard />
+        <BulkPayoutCard />
       </div>
+
+      <AddressBookCard />
     </div>
   );
 }
@@ -0,0 +1,78 @@
+import React from "react";
+import { Fuel, AlertCircle } from "lucide-react";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import { formatTokenAmount } from "@/lib/erc20";
+import { PAYMASTER_MODE, PAYMASTER_REJECTION_MESSAGES } from "@/lib/paymaster";
+
+export const GAS_PAYMENT_LABELS = {
+  [PAYMASTER_MODE.SPONSORED]: "Gas sponsored by paymaster",
+  [PAYMASTER_MODE.ERC20]: "Gas paid in USDC",
+  [PAYMASTER_MODE.NATIVE]: "Gas paid from wallet balance (ETH)",
+};
+
+// How gas will be paid for the pending transaction, from a sponsorship quote.
+// With `isEstimate` the quote is a gas estimate that only shows the maximum
+// cost; sponsorship is checked when the transaction is reviewed or sent.
+export function GasPaymentStatus({
+  quote,
+  isLoading,
+  error,
+  isEstimate = false,
+  nativeSymbol = "ETH",
+}) {
+  if (isLoading) {
+    return (
+      <div className="flex items-center text-xs text-gray-500">
+        <LoadingSpinner className="mr-2" size="sm" />
+        {isEstimate ? "Estimating gas..." : "Checking gas sponsorship..."}
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-center text-xs text-red-600">
+        <AlertCircle className="w-4 h-4 mr-2 shrink-0" />
+        {error.reason
+          ? PAYMASTER_REJECTION_MESSAGES[error.reason]
+          : error.message}
+      </div>
+    );
+  }
+
+  if (!quote) return null;
+
+  if (isEstimate) {
+    return (
+      <div className="flex items-start text-xs text-gray-500">
+        <Fuel className="w-4 h-4 mr-2 shrink-0" />
+        <span>
+          Gas up to {formatTokenAmount(quote.estimatedFee, 18)} {nativeSymbol}
+          <span className="block">Sponsorship is checked before sending</span>
+        </span>
+      </div>
+    );
+  }
+
+  const sponsored = quote.paymasterMode === PAYMASTER_MODE.SPONSORED;
+
+  return (
+    <div
+      className={cn(
+        "flex items-start text-xs",
+        sponsored ? "text-success" : "text-amber-600"
+      )}
+    >
+      <Fuel className="w-4 h-4 mr-2 shrink-0" />
+      <span>
+        {GAS_PAYMENT_LABELS[quote.paymasterMode]}
+        {quote.sponsorshipRejection && (
+          <span className="block text-gray-500">
+            {PAYMASTER_REJECTION_MESSAGES[quote.sponsorshipRejection.reason]}
+          </span>
+        )}
+      </span>
+    </div>
+  );
+}
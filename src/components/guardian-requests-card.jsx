@@ -0,0 +1,124 @@
+import React from "react";
+import { UserCheck } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import { useGuardianDuties } from "@/hooks/use-recovery";
+import { getChain } from "@/lib/chains";
+
+// Requests to this user as a guardian: invitations to accept and other
+// users' wallet recoveries to approve. Hidden when there are none.
+export function GuardianRequestsCard() {
+  const { invitations, approvalRequests, respondToInvitation, approve } =
+    useGuardianDuties();
+  const { toast } = useToast();
+
+  if (invitations.length === 0 && approvalRequests.length === 0) return null;
+
+  const showError = (title) => (error) =>
+    toast({ title, description: error.message, variant: "destructive" });
+
+  const handleRespond = (invitation, accept) =>
+    respondToInvitation.mutate(
+      { invitation, accept },
+      { onError: showError("Could not answer invitation") }
+    );
+
+  const handleApprove = (request) =>
+    approve.mutate(request, {
+      onSuccess: () =>
+        toast({
+          title: "Recovery approved",
+          description: `Your approval for ${request.ownerEmail} is on-chain.`,
+        }),
+      onError: showError("Could not approve recovery"),
+    });
+
+  const isBusy = respondToInvitation.isPending || approve.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <UserCheck className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Guardian Requests
+            </h3>
+            <p className="text-sm text-gray-600">
+              People who trust you to help recover their wallet
+            </p>
+          </div>
+        </div>
+
+        <ul className="space-y-2">
+          {invitations.map((invitation) => (
+            <li
+              key={invitation._id}
+              className="flex items-center justify-between gap-3 py-2 px-3 bg-gray-50 rounded-lg"
+            >
+              <p className="text-sm text-gray-900 min-w-0">
+                <span className="font-medium">{invitation.ownerEmail}</span>{" "}
+                asked you to be a recovery guardian
+              </p>
+              <div className="flex space-x-2 shrink-0">
+                <Button
+                  size="sm"
+                  onClick={() => handleRespond(invitation, true)}
+                  disabled={isBusy}
+                  className="bg-primary hover:bg-primary-dark text-white"
+                >
+                  Accept
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => handleRespond(invitation, false)}
+                  disabled={isBusy}
+                >
+                  Decline
+                </Button>
+              </div>
+            </li>
+          ))}
+
+          {approvalRequests.map((request) => (
+            <li
+              key={request._id}
+              className="flex items-center justify-between gap-3 py-2 px-3 bg-gray-50 rounded-lg"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">{request.ownerEmail}</span> is
+                  recovering their wallet on{" "}
+                  {getChain(request.chainId)?.name || request.chainId}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Only approve if they asked you directly. New owner{" "}
+                  <span className="font-mono break-all">
+                    {request.newOwner}
+                  </span>
+                </p>
+              </div>
+              <Button
+                size="sm"
+                onClick={() => handleApprove(request)}
+                disabled={isBusy}
+                className="bg-primary hover:bg-primary-dark text-white shrink-0"
+              >
+                {approve.isPending &&
+                  approve.variables?._id === request._id && (
+                    <LoadingSpinner className="mr-2" size="sm" />
+                  )}
+                Approve
+              </Button>
+            </li>
+          ))}
+        </ul>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,20 +1,100 @@
 // @/components/login-section.jsx
 
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { LoadingSpinner } from "@/components/ui/loading-spinner";
-import { Wallet, AlertCircle, CheckCircle } from "lucide-react";
+import {
+  Wallet,
+  Wallet2,
+  AlertCircle,
+  CheckCircle,
+  KeyRound,
+} from "lucide-react";
 import { googleAuth } from "@/lib/google-auth";
+import { isPasskeySupported } from "@/lib/webauthn";
+import { getInjectedProvider, getSmartAccountLogin } from "@/lib/siwe";
 import { useAuth } from "@/contexts/auth-context";
 import { useToast } from "@/hooks/use-toast";
 
+const truncateAddress = (address) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
 export function LoginSection() {
   const [isLoading, setIsLoading] = useState(false);
+  const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
+  // "wallet" or "smart-account" while that Ethereum sign-in is running
+  const [ethereumLoading, setEthereumLoading] = useState(null);
+  const [smartAccount, setSmartAccount] = useState(null);
   const [debugInfo, setDebugInfo] = useState(null);
-  const { login } = useAuth();
+  const { login, loginWithPasskey, loginWithWallet, loginWithSmartAccount } =
+    useAuth();
   const { toast } = useToast();
 
+  useEffect(() => {
+    getSmartAccountLogin()
+      .then(setSmartAccount)
+      .catch((error) =>
+        console.warn("Could not load remembered smart account:", error)
+      );
+  }, []);
+
+  const isBusy = isLoading || isPasskeyLoading || !!ethereumLoading;
+
+  const handleEthereumLogin = async (method) => {
+    setEthereumLoading(method);
+
+    try {
+      if (method === "smart-account") {
+        await loginWithSmartAccount(smartAccount);
+      } else {
+        await loginWithWallet();
+      }
+
+      toast({
+        title: "Successfully logged in!",
+        description: "Signed in with Ethereum.",
+      });
+    } catch (error) {
+      console.error("Ethereum login error:", error);
+
+      toast({
+        title: "Wallet sign-in failed",
+        description: error.message || "Please try again.",
+        variant: "destructive",
+        duration: 7000,
+      });
+    } finally {
+      setEthereumLoading(null);
+    }
+  };
+
+  const handlePasskeyLogin = async () => {
+    setIsPasskeyLoading(true);
+
+    try {
+      await loginWithPasskey();
+
+      toast({
+        title: "Successfully logged in!",
+        description: "Signed in with your passkey.",
+      });
+    } catch (error) {
+      console.error("Passkey login error:", error);
+
+      toast({
+        title: "Passkey sign-in failed",
+        description:
+          error.message ||
+          "Please try again, or sign in with Google if this device has no passkey.",
+        variant: "destructive",
+        duration: 7000,
+      });
+    } finally {
+      setIsPasskeyLoading(false);
+    }
+  };
+
   const handleGoogleLogin = async () => {
     setIsLoading(true);
     setDebugInfo(null);
@@ -179,14 +259,14 @@ export function LoginSection() {
               Connect Your Wallet
             </h2>
             <p className="text-gray-600">
-              Sign in with Google to create your smart wallet and start making
-              gasless transactions
+              Sign in with Google, a passkey or an Ethereum wallet to create
+              your smart wallet and start making gasless transactions
             </p>
           </div>
 
           <Button
             onClick={handleGoogleLogin}
-            disabled={isLoading}
+            disabled={isBusy}
             className="w-full bg-white border-2 border-gray-200 hover:border-google hover:shadow-md text-gray-700 hover:text-google"
             variant="outline"
           >
@@ -217,6 +297,66 @@ export function LoginSection() {
             </span>
           </Button>
 
+          {isPasskeySupported() && (
+            <Button
+              onClick={handlePasskeyLogin}
+              disabled={isBusy}
+              className="w-full mt-3 bg-white border-2 border-gray-200 hover:border-primary hover:shadow-md text-gray-700 hover:text-primary"
+              variant="outline"
+            >
+              {isPasskeyLoading ? (
+                <LoadingSpinner className="mr-3" size="sm" />
+              ) : (
+                <KeyRound className="mr-3 w-5 h-5" />
+              )}
+              <span className="font-medium">
+                {isPasskeyLoading
+                  ? "Waiting for passkey..."
+                  : "Continue with passkey"}
+              </span>
+            </Button>
+          )}
+
+          {getInjectedProvider() && (
+            <Button
+              onClick={() => handleEthereumLogin("wallet")}
+              disabled={isBusy}
+              className="w-full mt-3 bg-white border-2 border-gray-200 hover:border-primary hover:shadow-md text-gray-700 hover:text-primary"
+              variant="outline"
+            >
+              {ethereumLoading === "wallet" ? (
+                <LoadingSpinner className="mr-3" size="sm" />
+              ) : (
+                <Wallet2 className="mr-3 w-5 h-5" />
+              )}
+              <span className="font-medium">
+                {ethereumLoading === "wallet"
+                  ? "Waiting for your wallet..."
+                  : "Continue with browser wallet"}
+              </span>
+            </Button>
+          )}
+
+          {smartAccount && (
+            <Button
+              onClick={() => handleEthereumLogin("smart-account")}
+              disabled={isBusy}
+              className="w-full mt-3 bg-white border-2 border-gray-200 hover:border-primary hover:shadow-md text-gray-700 hover:text-primary"
+              variant="outline"
+            >
+              {ethereumLoading === "smart-account" ? (
+                <LoadingSpinner className="mr-3" size="sm" />
+              ) : (
+                <Wallet className="mr-3 w-5 h-5" />
+              )}
+              <span className="font-medium">
+                {ethereumLoading === "smart-account"
+                  ? "Signing in..."
+                  : `Continue as ${truncateAddress(smartAccount.address)}`}
+              </span>
+            </Button>
+          )}
+
           {/* Debug section - only show in development */}
           {process.env.NODE_ENV === "development" && (
             <div className="mt-6 p-4 bg-gray-50 rounded-lg">
@@ -0,0 +1,35 @@
+import React from "react";
+import { Globe } from "lucide-react";
+import { useChain } from "@/contexts/chain-context";
+
+export function NetworkSelector() {
+  const { chains, activeChain, setActiveChain } = useChain();
+
+  if (chains.length < 2) {
+    return (
+      <div className="flex items-center text-sm text-gray-600">
+        <Globe className="w-4 h-4 mr-1" />
+        {activeChain.name}
+      </div>
+    );
+  }
+
+  return (
+    <label className="flex items-center text-sm text-gray-600">
+      <Globe className="w-4 h-4 mr-1" />
+      <span className="sr-only">Network</span>
+      <select
+        value={activeChain.chainId}
+        onChange={(e) => setActiveChain(e.target.value)}
+        className="h-9 rounded-md border border-input bg-background px-2 text-sm"
+      >
+        {chains.map((chain) => (
+          <option key={chain.chainId} value={chain.chainId}>
+            {chain.name}
+            {chain.testnet ? " (testnet)" : ""}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,234 @@
+import React, { useState } from "react";
+import { Lock, Unlock } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import { useOwnerKey } from "@/hooks/use-owner-key";
+import { KEY_PROTECTION, MIN_PASSPHRASE_LENGTH } from "@/lib/owner-key-manager";
+
+const IDLE_TIMEOUT_OPTIONS = [
+  { value: 5 * 60 * 1000, label: "5 minutes" },
+  { value: 15 * 60 * 1000, label: "15 minutes" },
+  { value: 30 * 60 * 1000, label: "30 minutes" },
+  { value: 60 * 60 * 1000, label: "1 hour" },
+];
+
+const emptyForm = { passphrase: "", confirmation: "" };
+
+// The wallet owner key on this device: lock state, passphrase protection
+// and how long it stays unlocked without activity
+export function OwnerKeyCard() {
+  const [formData, setFormData] = useState(emptyForm);
+
+  const { status, isLoading, unlock, lock, setProtection, setIdleTimeout } =
+    useOwnerKey();
+  const { toast } = useToast();
+
+  if (isLoading || !status?.hasKey) return null;
+
+  const hasPassphrase = status.protection === KEY_PROTECTION.PASSPHRASE;
+
+  const handleInputChange = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const showError = (title) => (error) =>
+    toast({ title, description: error.message, variant: "destructive" });
+
+  const handleUnlock = () =>
+    unlock.mutate(undefined, { onError: showError("Could not unlock wallet") });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (formData.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      toast({
+        title: "Passphrase too short",
+        description: `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`,
+        variant: "destructive",
+      });
+      return;
+    }
+    if (formData.passphrase !== formData.confirmation) {
+      toast({
+        title: "Passphrases don't match",
+        description: "Enter the same passphrase twice.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    setProtection.mutate(
+      { passphrase: formData.passphrase },
+      {
+        onSuccess: () => {
+          toast({
+            title: hasPassphrase ? "Passphrase changed" : "Passphrase set",
+            description:
+              "You'll be asked for it when the wallet is locked. It can't be recovered if you forget it.",
+          });
+          setFormData(emptyForm);
+        },
+        onError: showError("Could not set passphrase"),
+      }
+    );
+  };
+
+  const handleRemovePassphrase = () =>
+    setProtection.mutate(
+      {},
+      {
+        onSuccess: () =>
+          toast({
+            title: "Passphrase removed",
+            description: "The wallet unlocks with your account sign-in.",
+          }),
+        onError: showError("Could not remove passphrase"),
+      }
+    );
+
+  const handleIdleTimeoutChange = (value) =>
+    setIdleTimeout.mutate(Number(value), {
+      onError: showError("Could not change auto-lock"),
+    });
+
+  const isBusy = unlock.isPending || setProtection.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex items-center space-x-3">
+            <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+              {status.isUnlocked ? (
+                <Unlock className="text-white w-5 h-5" />
+              ) : (
+                <Lock className="text-white w-5 h-5" />
+              )}
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                Wallet Key
+              </h3>
+              <p className="text-sm text-gray-600">
+                {status.isUnlocked ? "Unlocked" : "Locked"} ·{" "}
+                {hasPassphrase
+                  ? "Protected by your passphrase and backed up"
+                  : "Protected by your account sign-in · set a passphrase to back it up"}
+              </p>
+            </div>
+          </div>
+          {status.isUnlocked ? (
+            <Button variant="outline" size="sm" onClick={lock}>
+              Lock now
+            </Button>
+          ) : (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleUnlock}
+              disabled={isBusy}
+            >
+              {unlock.isPending && (
+                <LoadingSpinner className="mr-2" size="sm" />
+              )}
+              Unlock
+            </Button>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-500 mb-4">
+          Owner <span className="font-mono break-all">{status.address}</span>
+        </p>
+
+        <div className="mb-6">
+          <Label
+            htmlFor="idleTimeout"
+            className="text-sm font-medium text-gray-700 mb-2"
+          >
+            Lock after inactivity
+          </Label>
+          <select
+            id="idleTimeout"
+            value={status.idleTimeoutMs}
+            onChange={(e) => handleIdleTimeoutChange(e.target.value)}
+            className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+            disabled={setIdleTimeout.isPending}
+          >
+            {IDLE_TIMEOUT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <div>
+              <Label
+                htmlFor="keyPassphrase"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                {hasPassphrase ? "New passphrase" : "Passphrase"}
+              </Label>
+              <Input
+                id="keyPassphrase"
+                type="password"
+                autoComplete="new-password"
+                value={formData.passphrase}
+                onChange={(e) =>
+                  handleInputChange("passphrase", e.target.value)
+                }
+                disabled={isBusy}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="keyPassphraseConfirmation"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Confirm passphrase
+              </Label>
+              <Input
+                id="keyPassphraseConfirmation"
+                type="password"
+                autoComplete="new-password"
+                value={formData.confirmation}
+                onChange={(e) =>
+                  handleInputChange("confirmation", e.target.value)
+                }
+                disabled={isBusy}
+              />
+            </div>
+          </div>
+
+          <div className="flex space-x-3">
+            <Button
+              type="submit"
+              disabled={isBusy || !formData.passphrase}
+              className="flex-1 bg-primary hover:bg-primary-dark text-white font-medium"
+            >
+              {setProtection.isPending && (
+                <LoadingSpinner className="mr-2" size="sm" />
+              )}
+              {hasPassphrase ? "Change Passphrase" : "Set Passphrase"}
+            </Button>
+            {hasPassphrase && (
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleRemovePassphrase}
+                disabled={isBusy}
+              >
+                Remove Passphrase
+              </Button>
+            )}
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
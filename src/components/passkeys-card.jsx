@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { Fingerprint, X } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useToast } from "@/hooks/use-toast";
+import { usePasskeys } from "@/hooks/use-passkeys";
+import { isPasskeySupported } from "@/lib/webauthn";
+import { isPasskeyEnabledOn } from "@/lib/passkeys";
+
+// Passkeys that can sign in to this app and, on a passkey-owned wallet,
+// sign its transactions. Adding one from another device lets that device
+// use the wallet too.
+export function PasskeysCard() {
+  const [name, setName] = useState("");
+
+  const { hasPasskeyValidator, chain } = useWeb3();
+  const {
+    passkeys,
+    creationPasskey,
+    isLoading,
+    isPasskeyOwned,
+    addPasskey,
+    removePasskey,
+  } = usePasskeys();
+  const { toast } = useToast();
+
+  const supported = isPasskeySupported();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    addPasskey.mutate(name.trim() || "Passkey", {
+      onSuccess: (passkey) => {
+        toast({
+          title: "Passkey added",
+          description: isPasskeyOwned
+            ? `"${passkey.name}" can now sign in and sign transactions.`
+            : `"${passkey.name}" can now be used to sign in.`,
+        });
+        setName("");
+      },
+      onError: (error) => {
+        toast({
+          title: "Could not add passkey",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const handleRemove = (passkey) => {
+    removePasskey.mutate(passkey, {
+      onError: (error) => {
+        toast({
+          title: "Could not remove passkey",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const isBusy = addPasskey.isPending || removePasskey.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <Fingerprint className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Passkeys</h3>
+            <p className="text-sm text-gray-600">
+              {isPasskeyOwned
+                ? "Sign in and approve transactions with Face ID, Touch ID or a security key"
+                : "Sign in with Face ID, Touch ID or a security key"}
+            </p>
+          </div>
+        </div>
+
+        {supported ? (
+          <form onSubmit={handleSubmit} className="flex space-x-3 mb-6">
+            <div className="flex-1">
+              <Label htmlFor="passkeyName" className="sr-only">
+                Passkey name
+              </Label>
+              <Input
+                id="passkeyName"
+                placeholder="e.g. Work laptop"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                disabled={isBusy}
+              />
+            </div>
+            <Button
+              type="submit"
+              disabled={isBusy || (isPasskeyOwned && !hasPasskeyValidator)}
+              className="bg-primary hover:bg-primary-dark text-white font-medium"
+            >
+              {addPasskey.isPending && (
+                <LoadingSpinner className="mr-2" size="sm" />
+              )}
+              Add Passkey
+            </Button>
+          </form>
+        ) : (
+          <p className="text-sm text-gray-500 mb-6">
+            This browser doesn't support passkeys.
+          </p>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner />
+          </div>
+        ) : passkeys.length === 0 ? (
+          <p className="text-sm text-gray-500">No passkeys registered</p>
+        ) : (
+          <ul className="space-y-2">
+            {passkeys.map((passkey) => (
+              <li
+                key={passkey._id}
+                className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+              >
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {passkey.name}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Added {new Date(passkey.createdAt).toLocaleDateString()}
+                    {passkey._id === creationPasskey?._id &&
+                      " · Created your wallet"}
+                    {isPasskeyOwned &&
+                      !isPasskeyEnabledOn(
+                        passkey,
+                        chain.chainId,
+                        creationPasskey
+                      ) &&
+                      ` · Can't sign on ${chain.name}`}
+                  </p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(passkey)}
+                  disabled={
+                    isBusy ||
+                    (isPasskeyOwned && passkeys.length <= 1) ||
+                    passkey._id === creationPasskey?._id
+                  }
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove passkey"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { AtSign, BookUser } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import { useAddressBook } from "@/hooks/use-address-book";
+
+const MAX_SUGGESTIONS = 5;
+
+// Recipient address field with address book autocomplete. Typing filters
+// saved contacts by label or address; picking one fills in its address.
+// `resolution` (from useRecipientResolution) drives the ENS preview.
+export function RecipientInput({
+  id,
+  value,
+  onChange,
+  resolution,
+  disabled,
+  className,
+}) {
+  const { contacts, getContactLabel } = useAddressBook();
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const search = value.trim().toLowerCase();
+  const suggestions = contacts
+    .filter(
+      (contact) =>
+        !search ||
+        contact.label.toLowerCase().includes(search) ||
+        contact.address.toLowerCase().includes(search)
+    )
+    .filter((contact) => contact.address.toLowerCase() !== search)
+    .slice(0, MAX_SUGGESTIONS);
+  const showSuggestions = isOpen && suggestions.length > 0;
+  const label = getContactLabel(resolution?.address || value);
+
+  const selectContact = (contact) => {
+    onChange(contact.address);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlighted((prev) => (prev + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted(
+        (prev) => (prev - 1 + suggestions.length) % suggestions.length
+      );
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      selectContact(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Input
+        id={id}
+        type="text"
+        placeholder="0x..., name.eth or search contacts"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setHighlighted(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        autoComplete="off"
+        className={cn("font-mono text-sm", className)}
+        disabled={disabled}
+      />
+
+      {showSuggestions && (
+        <ul className="absolute z-10 mt-1 w-full rounded-md border border-gray-200 bg-white shadow-lg">
+          {suggestions.map((contact, index) => (
+            <li
+              key={contact._id}
+              // Keep focus in the input so onBlur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectContact(contact);
+              }}
+              className={cn(
+                "px-3 py-2 cursor-pointer",
+                index === highlighted ? "bg-gray-100" : "hover:bg-gray-50"
+              )}
+            >
+              <p className="text-sm font-medium text-gray-900">
+                {contact.label}
+              </p>
+              <p className="text-xs text-gray-500 font-mono truncate">
+                {contact.address}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {resolution?.ensName && (
+        <p
+          className={cn(
+            "flex items-center mt-1 text-xs",
+            resolution.error ? "text-red-600" : "text-gray-600"
+          )}
+        >
+          {resolution.isResolving ? (
+            <>
+              <LoadingSpinner className="mr-1" size="sm" />
+              Resolving {resolution.ensName}...
+            </>
+          ) : resolution.address ? (
+            <>
+              <AtSign className="w-3 h-3 mr-1 shrink-0" />
+              <span className="truncate">
+                {resolution.ensName} resolves to{" "}
+                <span className="font-mono">{resolution.address}</span>
+              </span>
+            </>
+          ) : (
+            resolution.error?.message
+          )}
+        </p>
+      )}
+
+      {label && (
+        <p className="flex items-center mt-1 text-xs text-gray-600">
+          <BookUser className="w-3 h-3 mr-1" />
+          {label}
+        </p>
+      )}
+    </div>
+  );
+}
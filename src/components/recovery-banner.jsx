@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from "react";
+import { ShieldAlert } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import { usePendingRecovery } from "@/hooks/use-recovery";
+
+const truncateAddress = (address) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Shown while a recovery of this wallet is pending on the active chain. The
+// owner can cancel a recovery they didn't start; the recovering device
+// completes it once the guardians approved and the delay has passed.
+export function RecoveryBanner() {
+  const [, setNow] = useState(Date.now());
+  const { pendingRequest, progress, cancelRecovery, finishRecovery } =
+    usePendingRecovery();
+  const { toast } = useToast();
+
+  // Re-render when the delay runs out so "Complete" becomes available
+  const readyAt = progress?.readyAt;
+  useEffect(() => {
+    if (!readyAt || readyAt <= Date.now()) return undefined;
+    const timer = setTimeout(
+      () => setNow(Date.now()),
+      // setTimeout delays are capped at ~24.8 days
+      Math.min(readyAt - Date.now() + 1000, 2 ** 31 - 1)
+    );
+    return () => clearTimeout(timer);
+  }, [readyAt]);
+
+  if (!pendingRequest) return null;
+
+  const handleCancel = () =>
+    cancelRecovery.mutate(pendingRequest, {
+      onSuccess: (request) =>
+        toast({
+          title: "Recovery cancelled",
+          description: request?.vetoUserOpHash
+            ? "The guardians' approval was vetoed on-chain."
+            : "Cancel it from a device with your wallet key to also veto it on-chain.",
+        }),
+      onError: (error) =>
+        toast({
+          title: "Could not cancel recovery",
+          description: error.message,
+          variant: "destructive",
+        }),
+    });
+
+  const handleComplete = () =>
+    finishRecovery.mutate(pendingRequest, {
+      onSuccess: () =>
+        toast({
+          title: "Wallet recovered",
+          description: "This device's key now owns your wallet.",
+        }),
+      onError: (error) =>
+        toast({
+          title: "Could not complete recovery",
+          description: error.message,
+          variant: "destructive",
+        }),
+    });
+
+  const isBusy = cancelRecovery.isPending || finishRecovery.isPending;
+
+  return (
+    <div className="p-4 rounded-lg border border-amber-200 bg-amber-50">
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start space-x-3 min-w-0">
+          <ShieldAlert className="w-5 h-5 text-amber-700 shrink-0 mt-0.5" />
+          <div className="min-w-0 text-sm text-amber-900">
+            <p className="font-medium">Wallet recovery in progress</p>
+            <p>
+              {progress.isReady
+                ? "Approved by your guardians and ready to complete."
+                : progress.isApproved
+                ? `Approved by your guardians. It can complete after ${new Date(
+                    progress.readyAt
+                  ).toLocaleString()}.`
+                : `${progress.approvals} of ${progress.threshold} guardian approvals.`}
+            </p>
+            <p className="text-xs text-amber-800 mt-1">
+              Started {new Date(pendingRequest.createdAt).toLocaleString()} ·
+              new owner {truncateAddress(pendingRequest.newOwner)}. If you
+              didn't start this, cancel it.
+            </p>
+          </div>
+        </div>
+        <div className="flex space-x-2 shrink-0">
+          {progress.isReady && (
+            <Button
+              size="sm"
+              onClick={handleComplete}
+              disabled={isBusy}
+              className="bg-primary hover:bg-primary-dark text-white"
+            >
+              {finishRecovery.isPending && (
+                <LoadingSpinner className="mr-2" size="sm" />
+              )}
+              Complete
+            </Button>
+          )}
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={handleCancel}
+            disabled={isBusy}
+          >
+            {cancelRecovery.isPending && (
+              <LoadingSpinner className="mr-2" size="sm" />
+            )}
+            Cancel
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,325 @@
+import React, { useEffect, useState } from "react";
+import { LifeBuoy, X } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useAuth } from "@/contexts/auth-context";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useToast } from "@/hooks/use-toast";
+import { usePendingRecovery, useRecovery } from "@/hooks/use-recovery";
+import { GUARDIAN_STATUS, GUARDIAN_TYPE } from "@/lib/recovery";
+import { WALLET_OWNER_TYPE } from "@/lib/passkeys";
+
+const DELAY_OPTIONS = [
+  { value: 60 * 60, label: "1 hour" },
+  { value: 24 * 60 * 60, label: "24 hours" },
+  { value: 3 * 24 * 60 * 60, label: "3 days" },
+  { value: 7 * 24 * 60 * 60, label: "7 days" },
+];
+
+const GUARDIAN_STATUS_LABELS = {
+  [GUARDIAN_STATUS.INVITED]: "Invited",
+  [GUARDIAN_STATUS.ACTIVE]: "Active",
+  [GUARDIAN_STATUS.DECLINED]: "Declined",
+};
+
+const formatDelay = (seconds) =>
+  DELAY_OPTIONS.find((option) => option.value === seconds)?.label ||
+  `${Math.round(seconds / 3600)} hours`;
+
+const emptyGuardian = { type: GUARDIAN_TYPE.EMAIL, value: "" };
+
+// Guardians who can together hand the wallet to a new owner key after a
+// delay, and starting such a recovery from this device
+export function RecoveryCard() {
+  const [guardianForm, setGuardianForm] = useState(emptyGuardian);
+  const [threshold, setThreshold] = useState("1");
+  const [delaySeconds, setDelaySeconds] = useState(DELAY_OPTIONS[1].value);
+
+  const { user } = useAuth();
+  const { chain, hasRecoveryModule } = useWeb3();
+  const {
+    guardians,
+    activeGuardians,
+    config,
+    hasUnappliedChanges,
+    isLoading,
+    addGuardian,
+    removeGuardian,
+    applyGuardians,
+    startRecovery,
+  } = useRecovery();
+  const { pendingRequest } = usePendingRecovery();
+  const { toast } = useToast();
+
+  const isPasskeyOwned = user?.walletOwnerType === WALLET_OWNER_TYPE.PASSKEY;
+
+  useEffect(() => {
+    if (config) {
+      setThreshold(String(config.threshold));
+      setDelaySeconds(config.delaySeconds);
+    }
+  }, [config]);
+
+  const showError = (title) => (error) =>
+    toast({ title, description: error.message, variant: "destructive" });
+
+  const handleAddGuardian = (e) => {
+    e.preventDefault();
+
+    const { type, value } = guardianForm;
+    addGuardian.mutate(
+      type === GUARDIAN_TYPE.EMAIL
+        ? { type, email: value }
+        : { type, address: value },
+      {
+        onSuccess: () => {
+          toast({
+            title:
+              type === GUARDIAN_TYPE.EMAIL
+                ? "Guardian invited"
+                : "Guardian added",
+            description:
+              type === GUARDIAN_TYPE.EMAIL
+                ? `${value} will be asked to accept by email.`
+                : "Apply your guardians to make the change on-chain.",
+          });
+          setGuardianForm((prev) => ({ ...prev, value: "" }));
+        },
+        onError: showError("Could not add guardian"),
+      }
+    );
+  };
+
+  const handleApply = () =>
+    applyGuardians.mutate(
+      { threshold, delaySeconds },
+      {
+        onSuccess: (saved) =>
+          toast({
+            title: "Recovery guardians applied",
+            description: `${saved.threshold} of ${saved.guardians.length} guardians can recover your wallet on ${chain.name}.`,
+          }),
+        onError: showError("Could not apply guardians"),
+      }
+    );
+
+  const handleStartRecovery = () =>
+    startRecovery.mutate(undefined, {
+      onSuccess: () =>
+        toast({
+          title: "Recovery started",
+          description: "Your guardians have been asked to approve it.",
+        }),
+      onError: showError("Could not start recovery"),
+    });
+
+  const isBusy =
+    addGuardian.isPending ||
+    removeGuardian.isPending ||
+    applyGuardians.isPending ||
+    startRecovery.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <LifeBuoy className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Recovery</h3>
+            <p className="text-sm text-gray-600">
+              Trusted guardians can restore your wallet if you lose access
+            </p>
+          </div>
+        </div>
+
+        {isPasskeyOwned ? (
+          <p className="text-sm text-gray-500">
+            Your wallet is owned by passkeys. Add a passkey on a second device
+            so you can still sign if you lose this one.
+          </p>
+        ) : !hasRecoveryModule ? (
+          <p className="text-sm text-gray-500">
+            No recovery contracts are configured for {chain.name}.
+          </p>
+        ) : (
+          <>
+            <form onSubmit={handleAddGuardian} className="flex space-x-3 mb-4">
+              <select
+                value={guardianForm.type}
+                onChange={(e) =>
+                  setGuardianForm({ type: e.target.value, value: "" })
+                }
+                className="flex h-10 rounded-md border border-input bg-background px-3 py-2 text-sm"
+                disabled={isBusy}
+                aria-label="Guardian type"
+              >
+                <option value={GUARDIAN_TYPE.EMAIL}>Email</option>
+                <option value={GUARDIAN_TYPE.ADDRESS}>Address</option>
+              </select>
+              <Input
+                className="flex-1"
+                placeholder={
+                  guardianForm.type === GUARDIAN_TYPE.EMAIL
+                    ? "friend@example.com"
+                    : "0x..."
+                }
+                value={guardianForm.value}
+                onChange={(e) =>
+                  setGuardianForm((prev) => ({
+                    ...prev,
+                    value: e.target.value,
+                  }))
+                }
+                disabled={isBusy}
+              />
+              <Button
+                type="submit"
+                disabled={isBusy || !guardianForm.value.trim()}
+                className="bg-primary hover:bg-primary-dark text-white font-medium"
+              >
+                {addGuardian.isPending && (
+                  <LoadingSpinner className="mr-2" size="sm" />
+                )}
+                Add
+              </Button>
+            </form>
+
+            {isLoading ? (
+              <div className="flex justify-center py-4">
+                <LoadingSpinner />
+              </div>
+            ) : guardians.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-6">No guardians yet</p>
+            ) : (
+              <ul className="space-y-2 mb-6">
+                {guardians.map((guardian) => (
+                  <li
+                    key={guardian._id}
+                    className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {guardian.email || guardian.address}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {GUARDIAN_STATUS_LABELS[guardian.status] ||
+                          guardian.status}
+                        {guardian.email && guardian.address && (
+                          <span className="font-mono">
+                            {" · "}
+                            {guardian.address}
+                          </span>
+                        )}
+                      </p>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() =>
+                        removeGuardian.mutate(guardian, {
+                          onError: showError("Could not remove guardian"),
+                        })
+                      }
+                      disabled={isBusy}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove guardian"
+                    >
+                      <X className="w-4 h-4" />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="grid sm:grid-cols-2 gap-3 mb-4">
+              <div>
+                <Label
+                  htmlFor="recoveryThreshold"
+                  className="text-sm font-medium text-gray-700 mb-2"
+                >
+                  Approvals needed
+                </Label>
+                <Input
+                  id="recoveryThreshold"
+                  type="number"
+                  min="1"
+                  max={Math.max(activeGuardians.length, 1)}
+                  step="1"
+                  value={threshold}
+                  onChange={(e) => setThreshold(e.target.value)}
+                  disabled={isBusy}
+                />
+              </div>
+              <div>
+                <Label
+                  htmlFor="recoveryDelay"
+                  className="text-sm font-medium text-gray-700 mb-2"
+                >
+                  Delay before it completes
+                </Label>
+                <select
+                  id="recoveryDelay"
+                  value={delaySeconds}
+                  onChange={(e) => setDelaySeconds(Number(e.target.value))}
+                  className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                  disabled={isBusy}
+                >
+                  {DELAY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <p className="text-xs text-gray-500 mb-3">
+              {config
+                ? `Active on ${chain.name}: ${config.threshold} of ${
+                    config.guardians.length
+                  } guardians, ${formatDelay(config.delaySeconds)} delay.`
+                : `Not set up on ${chain.name} yet.`}
+              {config &&
+                hasUnappliedChanges &&
+                " Guardian changes not applied yet."}
+            </p>
+
+            <Button
+              onClick={handleApply}
+              disabled={isBusy || activeGuardians.length === 0}
+              className="w-full bg-primary hover:bg-primary-dark text-white font-medium mb-6"
+            >
+              {applyGuardians.isPending && (
+                <LoadingSpinner className="mr-2" size="sm" />
+              )}
+              Apply to Wallet
+            </Button>
+
+            <div className="border-t border-gray-100 pt-4">
+              <p className="text-sm text-gray-700 mb-3">
+                Lost the device that holds your wallet key? Start a recovery
+                from here to make this device's key the new owner.
+              </p>
+              <Button
+                variant="outline"
+                onClick={handleStartRecovery}
+                disabled={isBusy || !!pendingRequest}
+                className="w-full"
+              >
+                {startRecovery.isPending && (
+                  <LoadingSpinner className="mr-2" size="sm" />
+                )}
+                {pendingRequest ? "Recovery in progress" : "Start Recovery"}
+              </Button>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
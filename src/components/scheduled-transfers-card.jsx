@@ -0,0 +1,443 @@
+import React, { useEffect, useRef, useState } from "react";
+import { CalendarClock, Pause, Play, X } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useToast } from "@/hooks/use-toast";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { useRecipientResolution } from "@/hooks/use-ens";
+import { useAddressWarnings } from "@/hooks/use-address-warnings";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { useScheduleRunner, useSchedules } from "@/hooks/use-schedules";
+import { RecipientInput } from "@/components/recipient-input";
+import { AddressWarnings } from "@/components/address-warnings";
+import { TokenSelector } from "@/components/token-selector";
+import { getChain } from "@/lib/chains";
+import { getDefaultToken } from "@/lib/tokens";
+import { SCHEDULE_FREQUENCY, SCHEDULE_STATUS } from "@/lib/schedules";
+
+// How often due schedules are checked while the dashboard is open
+const SCHEDULE_CHECK_INTERVAL = 60 * 1000;
+
+const FREQUENCY_OPTIONS = [
+  { value: SCHEDULE_FREQUENCY.ONCE, label: "Once" },
+  { value: SCHEDULE_FREQUENCY.WEEKLY, label: "Weekly" },
+  { value: SCHEDULE_FREQUENCY.MONTHLY, label: "Monthly" },
+];
+
+const FREQUENCY_LABELS = Object.fromEntries(
+  FREQUENCY_OPTIONS.map((option) => [option.value, option.label])
+);
+
+const STATUS_TABS = [
+  { value: SCHEDULE_STATUS.ACTIVE, label: "Upcoming" },
+  { value: SCHEDULE_STATUS.PAUSED, label: "Paused" },
+  { value: SCHEDULE_STATUS.CANCELLED, label: "Cancelled" },
+  { value: SCHEDULE_STATUS.COMPLETED, label: "Completed" },
+];
+
+const emptyForm = {
+  recipient: "",
+  amount: "",
+  frequency: SCHEDULE_FREQUENCY.MONTHLY,
+  startAt: "",
+};
+
+const truncateAddress = (address) =>
+  address?.startsWith("0x")
+    ? `${address.slice(0, 6)}...${address.slice(-4)}`
+    : address;
+
+const describeSchedule = (schedule) =>
+  `${schedule.amount} ${schedule.tokenSymbol} to ${truncateAddress(
+    schedule.recipient
+  )}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+export function ScheduledTransfersCard() {
+  const [formData, setFormData] = useState(emptyForm);
+  const [token, setToken] = useState(null);
+  const [warningsAcknowledged, setWarningsAcknowledged] = useState(false);
+  const [tab, setTab] = useState(SCHEDULE_STATUS.ACTIVE);
+
+  const { isConnected } = useWeb3();
+  const { schedules, isLoading, saveSchedule, setScheduleStatus } =
+    useSchedules();
+  const { runDueSchedules } = useScheduleRunner();
+  const { getContactLabel } = useAddressBook();
+  const { tokens, getToken } = useTokenRegistry();
+  const { toast } = useToast();
+
+  const resolution = useRecipientResolution(formData.recipient);
+  const addressWarnings = useAddressWarnings(resolution.address);
+  const selectedToken =
+    (token && getToken(token.address)) || getDefaultToken(tokens);
+
+  // Check for due schedules on load and then every minute. The latest
+  // runner is read through a ref so the interval isn't reset on re-render.
+  const runnerRef = useRef(runDueSchedules);
+  runnerRef.current = runDueSchedules;
+
+  useEffect(() => {
+    if (!isConnected) return;
+
+    let cancelled = false;
+    let isChecking = false;
+
+    const check = async () => {
+      if (isChecking) return;
+      isChecking = true;
+      try {
+        const results = await runnerRef.current();
+        if (cancelled) return;
+        results.forEach(({ schedule, error, paused }) =>
+          toast(
+            error
+              ? {
+                  title: "Scheduled transfer failed",
+                  description: `${describeSchedule(schedule)} ${
+                    paused ? "was paused" : "failed after it was sent"
+                  }: ${error.message}`,
+                  variant: "destructive",
+                }
+              : {
+                  title: "Scheduled transfer sent",
+                  description: `${describeSchedule(
+                    schedule
+                  )} has been confirmed on-chain.`,
+                }
+          )
+        );
+      } catch (error) {
+        console.warn("Failed to check scheduled transfers:", error);
+      } finally {
+        isChecking = false;
+      }
+    };
+
+    check();
+    const interval = setInterval(check, SCHEDULE_CHECK_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [isConnected, toast]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!resolution.address) {
+      toast({
+        title: "Invalid recipient",
+        description:
+          resolution.error?.message || "Invalid recipient address format",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (addressWarnings.length > 0 && !warningsAcknowledged) {
+      toast({
+        title: "Check the recipient",
+        description: "Review the recipient warnings before scheduling.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    saveSchedule.mutate(
+      {
+        ...formData,
+        // ENS names are kept and resolved again at every run
+        recipient: resolution.ensName ? formData.recipient : resolution.address,
+        token: selectedToken,
+      },
+      {
+        onSuccess: (schedule) => {
+          toast({
+            title: "Transfer scheduled",
+            description: `First run on ${formatDate(schedule.nextRunAt)}.`,
+          });
+          setFormData(emptyForm);
+          setWarningsAcknowledged(false);
+          setTab(SCHEDULE_STATUS.ACTIVE);
+        },
+        onError: (error) => {
+          toast({
+            title: "Could not schedule transfer",
+            description: error.message,
+            variant: "destructive",
+          });
+        },
+      }
+    );
+  };
+
+  const handleStatusChange = (schedule, status) => {
+    setScheduleStatus.mutate(
+      { id: schedule._id, status },
+      {
+        onError: (error) => {
+          toast({
+            title: "Could not update schedule",
+            description: error.message,
+            variant: "destructive",
+          });
+        },
+      }
+    );
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
+    if (field === "recipient") setWarningsAcknowledged(false);
+  };
+
+  const visibleSchedules = schedules
+    .filter((schedule) => schedule.status === tab)
+    .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <CalendarClock className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Scheduled Transfers
+            </h3>
+            <p className="text-sm text-gray-600">
+              One-off or recurring payouts, sent while the wallet is open
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+          <div>
+            <Label
+              htmlFor="scheduleRecipient"
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              Recipient Address or ENS Name
+            </Label>
+            <RecipientInput
+              id="scheduleRecipient"
+              value={formData.recipient}
+              onChange={(value) => handleInputChange("recipient", value)}
+              resolution={resolution}
+              disabled={saveSchedule.isPending}
+            />
+          </div>
+
+          <AddressWarnings
+            warnings={addressWarnings}
+            acknowledged={warningsAcknowledged}
+            onAcknowledge={setWarningsAcknowledged}
+          />
+
+          <div className="grid sm:grid-cols-2 gap-3">
+            <div>
+              <Label
+                htmlFor="scheduleToken"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Token
+              </Label>
+              <TokenSelector
+                id="scheduleToken"
+                value={selectedToken}
+                onChange={setToken}
+                disabled={saveSchedule.isPending}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="scheduleAmount"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Amount ({selectedToken?.symbol})
+              </Label>
+              <Input
+                id="scheduleAmount"
+                type="number"
+                placeholder="0.00"
+                step="any"
+                min="0"
+                value={formData.amount}
+                onChange={(e) => handleInputChange("amount", e.target.value)}
+                disabled={saveSchedule.isPending}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="scheduleFrequency"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Repeat
+              </Label>
+              <select
+                id="scheduleFrequency"
+                value={formData.frequency}
+                onChange={(e) => handleInputChange("frequency", e.target.value)}
+                className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                disabled={saveSchedule.isPending}
+              >
+                {FREQUENCY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <Label
+                htmlFor="scheduleStartAt"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                {formData.frequency === SCHEDULE_FREQUENCY.ONCE
+                  ? "Send on"
+                  : "First payment"}
+              </Label>
+              <Input
+                id="scheduleStartAt"
+                type="datetime-local"
+                value={formData.startAt}
+                onChange={(e) => handleInputChange("startAt", e.target.value)}
+                disabled={saveSchedule.isPending}
+              />
+            </div>
+          </div>
+
+          <Button
+            type="submit"
+            disabled={
+              saveSchedule.isPending ||
+              !formData.recipient ||
+              !formData.amount ||
+              !formData.startAt
+            }
+            className="w-full bg-primary hover:bg-primary-dark text-white font-medium"
+          >
+            {saveSchedule.isPending && (
+              <LoadingSpinner className="mr-2" size="sm" />
+            )}
+            Schedule Transfer
+          </Button>
+        </form>
+
+        <div className="flex space-x-1 mb-3">
+          {STATUS_TABS.map((option) => (
+            <Button
+              key={option.value}
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() => setTab(option.value)}
+              className={cn(
+                "text-gray-600",
+                tab === option.value && "bg-gray-100 text-gray-900"
+              )}
+            >
+              {option.label} (
+              {
+                schedules.filter((schedule) => schedule.status === option.value)
+                  .length
+              }
+              )
+            </Button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner />
+          </div>
+        ) : visibleSchedules.length === 0 ? (
+          <p className="text-sm text-gray-500">No schedules here</p>
+        ) : (
+          <ul className="space-y-2">
+            {visibleSchedules.map((schedule) => {
+              const label = getContactLabel(schedule.recipient);
+              const isActive = schedule.status === SCHEDULE_STATUS.ACTIVE;
+              const isPaused = schedule.status === SCHEDULE_STATUS.PAUSED;
+
+              return (
+                <li
+                  key={schedule._id}
+                  className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {schedule.amount} {schedule.tokenSymbol} to{" "}
+                      {label || truncateAddress(schedule.recipient)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {FREQUENCY_LABELS[schedule.frequency]} on{" "}
+                      {getChain(schedule.chainId)?.name || schedule.chainId}
+                      {(isActive || isPaused) &&
+                        ` · next ${formatDate(schedule.nextRunAt)}`}
+                      {schedule.lastRunAt &&
+                        ` · last ${formatDate(schedule.lastRunAt)}`}
+                    </p>
+                    {schedule.lastError && (
+                      <p className="text-xs text-red-600 truncate">
+                        {schedule.lastError}
+                      </p>
+                    )}
+                  </div>
+                  {(isActive || isPaused) && (
+                    <div className="flex items-center space-x-1">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() =>
+                          handleStatusChange(
+                            schedule,
+                            isActive
+                              ? SCHEDULE_STATUS.PAUSED
+                              : SCHEDULE_STATUS.ACTIVE
+                          )
+                        }
+                        disabled={setScheduleStatus.isPending}
+                        className="h-7 w-7 p-0 text-gray-400 hover:text-primary"
+                        title={isActive ? "Pause" : "Resume"}
+                      >
+                        {isActive ? (
+                          <Pause className="w-3 h-3" />
+                        ) : (
+                          <Play className="w-3 h-3" />
+                        )}
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() =>
+                          handleStatusChange(
+                            schedule,
+                            SCHEDULE_STATUS.CANCELLED
+                          )
+                        }
+                        disabled={setScheduleStatus.isPending}
+                        className="h-7 w-7 p-0 text-gray-400 hover:text-red-600"
+                        title="Cancel"
+                      >
+                        <X className="w-3 h-3" />
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
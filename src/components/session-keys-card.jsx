@@ -0,0 +1,355 @@
+import React, { useState } from "react";
+import { KeyRound, X } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useToast } from "@/hooks/use-toast";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { useSessionKeys } from "@/hooks/use-session-keys";
+import { TokenIcon } from "@/components/token-selector";
+import { formatTokenAmount } from "@/lib/erc20";
+import { isNativeToken } from "@/lib/tokens";
+import { SESSION_KEY_STATUS, isSessionKeyUsable } from "@/lib/session-keys";
+
+const EXPIRY_OPTIONS = [
+  { value: 60 * 60, label: "1 hour" },
+  { value: 24 * 60 * 60, label: "24 hours" },
+  { value: 7 * 24 * 60 * 60, label: "7 days" },
+  { value: 30 * 24 * 60 * 60, label: "30 days" },
+];
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+const emptyForm = {
+  tokenAddresses: [],
+  maxAmountPerTx: "",
+  spendingCap: "",
+  expiresIn: EXPIRY_OPTIONS[1].value,
+};
+
+const truncateAddress = (address) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatExpiry = (expiresAt) => new Date(expiresAt * 1000).toLocaleString();
+
+const describeKeyStatus = (record) => {
+  if (record.status === SESSION_KEY_STATUS.REVOKED) return "Revoked";
+  return isSessionKeyUsable(record)
+    ? `Expires ${formatExpiry(record.policy.expiresAt)}`
+    : `Expired ${formatExpiry(record.policy.expiresAt)}`;
+};
+
+// Create, list and revoke session keys: browser-held keys that can send
+// small ERC-20 transfers without the owner key, within a per-transaction
+// limit, a total cap and an expiry
+export function SessionKeysCard() {
+  const [formData, setFormData] = useState(emptyForm);
+
+  const { isConnected } = useWeb3();
+  const { tokens } = useTokenRegistry();
+  const { sessionKeys, isLoading, createKey, revokeKey } = useSessionKeys();
+  const { toast } = useToast();
+
+  const erc20Tokens = tokens.filter((token) => !isNativeToken(token));
+
+  const toggleToken = (address) =>
+    setFormData((prev) => ({
+      ...prev,
+      tokenAddresses: prev.tokenAddresses.includes(address)
+        ? prev.tokenAddresses.filter((item) => item !== address)
+        : [...prev.tokenAddresses, address],
+    }));
+
+  const handleInputChange = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const { maxAmountPerTx, spendingCap } = formData;
+    if (
+      !AMOUNT_PATTERN.test(maxAmountPerTx) ||
+      !AMOUNT_PATTERN.test(spendingCap) ||
+      Number(maxAmountPerTx) <= 0
+    ) {
+      toast({
+        title: "Invalid limits",
+        description: "Enter positive amounts for both limits.",
+        variant: "destructive",
+      });
+      return;
+    }
+    if (Number(spendingCap) < Number(maxAmountPerTx)) {
+      toast({
+        title: "Invalid limits",
+        description: "The spending cap can't be below the per-transfer limit.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    const policy = {
+      tokens: erc20Tokens
+        .filter((token) => formData.tokenAddresses.includes(token.address))
+        .map(({ address, symbol, decimals }) => ({
+          address,
+          symbol,
+          decimals,
+        })),
+      maxAmountPerTx,
+      spendingCap,
+      expiresAt: Math.floor(Date.now() / 1000) + Number(formData.expiresIn),
+    };
+
+    createKey.mutate(policy, {
+      onSuccess: (record) => {
+        toast({
+          title: "Session key enabled",
+          description: `Matching transfers will be signed by ${truncateAddress(
+            record.sessionKeyAddress
+          )} until ${formatExpiry(policy.expiresAt)}.`,
+        });
+        setFormData(emptyForm);
+      },
+      onError: (error) => {
+        toast({
+          title: "Could not enable session key",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const handleRevoke = (record) => {
+    revokeKey.mutate(record, {
+      onSuccess: () => {
+        toast({
+          title: "Session key revoked",
+          description: `${truncateAddress(
+            record.sessionKeyAddress
+          )} can no longer sign for this wallet.`,
+        });
+      },
+      onError: (error) => {
+        toast({
+          title: "Could not revoke session key",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const activeKeys = sessionKeys.filter(
+    (record) => record.status === SESSION_KEY_STATUS.ACTIVE
+  );
+  const inactiveKeys = sessionKeys.filter(
+    (record) => record.status !== SESSION_KEY_STATUS.ACTIVE
+  );
+
+  const renderKey = (record) => (
+    <li
+      key={record.id}
+      className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+    >
+      <div className="min-w-0">
+        <p className="text-sm font-medium text-gray-900 font-mono">
+          {truncateAddress(record.sessionKeyAddress)}
+        </p>
+        <p className="text-xs text-gray-500">
+          Up to {record.policy.maxAmountPerTx} per transfer,{" "}
+          {record.policy.spendingCap} in total{" "}
+          {record.policy.maxTransfers
+            ? `(at most ${record.policy.maxTransfers} transfers on-chain)`
+            : "(tracked on this device only)"}{" "}
+          · {describeKeyStatus(record)}
+        </p>
+        <ul className="text-xs text-gray-500">
+          {record.policy.tokens.map((token) => (
+            <li key={token.address}>
+              {token.symbol}: spent{" "}
+              {formatTokenAmount(
+                BigInt(record.spent?.[token.address] || 0),
+                token.decimals
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+      {record.status === SESSION_KEY_STATUS.ACTIVE && (
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => handleRevoke(record)}
+          disabled={revokeKey.isPending}
+          className="text-gray-400 hover:text-red-600"
+          title="Revoke session key"
+        >
+          {revokeKey.isPending && revokeKey.variables?.id === record.id ? (
+            <LoadingSpinner size="sm" />
+          ) : (
+            <X className="w-4 h-4" />
+          )}
+        </Button>
+      )}
+    </li>
+  );
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <KeyRound className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Session Keys
+            </h3>
+            <p className="text-sm text-gray-600">
+              Send small token transfers without signing with your owner key
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+          <div>
+            <Label className="text-sm font-medium text-gray-700 mb-2">
+              Allowed tokens
+            </Label>
+            <div className="flex flex-wrap gap-3">
+              {erc20Tokens.map((token) => (
+                <label
+                  key={token.address}
+                  className="flex items-center space-x-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.tokenAddresses.includes(token.address)}
+                    onChange={() => toggleToken(token.address)}
+                    disabled={createKey.isPending}
+                  />
+                  <TokenIcon token={token} className="w-5 h-5" />
+                  <span>{token.symbol}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid sm:grid-cols-3 gap-3">
+            <div>
+              <Label
+                htmlFor="sessionMaxAmount"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Max per transfer
+              </Label>
+              <Input
+                id="sessionMaxAmount"
+                type="number"
+                placeholder="0.00"
+                step="any"
+                min="0"
+                value={formData.maxAmountPerTx}
+                onChange={(e) =>
+                  handleInputChange("maxAmountPerTx", e.target.value)
+                }
+                disabled={createKey.isPending}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="sessionSpendingCap"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Total cap per token
+              </Label>
+              <Input
+                id="sessionSpendingCap"
+                type="number"
+                placeholder="0.00"
+                step="any"
+                min="0"
+                value={formData.spendingCap}
+                onChange={(e) =>
+                  handleInputChange("spendingCap", e.target.value)
+                }
+                disabled={createKey.isPending}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="sessionExpiry"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Expires after
+              </Label>
+              <select
+                id="sessionExpiry"
+                value={formData.expiresIn}
+                onChange={(e) => handleInputChange("expiresIn", e.target.value)}
+                className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+                disabled={createKey.isPending}
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <Button
+            type="submit"
+            disabled={
+              createKey.isPending ||
+              !isConnected ||
+              formData.tokenAddresses.length === 0 ||
+              !formData.maxAmountPerTx ||
+              !formData.spendingCap
+            }
+            className="w-full bg-primary hover:bg-primary-dark text-white font-medium"
+          >
+            {createKey.isPending && (
+              <LoadingSpinner className="mr-2" size="sm" />
+            )}
+            {createKey.isPending
+              ? "Enabling Session Key..."
+              : "Create Session Key"}
+          </Button>
+        </form>
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner />
+          </div>
+        ) : sessionKeys.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No session keys on this network
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {activeKeys.length > 0 && (
+              <ul className="space-y-2">{activeKeys.map(renderKey)}</ul>
+            )}
+            {inactiveKeys.length > 0 && (
+              <div>
+                <p className="text-xs font-medium text-gray-500 mb-2">
+                  Revoked
+                </p>
+                <ul className="space-y-2 opacity-60">
+                  {inactiveKeys.map(renderKey)}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,277 @@
+import React, { useState } from "react";
+import { ShieldCheck, X } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useToast } from "@/hooks/use-toast";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { useSpendingLimits } from "@/hooks/use-spending-limits";
+import { TokenIcon, TokenSelector } from "@/components/token-selector";
+import { formatTokenAmount } from "@/lib/erc20";
+import { getDefaultToken } from "@/lib/tokens";
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+const emptyForm = { perTransaction: "", daily: "", onChain: false };
+
+// Per-transaction and rolling 24-hour limits per token. Every send from this
+// wallet is checked against them before it is signed.
+export function SpendingLimitsCard() {
+  const [formData, setFormData] = useState(emptyForm);
+  const [token, setToken] = useState(null);
+
+  const { isConnected, hasSpendingLimitPolicy } = useWeb3();
+  const { tokens, getToken } = useTokenRegistry();
+  const { limits, isLoading, saveLimit, removeLimit } = useSpendingLimits();
+  const { toast } = useToast();
+
+  const selectedToken =
+    (token && getToken(token.address)) || getDefaultToken(tokens);
+
+  const handleInputChange = (field, value) =>
+    setFormData((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const { perTransaction, daily } = formData;
+    if (
+      (perTransaction && !AMOUNT_PATTERN.test(perTransaction)) ||
+      (daily && !AMOUNT_PATTERN.test(daily))
+    ) {
+      toast({
+        title: "Invalid limits",
+        description: "Limits must be positive numbers.",
+        variant: "destructive",
+      });
+      return;
+    }
+    if (perTransaction && daily && Number(daily) < Number(perTransaction)) {
+      toast({
+        title: "Invalid limits",
+        description:
+          "The 24-hour limit can't be below the per-transaction limit.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    saveLimit.mutate(
+      {
+        tokenAddress: selectedToken.address,
+        symbol: selectedToken.symbol,
+        decimals: selectedToken.decimals,
+        perTransaction,
+        daily,
+        onChain: formData.onChain,
+      },
+      {
+        onSuccess: (limit) => {
+          toast({
+            title: "Spending limit saved",
+            description: limit.onChain
+              ? `${limit.symbol} limits are enforced here and on-chain.`
+              : `${limit.symbol} transfers over the limit will be blocked.`,
+          });
+          setFormData(emptyForm);
+        },
+        onError: (error) => {
+          toast({
+            title: "Could not save spending limit",
+            description: error.message,
+            variant: "destructive",
+          });
+        },
+      }
+    );
+  };
+
+  const handleRemove = (limit) => {
+    removeLimit.mutate(limit, {
+      onError: (error) => {
+        toast({
+          title: "Could not remove spending limit",
+          description: error.message,
+          variant: "destructive",
+        });
+      },
+    });
+  };
+
+  const isBusy = saveLimit.isPending || removeLimit.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <ShieldCheck className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Spending Limits
+            </h3>
+            <p className="text-sm text-gray-600">
+              Block large or repeated transfers from this wallet
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4 mb-6">
+          <div className="grid sm:grid-cols-3 gap-3">
+            <div>
+              <Label
+                htmlFor="limitToken"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Token
+              </Label>
+              <TokenSelector
+                id="limitToken"
+                value={selectedToken}
+                onChange={setToken}
+                disabled={isBusy}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="limitPerTransaction"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Per transaction
+              </Label>
+              <Input
+                id="limitPerTransaction"
+                type="number"
+                placeholder="No limit"
+                step="any"
+                min="0"
+                value={formData.perTransaction}
+                onChange={(e) =>
+                  handleInputChange("perTransaction", e.target.value)
+                }
+                disabled={isBusy}
+              />
+            </div>
+            <div>
+              <Label
+                htmlFor="limitDaily"
+                className="text-sm font-medium text-gray-700 mb-2"
+              >
+                Per 24 hours
+              </Label>
+              <Input
+                id="limitDaily"
+                type="number"
+                placeholder="No limit"
+                step="any"
+                min="0"
+                value={formData.daily}
+                onChange={(e) => handleInputChange("daily", e.target.value)}
+                disabled={isBusy}
+              />
+            </div>
+          </div>
+
+          <label className="flex items-start space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mt-1"
+              checked={formData.onChain}
+              onChange={(e) => handleInputChange("onChain", e.target.checked)}
+              disabled={isBusy || !hasSpendingLimitPolicy}
+            />
+            <span>
+              Also install on the smart account
+              <span className="block text-xs text-gray-500">
+                {hasSpendingLimitPolicy
+                  ? "Writes the limit to the spending limit policy contract with an owner-signed transaction."
+                  : "No spending limit policy contract is configured for this network."}
+              </span>
+            </span>
+          </label>
+
+          <Button
+            type="submit"
+            disabled={
+              isBusy ||
+              !isConnected ||
+              !selectedToken ||
+              (!formData.perTransaction && !formData.daily)
+            }
+            className="w-full bg-primary hover:bg-primary-dark text-white font-medium"
+          >
+            {saveLimit.isPending && (
+              <LoadingSpinner className="mr-2" size="sm" />
+            )}
+            Save Limit
+          </Button>
+        </form>
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner />
+          </div>
+        ) : limits.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No spending limits on this network
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {limits.map((limit) => (
+              <li
+                key={limit.tokenAddress || "native"}
+                className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg"
+              >
+                <div className="flex items-center space-x-3 min-w-0">
+                  <TokenIcon
+                    token={getToken(limit.tokenAddress) || limit}
+                    className="w-8 h-8"
+                  />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900">
+                      {limit.symbol}
+                      {limit.onChain && (
+                        <span className="ml-2 text-xs font-normal text-green-700">
+                          On-chain
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {limit.perTransaction
+                        ? `${limit.perTransaction} per transaction`
+                        : "No per-transaction limit"}
+                      {" · "}
+                      {limit.daily
+                        ? `${limit.daily} per 24 hours`
+                        : "No 24-hour limit"}
+                    </p>
+                    {limit.spent !== null && (
+                      <p className="text-xs text-gray-500">
+                        {formatTokenAmount(limit.spent, limit.decimals)}{" "}
+                        {limit.symbol} sent in the last 24 hours
+                      </p>
+                    )}
+                  </div>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleRemove(limit)}
+                  disabled={isBusy}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove limit"
+                >
+                  <X className="w-4 h-4" />
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import { Plus, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import { useToast } from "@/hooks/use-toast";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+
+const tokenKey = (token) => token.address || "native";
+
+// Token logo, falling back to the first letter of the symbol
+export function TokenIcon({ token, className }) {
+  const [failed, setFailed] = useState(false);
+
+  if (token?.logoUrl && !failed) {
+    return (
+      <img
+        src={token.logoUrl}
+        alt={token.symbol}
+        onError={() => setFailed(true)}
+        className={cn("w-6 h-6 rounded-full", className)}
+      />
+    );
+  }
+
+  return (
+    <span
+      className={cn(
+        "w-6 h-6 rounded-full bg-gray-200 text-gray-700 text-xs font-semibold flex items-center justify-center",
+        className
+      )}
+    >
+      {token?.symbol?.charAt(0) || "?"}
+    </span>
+  );
+}
+
+// Token picker for the active chain. `filter` narrows the registry (e.g.
+// ERC-20 only); custom tokens can be added by contract address and are
+// checked on-chain before they show up.
+export function TokenSelector({ id, value, onChange, filter, disabled }) {
+  const { tokens, addCustomToken, removeCustomToken } = useTokenRegistry();
+  const { toast } = useToast();
+  const [isAdding, setIsAdding] = useState(false);
+  const [customAddress, setCustomAddress] = useState("");
+  const [isChecking, setIsChecking] = useState(false);
+
+  const options = filter ? tokens.filter(filter) : tokens;
+
+  const handleAdd = async () => {
+    setIsChecking(true);
+    try {
+      const token = await addCustomToken(customAddress);
+      toast({
+        title: "Token added",
+        description: `${token.symbol} (${token.decimals} decimals) is now available.`,
+      });
+      setCustomAddress("");
+      setIsAdding(false);
+      onChange(token);
+    } catch (error) {
+      toast({
+        title: "Could not add token",
+        description:
+          error instanceof Error ? error.message : "Please check the address.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleRemove = () => {
+    removeCustomToken(value.address);
+    onChange(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-2">
+        <TokenIcon
+          key={value ? tokenKey(value) : ""}
+          token={value}
+          className="shrink-0"
+        />
+        <select
+          id={id}
+          value={value ? tokenKey(value) : ""}
+          onChange={(e) =>
+            onChange(
+              options.find((token) => tokenKey(token) === e.target.value) ||
+                null
+            )
+          }
+          className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+          disabled={disabled}
+        >
+          {!value && <option value="">Select a token</option>}
+          {options.map((token) => (
+            <option key={tokenKey(token)} value={tokenKey(token)}>
+              {token.symbol}
+              {token.source === "custom" ? " (custom)" : ""}
+            </option>
+          ))}
+        </select>
+        {value?.source === "custom" && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0 text-gray-400 hover:text-red-600"
+            onClick={handleRemove}
+            disabled={disabled}
+            title="Remove custom token"
+          >
+            <X className="w-4 h-4" />
+          </Button>
+        )}
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          className="h-10 shrink-0"
+          onClick={() => setIsAdding((prev) => !prev)}
+          disabled={disabled}
+          title="Add custom token"
+        >
+          <Plus className="w-4 h-4" />
+        </Button>
+      </div>
+
+      {isAdding && (
+        <div className="flex items-center space-x-2">
+          <Input
+            type="text"
+            placeholder="Token contract address (0x...)"
+            value={customAddress}
+            onChange={(e) => setCustomAddress(e.target.value)}
+            className="font-mono text-sm"
+            disabled={isChecking}
+          />
+          <Button
+            type="button"
+            onClick={handleAdd}
+            disabled={!customAddress || isChecking}
+          >
+            {isChecking ? <LoadingSpinner size="sm" /> : "Add"}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,27 +8,118 @@ import { Send } from "lucide-react";
 import { useZeroDev } from "@/hooks/use-zerodev"; // Changed from useWeb3 to useZeroDev
 import { useAuth } from "@/contexts/auth-context";
 import { useToast } from "@/hooks/use-toast";
-import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { apiRequest } from "@/lib/queryClient";
+import { BALANCES_QUERY_KEY } from "@/hooks/use-balances";
+import { TRANSACTIONS_QUERY_KEY } from "@/hooks/use-transaction-history";
+import {
+  mayHaveBeenSubmitted,
+  runTransactionLifecycle,
+} from "@/lib/transaction-lifecycle";
+import { PreflightError } from "@/lib/preflight";
+import { SpendingLimitError } from "@/lib/spending-limits";
+import { TransactionStatus } from "@/components/transaction-status";
+import { GasPaymentStatus } from "@/components/gas-payment-status";
+import { useDebouncedValue } from "@/hooks/use-debounced-value";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { useRecipientResolution } from "@/hooks/use-ens";
+import { RecipientInput } from "@/components/recipient-input";
+import { AddressWarnings } from "@/components/address-warnings";
+import { useAddressWarnings } from "@/hooks/use-address-warnings";
+import { useReviewSettings } from "@/hooks/use-review-settings";
+import { TransactionReviewDialog } from "@/components/transaction-review-dialog";
+import { TokenSelector } from "@/components/token-selector";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { getDefaultToken, isSameToken } from "@/lib/tokens";
 
 export function TokenTransferCard() {
   const [formData, setFormData] = useState({
     recipient: "",
     amount: "",
   });
+  const [lifecycle, setLifecycle] = useState(null);
+  const [warningsAcknowledged, setWarningsAcknowledged] = useState(false);
+  const [pendingTransfer, setPendingTransfer] = useState(null);
+  const [token, setToken] = useState(null);
 
   // Use the fixed useZeroDev hook instead of useWeb3
   const {
     sendGaslessTransaction,
+    quoteGaslessTransaction,
+    estimateGaslessTransaction,
+    preflightTransaction,
+    trackUserOperation,
+    chain,
     isConnected,
     isConnecting,
     smartAccount,
     getCurrentSmartAccount,
   } = useZeroDev();
   const { user } = useAuth();
+  const { getContactLabel } = useAddressBook();
+  const { tokens, getToken } = useTokenRegistry();
+  const { skipReviewBelow, setSkipReviewBelow, shouldReview } =
+    useReviewSettings();
   const { toast } = useToast();
   const queryClient = useQueryClient();
 
+  // The picked token if it exists on the active chain, else USDC / native
+  const selectedToken =
+    (token && getToken(token.address)) || getDefaultToken(tokens);
+  const tokenAddress = selectedToken?.address || null;
+  const tokenSymbol = selectedToken?.symbol || chain.nativeSymbol;
+  // The "skip review below" threshold is in USDC
+  const isUsdc =
+    !!chain.usdcAddress &&
+    isSameToken(selectedToken, { address: chain.usdcAddress });
+
+  // Hex address or ENS name, resolved as the user types
+  const resolution = useRecipientResolution(formData.recipient);
+  const addressWarnings = useAddressWarnings(resolution.address);
+
+  // Estimate gas while the transfer is edited. Only the review asks the
+  // paymaster, so typing doesn't use up sponsorship quota.
+  const quoteAmount = useDebouncedValue(formData.amount);
+  const canQuote =
+    !!resolution.address &&
+    parseFloat(quoteAmount) > 0 &&
+    !!getCurrentSmartAccount();
+  const gasEstimateQuery = useQuery({
+    queryKey: [
+      "gasEstimate",
+      chain.chainId,
+      resolution.address,
+      quoteAmount,
+      tokenAddress,
+    ],
+    queryFn: () =>
+      estimateGaslessTransaction(resolution.address, quoteAmount, tokenAddress),
+    enabled: canQuote,
+    staleTime: 1000 * 30,
+    retry: false,
+  });
+
+  // The review dialog asks the paymaster about exactly the transfer being
+  // confirmed
+  const reviewQuoteQuery = useQuery({
+    queryKey: [
+      "sponsorship",
+      chain.chainId,
+      pendingTransfer?.recipient,
+      pendingTransfer?.amount,
+      pendingTransfer?.tokenAddress,
+    ],
+    queryFn: () =>
+      quoteGaslessTransaction(
+        pendingTransfer.recipient,
+        pendingTransfer.amount,
+        pendingTransfer.tokenAddress
+      ),
+    enabled: !!pendingTransfer,
+    staleTime: 1000 * 30,
+    retry: false,
+  });
+
   const transferMutation = useMutation({
     mutationFn: async (data) => {
       if (!user) throw new Error("User not authenticated");
@@ -46,6 +137,13 @@ export function TokenTransferCard() {
         currentSmartAccount
       );
 
+      // Block before recording anything if the transfer can't succeed
+      await preflightTransaction(
+        data.recipient,
+        data.amount,
+        data.tokenAddress
+      );
+
       // Create transaction record
       const transactionResponse = await apiRequest(
         "POST",
@@ -54,8 +152,13 @@ export function TokenTransferCard() {
           userId: user.id,
           type: "transfer",
           recipient: data.recipient,
+          recipientLabel: getContactLabel(data.recipient),
+          recipientEns: data.ensName,
           amount: data.amount,
-          tokenSymbol: "USDC",
+          tokenSymbol: data.tokenSymbol,
+          tokenAddress: data.tokenAddress,
+          chainId: chain.chainId,
+          paymasterMode: data.paymasterMode,
         }
       );
 
@@ -66,56 +169,58 @@ export function TokenTransferCard() {
         throw new Error("Failed to create transaction record");
       }
 
-      try {
-        console.log("💸 Sending gasless transaction...");
-        // Send gasless transaction
-        const txHash = await sendGaslessTransaction(
-          data.recipient,
-          data.amount
-        );
-
-        if (!txHash) {
-          throw new Error("Transaction failed - no hash returned");
-        }
+      console.log("💸 Sending gasless transaction...");
+      const { userOpHash, txHash } = await runTransactionLifecycle({
+        transactionId: transaction._id,
+        submit: () =>
+          sendGaslessTransaction(
+            data.recipient,
+            data.amount,
+            data.tokenAddress,
+            { paymasterMode: data.paymasterMode }
+          ),
+        track: trackUserOperation,
+        onStatusChange: (update) =>
+          setLifecycle((prev) => ({ ...prev, ...update })),
+      });
 
-        // Update transaction with success
-        await apiRequest("PATCH", `/api/transactions/${transaction._id}`, {
-          status: "completed",
-          hash: txHash,
-        });
-
-        return { transaction, txHash };
-      } catch (error) {
-        console.error("❌ Transaction failed:", error);
-        // Update transaction with failure
-        if (transaction && transaction._id) {
-          await apiRequest("PATCH", `/api/transactions/${transaction._id}`, {
-            status: "failed",
-            error:
-              error instanceof Error ? error.message : "Transaction failed",
-          });
-        }
-        throw error;
-      }
+      return { transaction, userOpHash, txHash };
     },
-    onSuccess: () => {
+    onSuccess: (_, data) => {
+      const label = getContactLabel(data.recipient) || data.ensName;
       toast({
-        title: "Transfer successful!",
-        description: "Your gasless USDC transfer has been completed.",
+        title: "Transfer confirmed!",
+        description: label
+          ? `Your gasless transfer of ${data.amount} ${data.tokenSymbol} to ${label} has been confirmed on-chain.`
+          : `Your gasless ${data.tokenSymbol} transfer has been confirmed on-chain.`,
       });
       setFormData({ recipient: "", amount: "" });
+      setWarningsAcknowledged(false);
       queryClient.invalidateQueries({
         queryKey: ["/api/users", user?.id, "transactions"],
       });
+      queryClient.invalidateQueries({ queryKey: [TRANSACTIONS_QUERY_KEY] });
+      queryClient.invalidateQueries({ queryKey: [BALANCES_QUERY_KEY] });
     },
     onError: (error) => {
       console.error("🚨 Transfer mutation error:", error);
       toast({
-        title: "Transfer failed",
-        description:
-          error instanceof Error ? error.message : "Please try again.",
+        title:
+          error instanceof SpendingLimitError
+            ? "Blocked by spending limit"
+            : error instanceof PreflightError
+            ? "Transfer blocked"
+            : mayHaveBeenSubmitted(error)
+            ? "Transfer status unknown"
+            : "Transfer failed",
+        description: mayHaveBeenSubmitted(error)
+          ? "It may still go through. Check your history before sending it again."
+          : error instanceof Error
+          ? error.message
+          : "Please try again.",
         variant: "destructive",
       });
+      queryClient.invalidateQueries({ queryKey: [TRANSACTIONS_QUERY_KEY] });
     },
   });
 
@@ -131,6 +236,28 @@ export function TokenTransferCard() {
       return;
     }
 
+    if (!resolution.address) {
+      toast({
+        title: resolution.isResolving
+          ? "Resolving recipient"
+          : "Invalid recipient",
+        description: resolution.isResolving
+          ? "Please wait until the ENS name has resolved."
+          : resolution.error?.message || "Invalid recipient address format",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    if (addressWarnings.length > 0 && !warningsAcknowledged) {
+      toast({
+        title: "Check the recipient",
+        description: "Review the recipient warnings before sending.",
+        variant: "destructive",
+      });
+      return;
+    }
+
     // More reliable connection check
     const currentSmartAccount = getCurrentSmartAccount();
     if (!currentSmartAccount && !isConnecting) {
@@ -143,6 +270,7 @@ export function TokenTransferCard() {
       return;
     }
 
+    setLifecycle(null);
     console.log("📋 Form submitted with data:", formData);
     console.log("🔗 Smart account status:", {
       isConnected,
@@ -151,11 +279,39 @@ export function TokenTransferCard() {
       currentSmartAccount,
     });
 
-    transferMutation.mutate(formData);
+    // Send to the address shown in the preview, not a fresh lookup
+    const transfer = {
+      ...formData,
+      recipient: resolution.address,
+      ensName: resolution.ensName,
+      tokenAddress,
+      tokenSymbol,
+    };
+
+    if (shouldReview(transfer.amount, tokenAddress)) {
+      setPendingTransfer(transfer);
+      return;
+    }
+
+    // Without a review, sponsorship is requested when the transfer is sent
+    transferMutation.mutate(transfer);
+  };
+
+  const handleConfirmReview = ({ skipReviewBelow: threshold }) => {
+    if (!reviewQuoteQuery.data) return;
+    if (threshold) setSkipReviewBelow(threshold);
+
+    const transfer = pendingTransfer;
+    setPendingTransfer(null);
+    transferMutation.mutate({
+      ...transfer,
+      paymasterMode: reviewQuoteQuery.data.paymasterMode,
+    });
   };
 
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
+    if (field === "recipient") setWarningsAcknowledged(false);
   };
 
   // More sophisticated connection status
@@ -179,7 +335,7 @@ export function TokenTransferCard() {
               Gasless Transfer
             </h3>
             <p className="text-sm text-gray-600">
-              Send USDC without paying gas fees
+              Send tokens without paying gas fees
             </p>
             {/* Debug info - remove in production */}
             <p className="text-xs text-gray-400 mt-1">
@@ -197,15 +353,34 @@ export function TokenTransferCard() {
               htmlFor="recipientAddress"
               className="text-sm font-medium text-gray-700 mb-2"
             >
-              Recipient Address
+              Recipient Address or ENS Name
             </Label>
-            <Input
+            <RecipientInput
               id="recipientAddress"
-              type="text"
-              placeholder="0x..."
               value={formData.recipient}
-              onChange={(e) => handleInputChange("recipient", e.target.value)}
-              className="font-mono text-sm"
+              onChange={(value) => handleInputChange("recipient", value)}
+              resolution={resolution}
+              disabled={transferMutation.isPending}
+            />
+          </div>
+
+          <AddressWarnings
+            warnings={addressWarnings}
+            acknowledged={warningsAcknowledged}
+            onAcknowledge={setWarningsAcknowledged}
+          />
+
+          <div>
+            <Label
+              htmlFor="transferToken"
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              Token
+            </Label>
+            <TokenSelector
+              id="transferToken"
+              value={selectedToken}
+              onChange={setToken}
               disabled={transferMutation.isPending}
             />
           </div>
@@ -215,25 +390,39 @@ export function TokenTransferCard() {
               htmlFor="transferAmount"
               className="text-sm font-medium text-gray-700 mb-2"
             >
-              Amount (USDC)
+              Amount ({tokenSymbol})
             </Label>
             <div className="relative">
               <Input
                 id="transferAmount"
                 type="number"
                 placeholder="0.00"
-                step="0.01"
+                step="any"
                 min="0"
                 value={formData.amount}
                 onChange={(e) => handleInputChange("amount", e.target.value)}
                 disabled={transferMutation.isPending}
               />
               <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
-                <span className="text-gray-500 text-sm font-medium">USDC</span>
+                <span className="text-gray-500 text-sm font-medium">
+                  {tokenSymbol}
+                </span>
               </div>
             </div>
           </div>
 
+          {canQuote && !lifecycle && (
+            <GasPaymentStatus
+              quote={gasEstimateQuery.data}
+              isLoading={gasEstimateQuery.isFetching}
+              error={gasEstimateQuery.error}
+              isEstimate
+              nativeSymbol={chain.nativeSymbol}
+            />
+          )}
+
+          <TransactionStatus lifecycle={lifecycle} />
+
           <Button
             type="submit"
             disabled={
@@ -258,6 +447,30 @@ export function TokenTransferCard() {
             )}
           </Button>
         </form>
+
+        <TransactionReviewDialog
+          open={!!pendingTransfer}
+          onOpenChange={(open) => !open && setPendingTransfer(null)}
+          title="Review transfer"
+          review={
+            pendingTransfer && {
+              recipient: {
+                address: pendingTransfer.recipient,
+                ensName: pendingTransfer.ensName,
+                label: getContactLabel(pendingTransfer.recipient),
+              },
+              amount: pendingTransfer.amount,
+              tokenSymbol: pendingTransfer.tokenSymbol,
+            }
+          }
+          chain={chain}
+          quote={reviewQuoteQuery.data}
+          isQuoting={reviewQuoteQuery.isPending || reviewQuoteQuery.isFetching}
+          quoteError={reviewQuoteQuery.error}
+          skipReviewBelow={skipReviewBelow}
+          onConfirm={handleConfirmReview}
+          allowSkipSetting={isUsdc}
+        />
       </CardContent>
     </Card>
   );
@@ -0,0 +1,127 @@
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import {
+  EMPTY_HISTORY_FILTERS,
+  useFetchAllTransactions,
+} from "@/hooks/use-transaction-history";
+import {
+  downloadFile,
+  transactionsToCsv,
+  transactionsToJson,
+} from "@/lib/transaction-export";
+
+const EXPORT_FORMATS = {
+  csv: {
+    label: "CSV",
+    mimeType: "text/csv;charset=utf-8",
+    serialize: transactionsToCsv,
+  },
+  json: {
+    label: "JSON",
+    mimeType: "application/json",
+    serialize: transactionsToJson,
+  },
+};
+
+// Download the user's transactions in a date range as CSV or JSON
+export function TransactionExport() {
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [exportingFormat, setExportingFormat] = useState(null);
+  const fetchAllTransactions = useFetchAllTransactions();
+  const { toast } = useToast();
+
+  const handleExport = async (format) => {
+    const { mimeType, serialize } = EXPORT_FORMATS[format];
+
+    setExportingFormat(format);
+    try {
+      const transactions = await fetchAllTransactions({
+        ...EMPTY_HISTORY_FILTERS,
+        ...range,
+      });
+
+      const period =
+        range.from || range.to
+          ? `${range.from || "start"}_to_${range.to || "today"}`
+          : "all";
+      downloadFile(
+        `transactions_${period}.${format}`,
+        serialize(transactions),
+        mimeType
+      );
+
+      toast({
+        title: "Export ready",
+        description: `${transactions.length} transaction${
+          transactions.length === 1 ? "" : "s"
+        } exported as ${EXPORT_FORMATS[format].label}.`,
+      });
+    } catch (error) {
+      console.error("❌ Transaction export failed:", error);
+      toast({
+        title: "Export failed",
+        description:
+          error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 py-3 px-3 bg-gray-50 rounded-lg">
+      <div>
+        <Label htmlFor="exportFrom" className="text-xs text-gray-600">
+          Export from
+        </Label>
+        <Input
+          id="exportFrom"
+          type="date"
+          value={range.from}
+          max={range.to || undefined}
+          onChange={(e) =>
+            setRange((prev) => ({ ...prev, from: e.target.value }))
+          }
+          className="h-9"
+        />
+      </div>
+      <div>
+        <Label htmlFor="exportTo" className="text-xs text-gray-600">
+          To
+        </Label>
+        <Input
+          id="exportTo"
+          type="date"
+          value={range.to}
+          min={range.from || undefined}
+          onChange={(e) =>
+            setRange((prev) => ({ ...prev, to: e.target.value }))
+          }
+          className="h-9"
+        />
+      </div>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <Button
+          key={format}
+          variant="outline"
+          size="sm"
+          onClick={() => handleExport(format)}
+          disabled={!!exportingFormat}
+        >
+          {exportingFormat === format ? (
+            <LoadingSpinner className="mr-2" size="sm" />
+          ) : (
+            <Download className="w-4 h-4 mr-2" />
+          )}
+          {label}
+        </Button>
+      ))}
+    </div>
+  );
+}
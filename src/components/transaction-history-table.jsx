@@ -0,0 +1,392 @@
+import React, { Fragment, useState } from "react";
+import { ChevronDown, ChevronRight, ExternalLink } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import { chains, getChain, getExplorerTxUrl } from "@/lib/chains";
+import { TRANSACTION_STATUS } from "@/lib/transaction-lifecycle";
+import { GAS_PAYMENT_LABELS } from "@/components/gas-payment-status";
+import {
+  EMPTY_HISTORY_FILTERS,
+  useTransactionHistory,
+} from "@/hooks/use-transaction-history";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { useEnsName } from "@/hooks/use-ens";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+
+const STATUS_STYLES = {
+  [TRANSACTION_STATUS.PENDING]: "bg-gray-100 text-gray-700",
+  [TRANSACTION_STATUS.SUBMITTED]: "bg-blue-100 text-blue-700",
+  [TRANSACTION_STATUS.INCLUDED]: "bg-amber-100 text-amber-700",
+  [TRANSACTION_STATUS.CONFIRMED]: "bg-green-100 text-green-700",
+  [TRANSACTION_STATUS.FAILED]: "bg-red-100 text-red-700",
+};
+
+const DEFAULT_TOKEN_OPTIONS = [
+  "USDC",
+  ...chains.map((chain) => chain.nativeSymbol),
+];
+
+const selectClassName =
+  "h-9 w-full rounded-md border border-input bg-background px-2 text-sm";
+
+const truncateHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-8)}`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+function HashLink({ chainId, hash }) {
+  const url = getExplorerTxUrl(getChain(chainId), hash);
+  if (!url) return <span className="font-mono">{hash}</span>;
+
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="inline-flex items-center font-mono text-primary hover:underline"
+    >
+      {truncateHash(hash)}
+      <ExternalLink className="w-3 h-3 ml-1" />
+    </a>
+  );
+}
+
+// Contact label, the ENS name used when sending, or the address' primary
+// ENS name, falling back to the truncated address
+function RecipientName({ address, label, ensName }) {
+  const reverseName = useEnsName(label || ensName ? null : address);
+  const name = label || ensName || reverseName;
+
+  if (!address) return "—";
+  if (name) return <span title={address}>{name}</span>;
+  return (
+    <span className="font-mono">{`${address.slice(0, 6)}...${address.slice(
+      -4
+    )}`}</span>
+  );
+}
+
+function TransactionDetail({ transaction, recipientLabel }) {
+  const chain = getChain(transaction.chainId);
+
+  return (
+    <div className="space-y-2 text-xs text-gray-600">
+      <div className="grid sm:grid-cols-2 gap-2">
+        <p>
+          <span className="font-medium">Transaction hash: </span>
+          {transaction.hash ? (
+            <HashLink chainId={transaction.chainId} hash={transaction.hash} />
+          ) : (
+            "—"
+          )}
+        </p>
+        <p className="truncate">
+          <span className="font-medium">UserOperation: </span>
+          <span className="font-mono">{transaction.userOpHash || "—"}</span>
+        </p>
+        <p>
+          <span className="font-medium">Network: </span>
+          {chain?.name || transaction.chainId || "—"}
+        </p>
+        <p>
+          <span className="font-medium">Gas: </span>
+          {GAS_PAYMENT_LABELS[transaction.paymasterMode] || "—"}
+        </p>
+        <p className="sm:col-span-2 truncate">
+          <span className="font-medium">Recipient: </span>
+          {(recipientLabel || transaction.recipientEns) && (
+            <span>{recipientLabel || transaction.recipientEns} </span>
+          )}
+          <span className="font-mono">{transaction.recipient || "—"}</span>
+        </p>
+      </div>
+
+      {transaction.error && (
+        <p className="text-red-600">
+          <span className="font-medium">Error: </span>
+          {transaction.error}
+        </p>
+      )}
+
+      {transaction.batchOperations?.length > 0 && (
+        <div>
+          <p className="font-medium mb-1">Batch operations</p>
+          <ol className="space-y-1 list-decimal list-inside">
+            {transaction.batchOperations.map((operation, index) => (
+              <li key={index}>
+                {operation.description || operation.type}
+                {operation.recipient && (
+                  <span className="font-mono text-gray-500">
+                    {" "}
+                    → {operation.recipient}
+                  </span>
+                )}
+                {operation.memo && (
+                  <span className="text-gray-500"> ({operation.memo})</span>
+                )}
+                {operation.status && (
+                  <span
+                    className={cn(
+                      "ml-2 px-1.5 rounded",
+                      STATUS_STYLES[operation.status]
+                    )}
+                  >
+                    {operation.status}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Paginated, filterable table of the user's /api/transactions records
+export function TransactionHistoryTable() {
+  const [filters, setFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const { tokens } = useTokenRegistry();
+  const tokenOptions = [
+    ...new Set([
+      ...DEFAULT_TOKEN_OPTIONS,
+      ...tokens.map((token) => token.symbol),
+    ]),
+  ];
+  const { getContactLabel } = useAddressBook();
+
+  const { transactions, total, pageCount, isLoading, isFetching, error } =
+    useTransactionHistory(filters, page);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <div>
+          <Label htmlFor="historyType" className="text-xs text-gray-600">
+            Type
+          </Label>
+          <select
+            id="historyType"
+            value={filters.type}
+            onChange={(e) => handleFilterChange("type", e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All types</option>
+            <option value="transfer">Transfer</option>
+            <option value="batch">Batch</option>
+            <option value="payout">Payout</option>
+          </select>
+        </div>
+        <div>
+          <Label htmlFor="historyStatus" className="text-xs text-gray-600">
+            Status
+          </Label>
+          <select
+            id="historyStatus"
+            value={filters.status}
+            onChange={(e) => handleFilterChange("status", e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All statuses</option>
+            {Object.values(TRANSACTION_STATUS).map((status) => (
+              <option key={status} value={status}>
+                {status}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <Label htmlFor="historyToken" className="text-xs text-gray-600">
+            Token
+          </Label>
+          <select
+            id="historyToken"
+            value={filters.tokenSymbol}
+            onChange={(e) => handleFilterChange("tokenSymbol", e.target.value)}
+            className={selectClassName}
+          >
+            <option value="">All tokens</option>
+            {tokenOptions.map((symbol) => (
+              <option key={symbol} value={symbol}>
+                {symbol}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <Label htmlFor="historyFrom" className="text-xs text-gray-600">
+            From
+          </Label>
+          <Input
+            id="historyFrom"
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => handleFilterChange("from", e.target.value)}
+            className="h-9"
+          />
+        </div>
+        <div>
+          <Label htmlFor="historyTo" className="text-xs text-gray-600">
+            To
+          </Label>
+          <Input
+            id="historyTo"
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => handleFilterChange("to", e.target.value)}
+            className="h-9"
+          />
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-600 py-6 text-center">
+          Could not load transactions: {error.message}
+        </p>
+      ) : transactions.length === 0 ? (
+        <p className="text-sm text-gray-500 py-6 text-center">
+          No transactions found
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-left text-xs text-gray-500">
+                <th className="w-6 py-2" />
+                <th className="py-2 pr-3 font-medium">Date</th>
+                <th className="py-2 pr-3 font-medium">Type</th>
+                <th className="py-2 pr-3 font-medium">Recipient</th>
+                <th className="py-2 pr-3 font-medium text-right">Amount</th>
+                <th className="py-2 pr-3 font-medium">Status</th>
+                <th className="py-2 font-medium">Hash</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transactions.map((transaction) => {
+                const expanded = expandedId === transaction._id;
+                const recipientLabel =
+                  getContactLabel(transaction.recipient) ||
+                  transaction.recipientLabel;
+
+                return (
+                  <Fragment key={transaction._id}>
+                    <tr
+                      onClick={() =>
+                        setExpandedId(expanded ? null : transaction._id)
+                      }
+                      className="border-b border-gray-100 cursor-pointer hover:bg-gray-50"
+                    >
+                      <td className="py-2 text-gray-400">
+                        {expanded ? (
+                          <ChevronDown className="w-4 h-4" />
+                        ) : (
+                          <ChevronRight className="w-4 h-4" />
+                        )}
+                      </td>
+                      <td className="py-2 pr-3 whitespace-nowrap text-gray-600">
+                        {formatDate(transaction.createdAt)}
+                      </td>
+                      <td className="py-2 pr-3 capitalize">
+                        {transaction.type}
+                      </td>
+                      <td className="py-2 pr-3 text-xs">
+                        <RecipientName
+                          address={transaction.recipient}
+                          label={recipientLabel}
+                          ensName={transaction.recipientEns}
+                        />
+                      </td>
+                      <td className="py-2 pr-3 text-right whitespace-nowrap">
+                        {transaction.amount} {transaction.tokenSymbol}
+                      </td>
+                      <td className="py-2 pr-3">
+                        <span
+                          className={cn(
+                            "px-2 py-0.5 rounded-full text-xs font-medium",
+                            STATUS_STYLES[transaction.status] ||
+                              STATUS_STYLES[TRANSACTION_STATUS.PENDING]
+                          )}
+                        >
+                          {transaction.status}
+                        </span>
+                      </td>
+                      <td
+                        className="py-2 text-xs"
+                        onClick={(e) => e.stopPropagation()}
+                      >
+                        {transaction.hash ? (
+                          <HashLink
+                            chainId={transaction.chainId}
+                            hash={transaction.hash}
+                          />
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                    {expanded && (
+                      <tr className="border-b border-gray-100 bg-gray-50">
+                        <td />
+                        <td colSpan={6} className="py-3 pr-3">
+                          <TransactionDetail
+                            transaction={transaction}
+                            recipientLabel={recipientLabel}
+                          />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm text-gray-600">
+        <span className="flex items-center">
+          {total} transaction{total === 1 ? "" : "s"}
+          {isFetching && !isLoading && (
+            <LoadingSpinner className="ml-2" size="sm" />
+          )}
+        </span>
+        <div className="flex items-center space-x-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page <= 1}
+          >
+            Previous
+          </Button>
+          <span>
+            Page {page} of {pageCount}
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page >= pageCount}
+          >
+            Next
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
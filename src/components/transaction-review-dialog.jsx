@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { GasPaymentStatus } from "@/components/gas-payment-status";
+import { formatTokenAmount } from "@/lib/erc20";
+import { PAYMASTER_MODE } from "@/lib/paymaster";
+
+function ReviewRow({ label, children }) {
+  return (
+    <div className="flex items-start justify-between gap-4 py-2 border-b border-gray-100 last:border-0">
+      <span className="text-sm text-gray-600 shrink-0">{label}</span>
+      <div className="text-sm text-gray-900 text-right min-w-0">{children}</div>
+    </div>
+  );
+}
+
+function RecipientSummary({ recipient }) {
+  const name = recipient.label || recipient.ensName;
+
+  return (
+    <>
+      {name && <p className="font-medium">{name}</p>}
+      {recipient.label && recipient.ensName && (
+        <p className="text-xs text-gray-500">{recipient.ensName}</p>
+      )}
+      <p className="font-mono text-xs break-all">{recipient.address}</p>
+    </>
+  );
+}
+
+function FeeEstimate({ quote, chain }) {
+  if (typeof quote?.estimatedFee !== "bigint") return "—";
+
+  const fee = `${formatTokenAmount(quote.estimatedFee, 18)} ${
+    chain.nativeSymbol
+  }`;
+  if (quote.paymasterMode === PAYMASTER_MODE.SPONSORED) {
+    return <span className="text-success">Free (up to {fee} sponsored)</span>;
+  }
+  if (quote.paymasterMode === PAYMASTER_MODE.ERC20) {
+    return `Up to ${fee} equivalent, paid in USDC`;
+  }
+  return `Up to ${fee}`;
+}
+
+// Full review of a transfer or batch before it is signed. `review` holds
+// { recipient, amount, tokenSymbol, operations, chunkCount } for what is
+// about to be sent; confirming may also save the "don't ask again under X
+// USDC" setting.
+export function TransactionReviewDialog({
+  open,
+  onOpenChange,
+  title,
+  review,
+  chain,
+  quote,
+  isQuoting,
+  quoteError,
+  skipReviewBelow,
+  onConfirm,
+  allowSkipSetting = true,
+}) {
+  const [skipEnabled, setSkipEnabled] = useState(false);
+  const [skipAmount, setSkipAmount] = useState("");
+
+  useEffect(() => {
+    if (open) {
+      setSkipEnabled(false);
+      setSkipAmount(skipReviewBelow ? String(skipReviewBelow) : "10");
+    }
+  }, [open, skipReviewBelow]);
+
+  if (!review) return null;
+
+  const handleConfirm = () => {
+    onConfirm({
+      skipReviewBelow:
+        allowSkipSetting && skipEnabled && parseFloat(skipAmount) > 0
+          ? skipAmount
+          : null,
+    });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>
+            Check every detail. Confirming signs and submits the transaction.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div>
+          {review.recipient && (
+            <ReviewRow label="Recipient">
+              <RecipientSummary recipient={review.recipient} />
+            </ReviewRow>
+          )}
+          {review.amount && (
+            <ReviewRow label="Amount">
+              <span className="font-semibold">
+                {review.amount} {review.tokenSymbol}
+              </span>
+            </ReviewRow>
+          )}
+          {review.chunkCount > 1 && (
+            <ReviewRow label="UserOperations">
+              {review.chunkCount}, sent one after another
+            </ReviewRow>
+          )}
+          <ReviewRow label="Network">
+            {chain.name}
+            {chain.testnet ? " (testnet)" : ""}
+          </ReviewRow>
+          <ReviewRow label="Gas">
+            <GasPaymentStatus
+              quote={quote}
+              isLoading={isQuoting}
+              error={quoteError}
+            />
+          </ReviewRow>
+          <ReviewRow label="Estimated fee">
+            {isQuoting ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <FeeEstimate quote={quote} chain={chain} />
+            )}
+          </ReviewRow>
+        </div>
+
+        {review.operations?.length > 0 && (
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">
+              Operations ({review.operations.length})
+            </p>
+            <ol className="space-y-2">
+              {review.operations.map((operation) => (
+                <li
+                  key={operation.id}
+                  className="py-2 px-3 bg-gray-50 rounded-lg text-xs"
+                >
+                  <p className="text-sm font-medium text-gray-900">
+                    {operation.index + 1}. {operation.description}
+                  </p>
+                  {operation.recipient && (
+                    <p className="font-mono text-gray-600 break-all">
+                      {operation.kind === "approve" ? "spender" : "to"}{" "}
+                      {operation.recipient}
+                    </p>
+                  )}
+                  <p className="font-mono text-gray-500 break-all">
+                    contract {operation.to}
+                  </p>
+                  {operation.value !== "0.0" && (
+                    <p className="text-gray-600">
+                      value {operation.value} {chain.nativeSymbol}
+                    </p>
+                  )}
+                  {operation.kind === "call" && (
+                    <p className="font-mono text-gray-400 break-all">
+                      data {operation.data}
+                    </p>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        {allowSkipSetting && (
+          <label className="flex items-center flex-wrap gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={skipEnabled}
+              onChange={(e) => setSkipEnabled(e.target.checked)}
+            />
+            Don't ask again for transfers under
+            <Input
+              type="number"
+              min="0"
+              step="0.01"
+              value={skipAmount}
+              onChange={(e) => setSkipAmount(e.target.value)}
+              disabled={!skipEnabled}
+              className="h-8 w-24"
+            />
+            USDC
+          </label>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            disabled={isQuoting || !!quoteError}
+            className="bg-primary hover:bg-primary-dark text-white"
+          >
+            Confirm & Sign
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
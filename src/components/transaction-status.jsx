@@ -0,0 +1,86 @@
+import React from "react";
+import { Check, X } from "lucide-react";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { cn } from "@/lib/utils";
+import {
+  TRANSACTION_STATUS,
+  TRANSACTION_STATUS_STEPS,
+} from "@/lib/transaction-lifecycle";
+
+// Live progress of a transaction through its lifecycle steps
+export function TransactionStatus({ lifecycle }) {
+  if (!lifecycle) return null;
+
+  const failed = lifecycle.status === TRANSACTION_STATUS.FAILED;
+  const currentIndex = TRANSACTION_STATUS_STEPS.findIndex(
+    (step) => step.status === lifecycle.status
+  );
+  const reachedIndex = failed
+    ? TRANSACTION_STATUS_STEPS.findIndex(
+        (step) =>
+          step.status ===
+          (lifecycle.hash
+            ? TRANSACTION_STATUS.INCLUDED
+            : lifecycle.userOpHash
+            ? TRANSACTION_STATUS.SUBMITTED
+            : TRANSACTION_STATUS.PENDING)
+      )
+    : currentIndex;
+  const done = lifecycle.status === TRANSACTION_STATUS.CONFIRMED;
+
+  return (
+    <div className="py-3 px-3 bg-gray-50 rounded-lg space-y-2">
+      <ol className="flex items-center justify-between">
+        {TRANSACTION_STATUS_STEPS.map((step, index) => {
+          const isComplete =
+            index < reachedIndex || (done && index === reachedIndex);
+          const isActive = index === reachedIndex && !done;
+
+          return (
+            <li key={step.status} className="flex items-center space-x-1">
+              <span
+                className={cn(
+                  "w-5 h-5 rounded-full flex items-center justify-center",
+                  isComplete && "bg-success text-white",
+                  isActive && !failed && "text-primary",
+                  isActive && failed && "bg-red-600 text-white",
+                  !isComplete && !isActive && "bg-gray-200"
+                )}
+              >
+                {isComplete ? (
+                  <Check className="w-3 h-3" />
+                ) : isActive && failed ? (
+                  <X className="w-3 h-3" />
+                ) : isActive ? (
+                  <LoadingSpinner size="sm" />
+                ) : null}
+              </span>
+              <span
+                className={cn(
+                  "text-xs",
+                  isComplete || isActive ? "text-gray-900" : "text-gray-400"
+                )}
+              >
+                {step.label}
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+      {lifecycle.hash && (
+        <p className="text-xs text-gray-500 font-mono truncate">
+          Tx: {lifecycle.hash}
+        </p>
+      )}
+      {failed && lifecycle.error && (
+        <p className="text-xs text-red-600">{lifecycle.error}</p>
+      )}
+      {!failed && !done && lifecycle.error && (
+        <p className="text-xs text-amber-700">
+          Lost track of this transaction ({lifecycle.error}). It may still go
+          through; check your history before sending it again.
+        </p>
+      )}
+    </div>
+  );
+}
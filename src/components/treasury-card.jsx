@@ -0,0 +1,262 @@
+import React, { useState } from "react";
+import { Landmark } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import { useBalances } from "@/hooks/use-balances";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { useTreasuryProposals } from "@/hooks/use-treasuries";
+import { RecipientInput } from "@/components/recipient-input";
+import { TokenSelector } from "@/components/token-selector";
+import { TreasuryOwnersEditor } from "@/components/treasury-owners-editor";
+import { formatTokenAmount } from "@/lib/erc20";
+import { getDefaultToken } from "@/lib/tokens";
+
+const emptyTransfer = { recipient: "", amount: "", description: "" };
+
+// One treasury: balances, owners and threshold, and forms proposing a
+// transfer or an owner change for the co-owners to sign
+export function TreasuryCard({ treasury, ownerAddress }) {
+  const [transfer, setTransfer] = useState(emptyTransfer);
+  const [token, setToken] = useState(null);
+  const [ownerChange, setOwnerChange] = useState(null);
+
+  const balances = useBalances(treasury.address);
+  const { tokens, getToken } = useTokenRegistry();
+  const { proposeTransfer, proposeOwnerChange } = useTreasuryProposals(
+    [treasury],
+    ownerAddress
+  );
+  const { toast } = useToast();
+
+  const selectedToken =
+    (token && getToken(token.address)) || getDefaultToken(tokens);
+
+  const showError = (title) => (error) =>
+    toast({ title, description: error.message, variant: "destructive" });
+
+  const proposedToast = {
+    title: "Proposal created",
+    description: "Your approval is included. Co-owners can sign it now.",
+  };
+
+  const handleTransferChange = (field, value) =>
+    setTransfer((prev) => ({ ...prev, [field]: value }));
+
+  const handleProposeTransfer = (e) => {
+    e.preventDefault();
+    proposeTransfer.mutate(
+      {
+        treasury,
+        to: transfer.recipient.trim(),
+        amount: transfer.amount.trim(),
+        token: selectedToken,
+        description: transfer.description,
+      },
+      {
+        onSuccess: () => {
+          toast(proposedToast);
+          setTransfer(emptyTransfer);
+        },
+        onError: showError("Could not propose transfer"),
+      }
+    );
+  };
+
+  const handleProposeOwnerChange = (e) => {
+    e.preventDefault();
+    proposeOwnerChange.mutate(
+      { treasury, ...ownerChange },
+      {
+        onSuccess: () => {
+          toast(proposedToast);
+          setOwnerChange(null);
+        },
+        onError: showError("Could not propose owner change"),
+      }
+    );
+  };
+
+  const isBusy = proposeTransfer.isPending || proposeOwnerChange.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <Landmark className="text-white w-5 h-5" />
+          </div>
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {treasury.name}
+            </h3>
+            <p className="text-xs text-gray-500 font-mono break-all">
+              {treasury.address}
+            </p>
+          </div>
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-6 mb-6">
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Balances</h4>
+            {balances.isLoading ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <ul className="space-y-1">
+                {(balances.data || []).map((balance) => (
+                  <li
+                    key={balance.address || "native"}
+                    className="flex justify-between text-sm"
+                  >
+                    <span className="text-gray-600">{balance.symbol}</span>
+                    <span className="font-medium text-gray-900">
+                      {formatTokenAmount(balance.balance, balance.decimals)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-700">
+                Owners · threshold {treasury.threshold}
+              </h4>
+              {!ownerChange && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() =>
+                    setOwnerChange({
+                      owners: treasury.owners,
+                      threshold: treasury.threshold,
+                    })
+                  }
+                  disabled={isBusy}
+                >
+                  Change
+                </Button>
+              )}
+            </div>
+            <ul className="space-y-1">
+              {treasury.owners.map((owner) => (
+                <li
+                  key={owner.address}
+                  className="flex justify-between gap-3 text-sm"
+                >
+                  <span className="text-gray-600 truncate">
+                    {owner.label || owner.address}
+                    {owner.address.toLowerCase() ===
+                      ownerAddress?.toLowerCase() && " (you)"}
+                  </span>
+                  <span className="text-gray-900 shrink-0">
+                    weight {owner.weight}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        {ownerChange && (
+          <form
+            onSubmit={handleProposeOwnerChange}
+            className="space-y-4 mb-6 p-4 border border-gray-200 rounded-lg"
+          >
+            <TreasuryOwnersEditor
+              id={`treasury-${treasury._id}`}
+              owners={ownerChange.owners}
+              threshold={ownerChange.threshold}
+              onOwnersChange={(owners) =>
+                setOwnerChange((prev) => ({ ...prev, owners }))
+              }
+              onThresholdChange={(threshold) =>
+                setOwnerChange((prev) => ({ ...prev, threshold }))
+              }
+              disabled={isBusy}
+            />
+            <div className="flex space-x-2">
+              <Button
+                type="submit"
+                disabled={isBusy}
+                className="bg-primary hover:bg-primary-dark text-white font-medium"
+              >
+                {proposeOwnerChange.isPending && (
+                  <LoadingSpinner className="mr-2" size="sm" />
+                )}
+                Propose owner change
+              </Button>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setOwnerChange(null)}
+                disabled={isBusy}
+              >
+                Cancel
+              </Button>
+            </div>
+          </form>
+        )}
+
+        <form onSubmit={handleProposeTransfer} className="space-y-4">
+          <h4 className="text-sm font-medium text-gray-700">
+            Propose a transfer
+          </h4>
+          <RecipientInput
+            id={`treasury-${treasury._id}-recipient`}
+            value={transfer.recipient}
+            onChange={(value) => handleTransferChange("recipient", value)}
+            disabled={isBusy}
+          />
+          <div className="grid sm:grid-cols-2 gap-3">
+            <Input
+              placeholder="Amount"
+              inputMode="decimal"
+              value={transfer.amount}
+              onChange={(e) => handleTransferChange("amount", e.target.value)}
+              disabled={isBusy}
+              aria-label="Amount"
+            />
+            <TokenSelector
+              id={`treasury-${treasury._id}-token`}
+              value={selectedToken}
+              onChange={setToken}
+              disabled={isBusy}
+            />
+          </div>
+          <div>
+            <Label
+              htmlFor={`treasury-${treasury._id}-description`}
+              className="text-sm font-medium text-gray-700 mb-2"
+            >
+              Description (optional)
+            </Label>
+            <Input
+              id={`treasury-${treasury._id}-description`}
+              placeholder="What is this payment for?"
+              value={transfer.description}
+              onChange={(e) =>
+                handleTransferChange("description", e.target.value)
+              }
+              disabled={isBusy}
+            />
+          </div>
+          <Button
+            type="submit"
+            disabled={isBusy || !transfer.recipient || !transfer.amount}
+            className="w-full bg-primary hover:bg-primary-dark text-white font-medium"
+          >
+            {proposeTransfer.isPending && (
+              <LoadingSpinner className="mr-2" size="sm" />
+            )}
+            Propose transfer
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,110 @@
+import React from "react";
+import { Plus, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { MAX_OWNER_WEIGHT } from "@/lib/multisig";
+
+export const emptyOwner = { address: "", weight: 1, label: "" };
+
+// Editable owner rows (address, weight, label) and the approval threshold
+// for a treasury. Validation happens when the owners are submitted.
+export function TreasuryOwnersEditor({
+  id,
+  owners,
+  threshold,
+  onOwnersChange,
+  onThresholdChange,
+  disabled,
+}) {
+  const totalWeight = owners.reduce(
+    (sum, owner) => sum + (Number(owner.weight) || 0),
+    0
+  );
+
+  const updateOwner = (index, field, value) =>
+    onOwnersChange(
+      owners.map((owner, i) =>
+        i === index ? { ...owner, [field]: value } : owner
+      )
+    );
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        {owners.map((owner, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <Input
+              className="flex-1 font-mono"
+              placeholder="Owner address 0x..."
+              value={owner.address}
+              onChange={(e) => updateOwner(index, "address", e.target.value)}
+              disabled={disabled}
+              aria-label={`Owner ${index + 1} address`}
+            />
+            <Input
+              className="w-32"
+              placeholder="Label"
+              value={owner.label}
+              onChange={(e) => updateOwner(index, "label", e.target.value)}
+              disabled={disabled}
+              aria-label={`Owner ${index + 1} label`}
+            />
+            <Input
+              className="w-20"
+              type="number"
+              min="1"
+              max={MAX_OWNER_WEIGHT}
+              value={owner.weight}
+              onChange={(e) => updateOwner(index, "weight", e.target.value)}
+              disabled={disabled}
+              aria-label={`Owner ${index + 1} weight`}
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              onClick={() =>
+                onOwnersChange(owners.filter((_, i) => i !== index))
+              }
+              disabled={disabled || owners.length === 1}
+              aria-label={`Remove owner ${index + 1}`}
+            >
+              <X className="w-4 h-4" />
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onOwnersChange([...owners, emptyOwner])}
+        disabled={disabled}
+      >
+        <Plus className="w-4 h-4 mr-1" />
+        Add owner
+      </Button>
+
+      <div className="flex items-center space-x-3">
+        <Label htmlFor={`${id}-threshold`} className="shrink-0">
+          Approval threshold
+        </Label>
+        <Input
+          id={`${id}-threshold`}
+          className="w-24"
+          type="number"
+          min="1"
+          max={totalWeight || 1}
+          value={threshold}
+          onChange={(e) => onThresholdChange(e.target.value)}
+          disabled={disabled}
+        />
+        <span className="text-sm text-gray-500">
+          of {totalWeight} total weight
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React from "react";
+import { Users } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useToast } from "@/hooks/use-toast";
+import { useTreasuries, useTreasuryProposals } from "@/hooks/use-treasuries";
+
+const truncateAddress = (address) =>
+  `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Pending proposals of this user's treasuries on the active chain. Owners
+// approve or reject them; once the approvals (counting the executing
+// owner's own signature) reach the threshold any owner can execute.
+// `hideWhenEmpty` is used on the dashboard.
+export function TreasuryProposalsCard({ hideWhenEmpty = false }) {
+  const { ownerAddress, treasuries } = useTreasuries();
+  const { pendingProposals, isLoading, approve, reject, execute } =
+    useTreasuryProposals(treasuries, ownerAddress);
+  const { toast } = useToast();
+
+  if (hideWhenEmpty && pendingProposals.length === 0) return null;
+
+  const showError = (title) => (error) =>
+    toast({ title, description: error.message, variant: "destructive" });
+
+  const handleApprove = (item) =>
+    approve.mutate(item, {
+      onSuccess: () =>
+        toast({
+          title: "Proposal approved",
+          description: `Your approval for "${item.proposal.description}" was shared with the other owners.`,
+        }),
+      onError: showError("Could not approve proposal"),
+    });
+
+  const handleReject = (item) =>
+    reject.mutate(item, {
+      onSuccess: () =>
+        toast({
+          title: "Proposal rejected",
+          description: item.proposal.description,
+        }),
+      onError: showError("Could not reject proposal"),
+    });
+
+  const handleExecute = (item) =>
+    execute.mutate(item, {
+      onSuccess: () =>
+        toast({
+          title: "Proposal executed",
+          description: `${item.treasury.name}: ${item.proposal.description}`,
+        }),
+      onError: showError("Could not execute proposal"),
+    });
+
+  const isBusy = approve.isPending || reject.isPending || execute.isPending;
+
+  return (
+    <Card className="shadow-card">
+      <CardContent className="p-6">
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+            <Users className="text-white w-5 h-5" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">
+              Treasury Proposals
+            </h3>
+            <p className="text-sm text-gray-600">
+              Operations waiting for the co-owners' signatures
+            </p>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <LoadingSpinner />
+          </div>
+        ) : pendingProposals.length === 0 ? (
+          <p className="text-sm text-gray-500">No pending proposals.</p>
+        ) : (
+          <ul className="space-y-2">
+            {pendingProposals.map((item) => {
+              const { treasury, proposal, tally } = item;
+              return (
+                <li
+                  key={proposal._id}
+                  className="flex items-center justify-between gap-3 py-2 px-3 bg-gray-50 rounded-lg"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 break-words">
+                      {proposal.description}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {treasury.name} · {tally.approvedWeight} of{" "}
+                      {tally.threshold} approval weight
+                      {tally.rejectedWeight > 0 &&
+                        ` · ${tally.rejectedWeight} rejected`}{" "}
+                      · proposed by {truncateAddress(proposal.proposer)}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2 shrink-0">
+                    {tally.canExecute ? (
+                      <Button
+                        size="sm"
+                        onClick={() => handleExecute(item)}
+                        disabled={isBusy}
+                        className="bg-primary hover:bg-primary-dark text-white"
+                      >
+                        {execute.isPending &&
+                          execute.variables?.proposal._id === proposal._id && (
+                            <LoadingSpinner className="mr-2" size="sm" />
+                          )}
+                        Execute
+                      </Button>
+                    ) : (
+                      !tally.hasApproved && (
+                        <Button
+                          size="sm"
+                          onClick={() => handleApprove(item)}
+                          disabled={isBusy}
+                          className="bg-primary hover:bg-primary-dark text-white"
+                        >
+                          Approve
+                        </Button>
+                      )
+                    )}
+                    {!tally.hasApproved && !tally.hasRejected && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => handleReject(item)}
+                        disabled={isBusy}
+                      >
+                        Reject
+                      </Button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
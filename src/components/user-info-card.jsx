@@ -1,12 +1,20 @@
 import React, { useState } from 'react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { User, Copy, Check } from 'lucide-react';
+import { User, Copy, Check, RefreshCw } from 'lucide-react';
+import { LoadingSpinner } from '@/components/ui/loading-spinner';
 import { useAuth } from '@/contexts/auth-context';
+import { useChain } from '@/contexts/chain-context';
 import { useToast } from '@/hooks/use-toast';
+import { useBalances } from '@/hooks/use-balances';
+import { useEnsName } from '@/hooks/use-ens';
+import { formatTokenAmount } from '@/lib/erc20';
 
 export function UserInfoCard() {
   const { user } = useAuth();
+  const { activeChain } = useChain();
+  const balances = useBalances(user?.walletAddress);
+  const ensName = useEnsName(user?.walletAddress);
   const [copied, setCopied] = useState(false);
   const { toast } = useToast();
 
@@ -49,14 +57,19 @@ export function UserInfoCard() {
         </div>
         
         <div className="space-y-3">
-          <div className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg">
-            <span className="text-sm font-medium text-gray-600">Email:</span>
-            <span className="text-sm text-gray-900 font-mono">{user?.email}</span>
-          </div>
+          {user?.email && (
+            <div className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg">
+              <span className="text-sm font-medium text-gray-600">Email:</span>
+              <span className="text-sm text-gray-900 font-mono">{user.email}</span>
+            </div>
+          )}
           
           <div className="flex items-center justify-between py-2 px-3 bg-gray-50 rounded-lg">
             <span className="text-sm font-medium text-gray-600">Smart Wallet:</span>
             <div className="flex items-center space-x-2">
+              {ensName && (
+                <span className="text-sm text-gray-900 font-medium">{ensName}</span>
+              )}
               <span className="text-sm text-gray-900 font-mono">
                 {user?.walletAddress ? truncateAddress(user.walletAddress) : "Not created"}
               </span>
@@ -72,6 +85,45 @@ export function UserInfoCard() {
               )}
             </div>
           </div>
+
+          {user?.walletAddress && (
+            <div className="py-2 px-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-600">Balances ({activeChain.name}):</span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => balances.refetch()}
+                  disabled={balances.isFetching}
+                  className="h-6 w-6 p-0 text-gray-400 hover:text-primary"
+                >
+                  <RefreshCw className={`w-3 h-3 ${balances.isFetching ? 'animate-spin' : ''}`} />
+                </Button>
+              </div>
+
+              {balances.isLoading ? (
+                <div className="flex items-center text-sm text-gray-500">
+                  <LoadingSpinner className="mr-2" size="sm" />
+                  Loading balances...
+                </div>
+              ) : balances.error ? (
+                <p className="text-sm text-red-600">Could not load balances</p>
+              ) : !balances.data ? (
+                <p className="text-sm text-gray-500">RPC not configured for this network</p>
+              ) : (
+                <div className="space-y-1">
+                  {balances.data.map((token) => (
+                    <div key={token.address || 'native'} className="flex items-center justify-between">
+                      <span className="text-sm text-gray-600">{token.symbol}</span>
+                      <span className="text-sm text-gray-900 font-mono">
+                        {formatTokenAmount(token.balance, token.decimals)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
         </div>
       </CardContent>
     </Card>
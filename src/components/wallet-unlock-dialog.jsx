@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from "react";
+import { Lock } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  setOwnerKeyUnlockHandler,
+  touchOwnerKeys,
+} from "@/lib/owner-key-manager";
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown"];
+
+// Asks for the passphrase whenever a passphrase-protected owner key has to
+// sign while locked, or for a new one when a key is created without a server
+// wrapping key, and keeps unlocked keys alive while the user is active.
+// Mounted once, next to the toaster.
+export function WalletUnlockDialog() {
+  const [request, setRequest] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  useEffect(
+    () =>
+      setOwnerKeyUnlockHandler(
+        ({ address, unlock, isNewKey = false }) =>
+          new Promise((resolve, reject) => {
+            setPassphrase("");
+            setConfirmation("");
+            setError(null);
+            setRequest({ address, unlock, isNewKey, resolve, reject });
+          })
+      ),
+    []
+  );
+
+  useEffect(() => {
+    ACTIVITY_EVENTS.forEach((event) =>
+      window.addEventListener(event, touchOwnerKeys, { passive: true })
+    );
+    return () =>
+      ACTIVITY_EVENTS.forEach((event) =>
+        window.removeEventListener(event, touchOwnerKeys)
+      );
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (request.isNewKey && passphrase !== confirmation) {
+      setError("Passphrases don't match");
+      return;
+    }
+    setIsUnlocking(true);
+    setError(null);
+
+    try {
+      await request.unlock({ passphrase });
+      request.resolve();
+      setRequest(null);
+    } catch (unlockError) {
+      setError(unlockError.message);
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const handleOpenChange = (open) => {
+    if (open || isUnlocking) return;
+    request?.reject(new Error("Wallet unlock was cancelled"));
+    setRequest(null);
+  };
+
+  const isNewKey = !!request?.isNewKey;
+
+  return (
+    <Dialog open={!!request} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-sm">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <Lock className="w-5 h-5" />
+              {isNewKey ? "Protect your wallet key" : "Unlock wallet"}
+            </DialogTitle>
+            <DialogDescription>
+              {isNewKey
+                ? "Choose a passphrase of at least 8 characters to encrypt your wallet key. It can't be recovered if you forget it."
+                : "Enter your wallet passphrase to sign this transaction."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="py-4 space-y-2">
+            <Label htmlFor="unlockPassphrase">Passphrase</Label>
+            <Input
+              id="unlockPassphrase"
+              type="password"
+              autoComplete={isNewKey ? "new-password" : "current-password"}
+              autoFocus
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              disabled={isUnlocking}
+            />
+            {isNewKey && (
+              <>
+                <Label htmlFor="unlockPassphraseConfirm">
+                  Confirm passphrase
+                </Label>
+                <Input
+                  id="unlockPassphraseConfirm"
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  disabled={isUnlocking}
+                />
+              </>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+
+          <DialogFooter>
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => handleOpenChange(false)}
+              disabled={isUnlocking}
+            >
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={
+                isUnlocking || !passphrase || (isNewKey && !confirmation)
+              }
+              className="bg-primary hover:bg-primary-dark text-white"
+            >
+              {isUnlocking && <LoadingSpinner className="mr-2" size="sm" />}
+              {isNewKey ? "Save" : "Unlock"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
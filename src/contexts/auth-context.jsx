@@ -13,7 +13,20 @@ import {
   queryClient,
 } from "@/lib/queryClient";
 import { googleAuth } from "@/lib/google-auth";
+import {
+  fromBase64Url,
+  getPasskeyAssertion,
+  toBase64Url,
+} from "@/lib/webauthn";
 import { safariUtils } from "@/lib/safari-compatibility";
+import {
+  SIWE_ENDPOINT,
+  fetchSiweNonce,
+  getInjectedProvider,
+  rememberSmartAccount,
+  signInWithInjectedProvider,
+  signInWithSmartAccount,
+} from "@/lib/siwe";
 
 const AuthContext = createContext(undefined);
 
@@ -72,6 +85,13 @@ export function AuthProvider({ children }) {
     })();
   }, []);
 
+  // Lets a device-key wallet sign in again with Ethereum after logout
+  useEffect(() => {
+    rememberSmartAccount(user).catch((error) =>
+      console.warn("Could not remember smart account:", error)
+    );
+  }, [user]);
+
   // Function to validate session manually
   const validateSession = async () => {
     if (!user) return false;
@@ -273,7 +293,97 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const updateUserWallet = async (walletAddress) => {
+  // Sign in with a passkey: the server issues a challenge and checks the
+  // assertion against the passkeys registered for the user it belongs to
+  const loginWithPasskey = async () => {
+    setIsLoading(true);
+    try {
+      resetAuthErrorHandling();
+      setIsHandlingAuthError(false);
+      authErrorHandledRef.current = false;
+
+      const optionsResponse = await apiRequest(
+        "POST",
+        "/api/auth/passkey/options"
+      );
+      const assertion = await getPasskeyAssertion({
+        challenge: fromBase64Url(optionsResponse.data.challenge),
+      });
+
+      const response = await apiRequest("POST", "/api/auth/passkey", {
+        credentialId: assertion.credentialId,
+        authenticatorData: toBase64Url(assertion.authenticatorData),
+        clientDataJSON: toBase64Url(
+          new TextEncoder().encode(assertion.clientDataJSON)
+        ),
+        signature: toBase64Url(assertion.signature),
+        userHandle: assertion.userHandle
+          ? toBase64Url(assertion.userHandle)
+          : null,
+      });
+
+      const userData = response.data;
+      setUser(userData);
+      setSessionValidated(true);
+      safariUtils.safeLocalStorage.setItem("user", JSON.stringify(userData));
+      return userData;
+    } catch (error) {
+      console.error("Passkey login error:", error);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Sign-In With Ethereum (EIP-4361): the server issues a nonce, `signIn`
+  // resolves to the signed { message, signature }, and the server verifies
+  // it (ECDSA, or EIP-1271 for contract accounts) before starting the same
+  // cookie session as the other logins
+  const loginWithEthereum = async (signIn) => {
+    setIsLoading(true);
+    try {
+      resetAuthErrorHandling();
+      setIsHandlingAuthError(false);
+      authErrorHandledRef.current = false;
+
+      const nonce = await fetchSiweNonce();
+      const { message, signature } = await signIn(nonce);
+
+      const response = await apiRequest("POST", SIWE_ENDPOINT, {
+        message,
+        signature,
+      });
+
+      const userData = response.data;
+      setUser(userData);
+      setSessionValidated(true);
+      safariUtils.safeLocalStorage.setItem("user", JSON.stringify(userData));
+      return userData;
+    } catch (error) {
+      console.error("Ethereum login error:", error);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // With the browser wallet (EIP-1193 provider)
+  const loginWithWallet = () =>
+    loginWithEthereum((nonce) =>
+      signInWithInjectedProvider(getInjectedProvider(), nonce)
+    );
+
+  // With a smart account remembered on this device (see getSmartAccountLogin)
+  const loginWithSmartAccount = (account) =>
+    loginWithEthereum((nonce) => signInWithSmartAccount(account, nonce));
+
+  // walletPasskeyId is the credential ID a passkey-owned wallet was created
+  // with; it is part of the account address
+  const updateUserWallet = async (
+    walletAddress,
+    walletOwnerType,
+    walletPasskeyId = null
+  ) => {
     if (!user) throw new Error("No user logged in");
 
     // Prevent recursive calls if we're already handling an auth error
@@ -287,6 +397,8 @@ export function AuthProvider({ children }) {
       // Use the simpler endpoint that automatically uses the authenticated user's ID
       const response = await apiRequest("PATCH", `/api/user/wallet`, {
         walletAddress,
+        walletOwnerType,
+        walletPasskeyId,
       });
 
       const updatedUser = response.data;
@@ -423,6 +535,9 @@ export function AuthProvider({ children }) {
         isAuthenticated: !!getValidatedUser(),
         sessionValidated, // Expose session validation status
         login,
+        loginWithPasskey,
+        loginWithWallet,
+        loginWithSmartAccount,
         logout,
         updateUserWallet,
         validateSession,
@@ -0,0 +1,46 @@
+// @/contexts/chain-context.jsx
+
+import React, { createContext, useContext, useState, useCallback } from "react";
+import { chains, defaultChain, getChain } from "@/lib/chains";
+import { safariUtils } from "@/lib/safari-compatibility";
+
+const ACTIVE_CHAIN_KEY = "active_chain_id";
+
+const ChainContext = createContext(undefined);
+
+const getInitialChain = () => {
+  const storedChainId = safariUtils.safeLocalStorage.getItem(ACTIVE_CHAIN_KEY);
+  return (storedChainId && getChain(storedChainId)) || defaultChain;
+};
+
+export function ChainProvider({ children }) {
+  const [activeChain, setActiveChainState] = useState(getInitialChain);
+
+  const setActiveChain = useCallback((chainId) => {
+    const chain = getChain(chainId);
+    if (!chain) {
+      throw new Error(`Unsupported chain: ${chainId}`);
+    }
+
+    console.log("🌐 Switching network:", chain.name);
+    safariUtils.safeLocalStorage.setItem(
+      ACTIVE_CHAIN_KEY,
+      String(chain.chainId)
+    );
+    setActiveChainState(chain);
+  }, []);
+
+  return (
+    <ChainContext.Provider value={{ chains, activeChain, setActiveChain }}>
+      {children}
+    </ChainContext.Provider>
+  );
+}
+
+export function useChain() {
+  const context = useContext(ChainContext);
+  if (context === undefined) {
+    throw new Error("useChain must be used within a ChainProvider");
+  }
+  return context;
+}
@@ -0,0 +1,73 @@
+import { useCallback, useMemo } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { AddressBook, CONTACTS_ENDPOINT } from "@/lib/address-book";
+
+// The signed-in user's saved recipients plus save/remove mutations and the
+// offline edits that failed to sync
+export function useAddressBook() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const addressBook = useMemo(
+    () => (user?.id ? new AddressBook(user.id) : null),
+    [user?.id]
+  );
+  const queryKey = [CONTACTS_ENDPOINT, { userId: user?.id }];
+
+  const contactsQuery = useQuery({
+    queryKey,
+    queryFn: () => addressBook.list(),
+    enabled: !!addressBook,
+    placeholderData: () => addressBook?.getCachedContacts(),
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  const saveContact = useMutation({
+    mutationFn: ({ _id, ...contact }) =>
+      _id ? addressBook.update(_id, contact) : addressBook.create(contact),
+    onSuccess: invalidate,
+  });
+
+  const removeContact = useMutation({
+    mutationFn: (id) => addressBook.remove(id),
+    onSuccess: invalidate,
+  });
+
+  // Offline edits the backend rejected when they were synced
+  const failedChanges = addressBook?.getFailedChanges() ?? [];
+
+  const dismissFailedChanges = () => {
+    addressBook.dismissFailedChanges();
+    invalidate();
+  };
+
+  const contacts = useMemo(
+    () => contactsQuery.data || [],
+    [contactsQuery.data]
+  );
+
+  // Label saved for an address, or null
+  const getContactLabel = useCallback(
+    (address) => {
+      if (!address) return null;
+      const contact = contacts.find(
+        (item) => item.address?.toLowerCase() === address.toLowerCase()
+      );
+      return contact?.label || null;
+    },
+    [contacts]
+  );
+
+  return {
+    contacts,
+    isLoading: contactsQuery.isLoading,
+    error: contactsQuery.error,
+    saveContact,
+    removeContact,
+    getContactLabel,
+    failedChanges,
+    dismissFailedChanges,
+  };
+}
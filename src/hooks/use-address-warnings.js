@@ -0,0 +1,54 @@
+import { useMemo } from "react";
+import { useAuth } from "@/contexts/auth-context";
+import { useChain } from "@/contexts/chain-context";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { useRecentRecipients } from "@/hooks/use-transaction-history";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { getAddressWarnings } from "@/lib/address-safety";
+import { isNativeToken } from "@/lib/tokens";
+
+// Warnings for a resolved recipient address: own wallet, a token contract in
+// the active chain's registry (built-in, configured and custom tokens), or a
+// look-alike of a contact / previous recipient
+export function useAddressWarnings(
+  address,
+  { allowTokenContract = false } = {}
+) {
+  const { user } = useAuth();
+  const { activeChain } = useChain();
+  const { contacts } = useAddressBook();
+  const recentRecipients = useRecentRecipients();
+  const { tokens } = useTokenRegistry();
+
+  return useMemo(() => {
+    const registryTokens = tokens.filter((token) => !isNativeToken(token));
+    // Configured tokens whose metadata couldn't be read aren't in the registry
+    const unreadableTokens = (activeChain.tokenAddresses || [])
+      .filter(
+        (tokenAddress) =>
+          !registryTokens.some(
+            (token) =>
+              token.address.toLowerCase() === tokenAddress.toLowerCase()
+          )
+      )
+      .map((tokenAddress) => ({ address: tokenAddress, symbol: "ERC-20" }));
+
+    const tokenAddresses = allowTokenContract
+      ? []
+      : [...registryTokens, ...unreadableTokens];
+
+    return getAddressWarnings(address, {
+      ownAddress: user?.walletAddress,
+      tokenAddresses,
+      knownAddresses: [...contacts, ...recentRecipients],
+    });
+  }, [
+    address,
+    allowTokenContract,
+    activeChain,
+    tokens,
+    user?.walletAddress,
+    contacts,
+    recentRecipients,
+  ]);
+}
@@ -0,0 +1,35 @@
+import { useQuery } from "@tanstack/react-query";
+import { getZeroDevWallet } from "@/lib/zerodev";
+import { useChain } from "@/contexts/chain-context";
+import { useTokenRegistry } from "@/hooks/use-token-registry";
+import { isNativeToken } from "@/lib/tokens";
+
+export const BALANCES_QUERY_KEY = "balances";
+
+// Native + ERC-20 balances of a wallet on the active chain, covering every
+// token in the registry. Mutations that move funds invalidate
+// [BALANCES_QUERY_KEY] once they are confirmed.
+export function useBalances(address) {
+  const { activeChain } = useChain();
+  const { tokens } = useTokenRegistry();
+  const tokenAddresses = tokens
+    .filter((token) => !isNativeToken(token))
+    .map((token) => token.address);
+
+  return useQuery({
+    queryKey: [
+      BALANCES_QUERY_KEY,
+      activeChain.chainId,
+      address,
+      tokenAddresses,
+    ],
+    queryFn: () =>
+      getZeroDevWallet(activeChain.chainId).getBalances(
+        address,
+        tokenAddresses
+      ),
+    enabled: !!address && !!activeChain.rpcUrl,
+    staleTime: 30000,
+    refetchInterval: 60000,
+  });
+}
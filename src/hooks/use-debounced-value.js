@@ -0,0 +1,13 @@
+import { useEffect, useState } from "react";
+
+// Value that only updates once it has stopped changing for `delay` ms
+export function useDebouncedValue(value, delay = 400) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timeout);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
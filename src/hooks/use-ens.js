@@ -0,0 +1,52 @@
+import { useQuery } from "@tanstack/react-query";
+import { ensResolver, isEnsName, resolveRecipient } from "@/lib/ens";
+import { isHexAddress, parseAddress } from "@/lib/address-safety";
+import { useDebouncedValue } from "@/hooks/use-debounced-value";
+
+// Resolve a recipient field (hex address or .eth name) as the user types.
+// `address` is null until the input is a valid, resolved recipient.
+export function useRecipientResolution(value) {
+  const trimmed = (value || "").trim();
+  const input = useDebouncedValue(trimmed);
+
+  const query = useQuery({
+    queryKey: ["ens", "resolve", input.toLowerCase()],
+    queryFn: () => resolveRecipient(input),
+    enabled: isEnsName(input),
+    staleTime: 1000 * 60 * 5,
+    retry: false,
+  });
+
+  if (isHexAddress(trimmed)) {
+    try {
+      const address = parseAddress(trimmed);
+      return { address, ensName: null, isResolving: false, error: null };
+    } catch (error) {
+      return { address: null, ensName: null, isResolving: false, error };
+    }
+  }
+  if (!isEnsName(trimmed)) {
+    return { address: null, ensName: null, isResolving: false, error: null };
+  }
+
+  // Until the debounce settles the query still belongs to an older input
+  const settled = input === trimmed;
+  return {
+    address: settled ? query.data?.address || null : null,
+    ensName: trimmed.toLowerCase(),
+    isResolving: !settled || query.isFetching,
+    error: settled ? query.error : null,
+  };
+}
+
+// Primary ENS name of an address, when a resolver is configured
+export function useEnsName(address) {
+  const { data } = useQuery({
+    queryKey: ["ens", "lookup", address?.toLowerCase()],
+    queryFn: () => ensResolver.lookupAddress(address),
+    enabled: ensResolver.isConfigured() && isHexAddress(address),
+    staleTime: 1000 * 60 * 30,
+    retry: false,
+  });
+  return data || null;
+}
@@ -0,0 +1,54 @@
+import { useEffect } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { getOwnerKeyManager } from "@/lib/owner-key-manager";
+
+export const OWNER_KEY_QUERY_KEY = "owner-key";
+
+// Status of the signed-in user's encrypted owner key on this device (locked
+// or not, how it is protected, idle timeout) plus mutations to unlock, lock
+// and change its protection
+export function useOwnerKey() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const queryKey = [OWNER_KEY_QUERY_KEY, user?.id];
+  const manager = user?.id ? getOwnerKeyManager(user.id) : null;
+
+  const statusQuery = useQuery({
+    queryKey,
+    queryFn: () => manager.getStatus(),
+    enabled: !!manager,
+    staleTime: Infinity,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  // Locking happens outside React (idle timeout, logout)
+  useEffect(() => {
+    if (!manager) return undefined;
+    return manager.subscribe(invalidate);
+  }, [manager]);
+
+  const unlock = useMutation({
+    mutationFn: () => manager.ensureUnlocked(),
+  });
+
+  const lock = () => manager.lock();
+
+  const setProtection = useMutation({
+    mutationFn: ({ passphrase } = {}) => manager.setProtection({ passphrase }),
+  });
+
+  const setIdleTimeout = useMutation({
+    mutationFn: (idleTimeoutMs) => manager.setIdleTimeout(idleTimeoutMs),
+  });
+
+  return {
+    status: statusQuery.data,
+    isLoading: statusQuery.isLoading,
+    unlock,
+    lock,
+    setProtection,
+    setIdleTimeout,
+  };
+}
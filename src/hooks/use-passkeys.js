@@ -0,0 +1,89 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { useWeb3 } from "@/contexts/web3-context";
+import {
+  PASSKEYS_ENDPOINT,
+  WALLET_OWNER_TYPE,
+  deletePasskey,
+  findCreationPasskey,
+  listPasskeys,
+  registerPasskey,
+} from "@/lib/passkeys";
+
+// Passkeys registered for the signed-in user, plus add and remove mutations.
+// On a passkey-owned account each change is also made on the P-256 validator
+// of the active chain, so the passkey can (or can no longer) sign.
+export function usePasskeys() {
+  const { user } = useAuth();
+  const { updateAccountPasskey } = useWeb3();
+  const queryClient = useQueryClient();
+  const queryKey = [PASSKEYS_ENDPOINT, user?.id];
+
+  const isPasskeyOwned = user?.walletOwnerType === WALLET_OWNER_TYPE.PASSKEY;
+
+  const passkeysQuery = useQuery({
+    queryKey,
+    queryFn: listPasskeys,
+    enabled: !!user?.id,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  const addPasskey = useMutation({
+    mutationFn: async (name) => {
+      const passkey = await registerPasskey(user, name);
+      if (isPasskeyOwned) {
+        try {
+          await updateAccountPasskey(passkey);
+        } catch (error) {
+          // Not usable for signing, so don't keep it around for sign-in either
+          await deletePasskey(passkey._id).catch(() => {});
+          throw error;
+        }
+      }
+      return passkey;
+    },
+    onSuccess: invalidate,
+  });
+
+  const removePasskey = useMutation({
+    mutationFn: async (passkey) => {
+      if (isPasskeyOwned) {
+        const passkeys = passkeysQuery.data || [];
+        if (passkeys.length <= 1) {
+          throw new Error(
+            "This passkey is the only one that can sign for your wallet"
+          );
+        }
+        // Its public key is part of the account address, so it's needed to
+        // deploy the wallet on any network it isn't on yet
+        if (
+          findCreationPasskey(passkeys, user.walletPasskeyId)?._id ===
+          passkey._id
+        ) {
+          throw new Error(
+            "Your wallet was created with this passkey, so it can't be removed"
+          );
+        }
+        await updateAccountPasskey(passkey, { remove: true });
+      }
+      await deletePasskey(passkey._id);
+    },
+    onSuccess: invalidate,
+  });
+
+  const passkeys = passkeysQuery.data || [];
+
+  return {
+    passkeys,
+    // Can't be removed from a passkey-owned wallet
+    creationPasskey: isPasskeyOwned
+      ? findCreationPasskey(passkeys, user.walletPasskeyId)
+      : null,
+    isLoading: passkeysQuery.isLoading,
+    error: passkeysQuery.error,
+    isPasskeyOwned,
+    addPasskey,
+    removePasskey,
+  };
+}
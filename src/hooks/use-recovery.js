@@ -0,0 +1,246 @@
+import { useMemo } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { useWeb3 } from "@/contexts/web3-context";
+import {
+  GUARDIAN_STATUS,
+  RECOVERY_ENDPOINT,
+  RECOVERY_STATUS,
+  addGuardian as addGuardianRequest,
+  createRecoveryRequest,
+  getRecoveryConfig,
+  getRecoveryProgress,
+  listApprovalRequests,
+  listGuardianInvitations,
+  listGuardians,
+  listRecoveryRequests,
+  normalizeGuardianConfig,
+  recordRecoveryApproval,
+  removeGuardian as removeGuardianRequest,
+  respondToGuardianInvitation,
+  saveRecoveryConfig,
+  updateRecoveryRequest,
+} from "@/lib/recovery";
+
+const PROPOSAL_REFRESH_MS = 60 * 1000;
+
+// The pending recovery of the signed-in user's wallet on the active chain,
+// with its on-chain approval state, plus cancel and complete mutations
+export function usePendingRecovery() {
+  const { user } = useAuth();
+  const {
+    chain,
+    hasRecoveryModule,
+    getRecoveryProposal,
+    vetoRecovery,
+    completeRecovery,
+  } = useWeb3();
+  const queryClient = useQueryClient();
+  const queryKey = [RECOVERY_ENDPOINT, "requests", user?.id, chain.chainId];
+
+  const requestsQuery = useQuery({
+    queryKey,
+    queryFn: () => listRecoveryRequests(chain.chainId),
+    enabled: !!user?.walletAddress && hasRecoveryModule,
+  });
+
+  const pendingRequest =
+    (requestsQuery.data || []).find(
+      (request) => request.status === RECOVERY_STATUS.PENDING
+    ) || null;
+
+  const proposalQuery = useQuery({
+    queryKey: [
+      RECOVERY_ENDPOINT,
+      "proposal",
+      pendingRequest?.callDataAndNonceHash,
+    ],
+    queryFn: () => getRecoveryProposal(pendingRequest),
+    enabled: !!pendingRequest,
+    refetchInterval: PROPOSAL_REFRESH_MS,
+  });
+
+  const invalidate = () =>
+    queryClient.invalidateQueries({ queryKey: [RECOVERY_ENDPOINT] });
+
+  const cancelRecovery = useMutation({
+    mutationFn: async (request) => {
+      const vetoUserOpHash = await vetoRecovery(request);
+      return updateRecoveryRequest(request._id, {
+        status: RECOVERY_STATUS.CANCELLED,
+        vetoUserOpHash,
+      });
+    },
+    onSuccess: invalidate,
+  });
+
+  const finishRecovery = useMutation({
+    mutationFn: async (request) => {
+      const userOpHash = await completeRecovery(request);
+      return updateRecoveryRequest(request._id, {
+        status: RECOVERY_STATUS.EXECUTED,
+        userOpHash,
+      });
+    },
+    onSuccess: invalidate,
+  });
+
+  return {
+    pendingRequest,
+    // Depends on the current time, so callers re-render at progress.readyAt
+    progress: pendingRequest
+      ? getRecoveryProgress(pendingRequest, proposalQuery.data)
+      : null,
+    isLoading: requestsQuery.isLoading,
+    cancelRecovery,
+    finishRecovery,
+  };
+}
+
+// Guardians of the signed-in user's wallet and the recovery settings on the
+// active chain: invite/remove guardians, apply them on-chain with a
+// threshold and delay, and start a recovery to this device's key
+export function useRecovery() {
+  const { user } = useAuth();
+  const { chain, configureGuardians, prepareRecovery } = useWeb3();
+  const queryClient = useQueryClient();
+  const guardiansKey = [RECOVERY_ENDPOINT, "guardians", user?.id];
+  const configKey = [RECOVERY_ENDPOINT, "config", user?.id, chain.chainId];
+
+  const guardiansQuery = useQuery({
+    queryKey: guardiansKey,
+    queryFn: listGuardians,
+    enabled: !!user?.id,
+  });
+
+  const configQuery = useQuery({
+    queryKey: configKey,
+    queryFn: () => getRecoveryConfig(chain.chainId),
+    enabled: !!user?.id,
+  });
+
+  const invalidate = () =>
+    queryClient.invalidateQueries({ queryKey: [RECOVERY_ENDPOINT] });
+
+  const guardians = useMemo(
+    () => guardiansQuery.data || [],
+    [guardiansQuery.data]
+  );
+
+  const activeGuardians = useMemo(
+    () =>
+      guardians.filter(
+        (guardian) =>
+          guardian.status === GUARDIAN_STATUS.ACTIVE && guardian.address
+      ),
+    [guardians]
+  );
+
+  const addGuardian = useMutation({
+    mutationFn: (guardian) => addGuardianRequest(guardian),
+    onSuccess: invalidate,
+  });
+
+  // Removing a guardian only takes effect on-chain once the guardians are
+  // applied again
+  const removeGuardian = useMutation({
+    mutationFn: (guardian) => removeGuardianRequest(guardian._id),
+    onSuccess: invalidate,
+  });
+
+  const applyGuardians = useMutation({
+    mutationFn: async ({ threshold, delaySeconds }) => {
+      const config = normalizeGuardianConfig({
+        guardians: activeGuardians,
+        threshold,
+        delaySeconds,
+      });
+      const userOpHash = await configureGuardians(config);
+      return saveRecoveryConfig(chain.chainId, { ...config, userOpHash });
+    },
+    onSuccess: invalidate,
+  });
+
+  const startRecovery = useMutation({
+    mutationFn: async () =>
+      createRecoveryRequest({
+        chainId: chain.chainId,
+        status: RECOVERY_STATUS.PENDING,
+        ...(await prepareRecovery()),
+      }),
+    onSuccess: invalidate,
+  });
+
+  // Applied guardian set differs from the active guardians
+  const hasUnappliedChanges = useMemo(() => {
+    const applied = new Set(
+      (configQuery.data?.guardians || []).map((address) =>
+        address.toLowerCase()
+      )
+    );
+    return (
+      activeGuardians.length !== applied.size ||
+      activeGuardians.some(
+        (guardian) => !applied.has(guardian.address.toLowerCase())
+      )
+    );
+  }, [activeGuardians, configQuery.data]);
+
+  return {
+    guardians,
+    activeGuardians,
+    config: configQuery.data || null,
+    hasUnappliedChanges,
+    isLoading: guardiansQuery.isLoading || configQuery.isLoading,
+    error: guardiansQuery.error || configQuery.error,
+    addGuardian,
+    removeGuardian,
+    applyGuardians,
+    startRecovery,
+  };
+}
+
+// The signed-in user's side as a guardian: invitations to accept or decline
+// and other users' recoveries waiting for their approval
+export function useGuardianDuties() {
+  const { user } = useAuth();
+  const { approveRecovery } = useWeb3();
+  const queryClient = useQueryClient();
+  const invitationsKey = [RECOVERY_ENDPOINT, "invitations", user?.id];
+  const approvalsKey = [RECOVERY_ENDPOINT, "approvals", user?.id];
+
+  const invitationsQuery = useQuery({
+    queryKey: invitationsKey,
+    queryFn: listGuardianInvitations,
+    enabled: !!user?.id,
+  });
+
+  const approvalsQuery = useQuery({
+    queryKey: approvalsKey,
+    queryFn: listApprovalRequests,
+    enabled: !!user?.walletAddress,
+  });
+
+  const invalidate = () =>
+    queryClient.invalidateQueries({ queryKey: [RECOVERY_ENDPOINT] });
+
+  const respondToInvitation = useMutation({
+    mutationFn: ({ invitation, accept }) =>
+      respondToGuardianInvitation(invitation._id, accept),
+    onSuccess: invalidate,
+  });
+
+  const approve = useMutation({
+    mutationFn: async (request) =>
+      recordRecoveryApproval(request._id, await approveRecovery(request)),
+    onSuccess: invalidate,
+  });
+
+  return {
+    invitations: invitationsQuery.data || [],
+    approvalRequests: approvalsQuery.data || [],
+    isLoading: invitationsQuery.isLoading || approvalsQuery.isLoading,
+    respondToInvitation,
+    approve,
+  };
+}
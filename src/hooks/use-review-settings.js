@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from "react";
+import { useAuth } from "@/contexts/auth-context";
+import { useChain } from "@/contexts/chain-context";
+import { safariUtils } from "@/lib/safari-compatibility";
+import { isSameToken } from "@/lib/tokens";
+
+const storageKey = (userId) => `review_settings:${userId}`;
+
+const loadSettings = (userId) => {
+  try {
+    const stored = safariUtils.safeLocalStorage.getItem(storageKey(userId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn("Failed to read review settings:", error);
+    return {};
+  }
+};
+
+// Per-user "don't ask again under X USDC" setting for the review dialog
+export function useReviewSettings() {
+  const { user } = useAuth();
+  const { activeChain } = useChain();
+  const [settings, setSettings] = useState(() =>
+    user?.id ? loadSettings(user.id) : {}
+  );
+
+  // The user may load after the first render, or change
+  useEffect(() => {
+    setSettings(user?.id ? loadSettings(user.id) : {});
+  }, [user?.id]);
+
+  const skipReviewBelow = settings.skipReviewBelow ?? null;
+
+  const setSkipReviewBelow = useCallback(
+    (amount) => {
+      const next = {
+        ...settings,
+        skipReviewBelow: amount ? parseFloat(amount) : null,
+      };
+      setSettings(next);
+      if (user?.id) {
+        safariUtils.safeLocalStorage.setItem(
+          storageKey(user.id),
+          JSON.stringify(next)
+        );
+      }
+    },
+    [settings, user?.id]
+  );
+
+  // USDC transfers below the threshold are sent without the review dialog;
+  // transfers of any other token are always reviewed
+  const shouldReview = useCallback(
+    (amount, tokenAddress) => {
+      const isUsdc =
+        !!activeChain.usdcAddress &&
+        isSameToken(
+          { address: tokenAddress },
+          { address: activeChain.usdcAddress }
+        );
+      return !(
+        isUsdc &&
+        skipReviewBelow > 0 &&
+        parseFloat(amount) < skipReviewBelow
+      );
+    },
+    [skipReviewBelow, activeChain]
+  );
+
+  return { skipReviewBelow, setSkipReviewBelow, shouldReview };
+}
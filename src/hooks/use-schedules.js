@@ -0,0 +1,232 @@
+import { useCallback, useMemo, useRef } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { BALANCES_QUERY_KEY } from "@/hooks/use-balances";
+import { TRANSACTIONS_QUERY_KEY } from "@/hooks/use-transaction-history";
+import { apiRequest } from "@/lib/queryClient";
+import { resolveRecipient } from "@/lib/ens";
+import {
+  mayHaveBeenSubmitted,
+  runTransactionLifecycle,
+} from "@/lib/transaction-lifecycle";
+import {
+  SCHEDULES_ENDPOINT,
+  SCHEDULE_STATUS,
+  claimScheduleRun,
+  createSchedule,
+  getFollowingRunAt,
+  isScheduleDue,
+  listSchedules,
+  updateSchedule,
+} from "@/lib/schedules";
+
+// The signed-in user's scheduled transfers plus create and status mutations
+export function useSchedules() {
+  const { user } = useAuth();
+  const { chain } = useWeb3();
+  const queryClient = useQueryClient();
+  const queryKey = [SCHEDULES_ENDPOINT, { userId: user?.id }];
+
+  const schedulesQuery = useQuery({
+    queryKey,
+    queryFn: () => listSchedules(user.id),
+    enabled: !!user?.id,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  const saveSchedule = useMutation({
+    mutationFn: (schedule) => createSchedule(user.id, chain.chainId, schedule),
+    onSuccess: invalidate,
+  });
+
+  // Pause, resume or cancel. A resumed schedule whose run time has passed
+  // runs on the next check.
+  const setScheduleStatus = useMutation({
+    mutationFn: ({ id, status }) => updateSchedule(id, { status }),
+    onSuccess: invalidate,
+  });
+
+  const schedules = useMemo(
+    () => schedulesQuery.data || [],
+    [schedulesQuery.data]
+  );
+
+  return {
+    schedules,
+    isLoading: schedulesQuery.isLoading,
+    error: schedulesQuery.error,
+    saveSchedule,
+    setScheduleStatus,
+  };
+}
+
+// Executes due schedules on the active chain through sendGaslessTransaction.
+// Schedules only run while the wallet is open in a browser, since the owner
+// key never leaves it. Each run is claimed on the backend (nextRunAt moved
+// forward, conditional on the value we saw) before anything is sent, so a
+// reload or a second tab can't pay twice. A run that fails before sending
+// pauses the schedule at the missed run time; once the transfer was
+// submitted the run stays used up and only the error is recorded.
+export function useScheduleRunner() {
+  const { user } = useAuth();
+  const {
+    sendGaslessTransaction,
+    preflightTransaction,
+    trackUserOperation,
+    chain,
+  } = useWeb3();
+  const { getContactLabel } = useAddressBook();
+  const queryClient = useQueryClient();
+  const runningRef = useRef(new Set());
+
+  const executeSchedule = useCallback(
+    async (schedule) => {
+      const now = new Date();
+      const followingRunAt = getFollowingRunAt(schedule, now);
+
+      const claimed = await claimScheduleRun(schedule, {
+        nextRunAt: followingRunAt,
+        status: followingRunAt
+          ? SCHEDULE_STATUS.ACTIVE
+          : SCHEDULE_STATUS.COMPLETED,
+        lastRunAt: now.toISOString(),
+      });
+      if (!claimed) {
+        console.log("⏭️ Scheduled run already claimed:", schedule._id);
+        return false;
+      }
+
+      let transaction = null;
+      let userOpHash = null;
+      try {
+        const { address: recipient, ensName } = await resolveRecipient(
+          schedule.recipient
+        );
+        await preflightTransaction(
+          recipient,
+          schedule.amount,
+          schedule.tokenAddress
+        );
+
+        const transactionResponse = await apiRequest(
+          "POST",
+          "/api/transactions",
+          {
+            userId: user.id,
+            type: "transfer",
+            recipient,
+            recipientLabel: getContactLabel(recipient),
+            recipientEns: ensName,
+            amount: schedule.amount,
+            tokenSymbol: schedule.tokenSymbol,
+            tokenAddress: schedule.tokenAddress,
+            chainId: chain.chainId,
+            scheduleId: schedule._id,
+          }
+        );
+        transaction = transactionResponse.data;
+        if (!transaction || !transaction._id) {
+          throw new Error("Failed to create transaction record");
+        }
+
+        await runTransactionLifecycle({
+          transactionId: transaction._id,
+          submit: async () => {
+            userOpHash = await sendGaslessTransaction(
+              recipient,
+              schedule.amount,
+              schedule.tokenAddress
+            );
+            return userOpHash;
+          },
+          track: trackUserOperation,
+        });
+
+        await updateSchedule(schedule._id, {
+          lastTransactionId: transaction._id,
+          runCount: (schedule.runCount || 0) + 1,
+          lastError: null,
+        });
+      } catch (error) {
+        const lastError = error instanceof Error ? error.message : "Run failed";
+        // Once the UserOperation reached the bundler the transfer may be on
+        // its way and the run is used; before that the schedule pauses
+        const submitted = !!userOpHash || mayHaveBeenSubmitted(error);
+        if (error instanceof Error) error.schedulePaused = !submitted;
+
+        if (!submitted) {
+          await updateSchedule(schedule._id, {
+            status: SCHEDULE_STATUS.PAUSED,
+            nextRunAt: schedule.nextRunAt,
+            lastError,
+          });
+          throw error;
+        }
+
+        try {
+          await updateSchedule(schedule._id, {
+            lastTransactionId: transaction._id,
+            lastError,
+          });
+        } catch (updateError) {
+          console.warn("Failed to record scheduled run error:", updateError);
+        }
+        throw error;
+      }
+      return true;
+    },
+    [
+      user,
+      chain,
+      getContactLabel,
+      preflightTransaction,
+      sendGaslessTransaction,
+      trackUserOperation,
+    ]
+  );
+
+  // Run every due schedule in turn; resolves to [{ schedule, error, paused }]
+  // for the runs this client claimed. The list is fetched fresh so a run
+  // claimed elsewhere isn't repeated.
+  const runDueSchedules = useCallback(async () => {
+    if (!user?.id) return [];
+
+    const schedules = await listSchedules(user.id);
+    const due = schedules.filter(
+      (schedule) =>
+        isScheduleDue(schedule) &&
+        Number(schedule.chainId) === chain.chainId &&
+        !runningRef.current.has(schedule._id)
+    );
+    if (due.length === 0) return [];
+
+    console.log("⏰ Running due schedules:", due.length);
+    const results = [];
+    for (const schedule of due) {
+      runningRef.current.add(schedule._id);
+      try {
+        if (await executeSchedule(schedule)) {
+          results.push({ schedule, error: null, paused: false });
+        }
+      } catch (error) {
+        console.error("❌ Scheduled transfer failed:", error);
+        results.push({ schedule, error, paused: !!error?.schedulePaused });
+      } finally {
+        runningRef.current.delete(schedule._id);
+      }
+    }
+
+    queryClient.invalidateQueries({ queryKey: [SCHEDULES_ENDPOINT] });
+    queryClient.invalidateQueries({
+      queryKey: ["/api/users", user?.id, "transactions"],
+    });
+    queryClient.invalidateQueries({ queryKey: [TRANSACTIONS_QUERY_KEY] });
+    queryClient.invalidateQueries({ queryKey: [BALANCES_QUERY_KEY] });
+    return results;
+  }, [chain, executeSchedule, queryClient, user]);
+
+  return { runDueSchedules };
+}
@@ -0,0 +1,50 @@
+import { useMemo } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { useWeb3 } from "@/contexts/web3-context";
+import { SessionKeyStore } from "@/lib/session-keys";
+
+export const SESSION_KEYS_QUERY_KEY = "session-keys";
+
+// Session keys created on this device for the signed-in user and active
+// chain, plus create and revoke mutations
+export function useSessionKeys() {
+  const { user } = useAuth();
+  const { chain, createSessionKey, revokeSessionKey } = useWeb3();
+  const queryClient = useQueryClient();
+  const queryKey = [SESSION_KEYS_QUERY_KEY, user?.id];
+
+  const sessionKeysQuery = useQuery({
+    queryKey,
+    queryFn: () => new SessionKeyStore(user.id).list(),
+    enabled: !!user?.id,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  const createKey = useMutation({
+    mutationFn: (policy) => createSessionKey(policy),
+    onSuccess: invalidate,
+  });
+
+  const revokeKey = useMutation({
+    mutationFn: (record) => revokeSessionKey(record),
+    onSuccess: invalidate,
+  });
+
+  const sessionKeys = useMemo(
+    () =>
+      (sessionKeysQuery.data || []).filter(
+        (record) => record.chainId === chain.chainId
+      ),
+    [sessionKeysQuery.data, chain]
+  );
+
+  return {
+    sessionKeys,
+    isLoading: sessionKeysQuery.isLoading,
+    error: sessionKeysQuery.error,
+    createKey,
+    revokeKey,
+  };
+}
@@ -0,0 +1,114 @@
+import { useMemo } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { useWeb3 } from "@/contexts/web3-context";
+import {
+  EMPTY_HISTORY_FILTERS,
+  TRANSACTIONS_QUERY_KEY,
+  useFetchAllTransactions,
+} from "@/hooks/use-transaction-history";
+import {
+  SPENDING_WINDOW_MS,
+  getRecentSpending,
+  loadSpendingLimits,
+  saveSpendingLimits,
+} from "@/lib/spending-limits";
+import { isSameToken } from "@/lib/tokens";
+
+export const SPENDING_LIMITS_QUERY_KEY = "spending-limits";
+
+const isSameLimit = (a, b) =>
+  isSameToken({ address: a.tokenAddress }, { address: b.tokenAddress });
+
+// The user's spending limits on the active chain, how much of each token was
+// sent in the last 24 hours, and save/remove mutations. Limits marked
+// onChain are also written to the spending limit policy contract.
+export function useSpendingLimits() {
+  const { user } = useAuth();
+  const { chain, installSpendingLimit } = useWeb3();
+  const fetchAllTransactions = useFetchAllTransactions();
+  const queryClient = useQueryClient();
+  const queryKey = [SPENDING_LIMITS_QUERY_KEY, user?.id, chain.chainId];
+
+  const limitsQuery = useQuery({
+    queryKey,
+    queryFn: () => loadSpendingLimits(user.id, chain.chainId),
+    enabled: !!user?.id,
+    staleTime: Infinity,
+  });
+
+  // Under the transactions key so it refreshes after every send
+  const recentQuery = useQuery({
+    queryKey: [TRANSACTIONS_QUERY_KEY, "spending", user?.id],
+    queryFn: () =>
+      fetchAllTransactions({
+        ...EMPTY_HISTORY_FILTERS,
+        from: new Date(Date.now() - SPENDING_WINDOW_MS).toLocaleDateString(
+          "en-CA"
+        ),
+      }),
+    enabled: !!user?.id,
+  });
+
+  const setLimits = (limits) => {
+    saveSpendingLimits(user.id, chain.chainId, limits);
+    queryClient.setQueryData(queryKey, limits);
+  };
+
+  const saveLimit = useMutation({
+    mutationFn: async (limit) => {
+      const current = loadSpendingLimits(user.id, chain.chainId);
+      const previous = current.find((item) => isSameLimit(item, limit));
+
+      let onChainUserOpHash = null;
+      if (limit.onChain) {
+        onChainUserOpHash = await installSpendingLimit(
+          limit.tokenAddress,
+          limit
+        );
+      } else if (previous?.onChain) {
+        await installSpendingLimit(limit.tokenAddress, null);
+      }
+
+      const saved = { ...limit, onChainUserOpHash };
+      setLimits([
+        ...current.filter((item) => !isSameLimit(item, limit)),
+        saved,
+      ]);
+      return saved;
+    },
+  });
+
+  const removeLimit = useMutation({
+    mutationFn: async (limit) => {
+      if (limit.onChain) {
+        await installSpendingLimit(limit.tokenAddress, null);
+      }
+      setLimits(
+        loadSpendingLimits(user.id, chain.chainId).filter(
+          (item) => !isSameLimit(item, limit)
+        )
+      );
+    },
+  });
+
+  const limits = useMemo(
+    () =>
+      (limitsQuery.data || []).map((limit) => ({
+        ...limit,
+        spent: recentQuery.data
+          ? getRecentSpending(recentQuery.data, limit, {
+              chainId: chain.chainId,
+            })
+          : null,
+      })),
+    [limitsQuery.data, recentQuery.data, chain]
+  );
+
+  return {
+    limits,
+    isLoading: limitsQuery.isLoading,
+    saveLimit,
+    removeLimit,
+  };
+}
@@ -0,0 +1,112 @@
+import { useCallback, useMemo } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { useChain } from "@/contexts/chain-context";
+import { getZeroDevWallet } from "@/lib/zerodev";
+import {
+  fetchCustomToken,
+  getBuiltinTokens,
+  getTokenLogo,
+  isSameToken,
+  loadCustomTokens,
+  saveCustomTokens,
+} from "@/lib/tokens";
+
+export const TOKENS_QUERY_KEY = "tokens";
+
+const customTokensQueryKey = (chainId) => [TOKENS_QUERY_KEY, chainId, "custom"];
+
+// Tokens available on the active chain: native, USDC and
+// VITE_TOKEN_ADDRESSES (metadata read on-chain) and the user's custom tokens
+export function useTokenRegistry() {
+  const { activeChain } = useChain();
+  const queryClient = useQueryClient();
+  const { chainId } = activeChain;
+
+  const wallet = useMemo(() => getZeroDevWallet(chainId), [chainId]);
+
+  const usdcQuery = useQuery({
+    queryKey: [TOKENS_QUERY_KEY, chainId, "usdc"],
+    queryFn: () => wallet.getTokenDecimals(activeChain.usdcAddress),
+    enabled: !!activeChain.usdcAddress && !!activeChain.rpcUrl,
+    staleTime: Infinity,
+  });
+
+  const configuredQuery = useQuery({
+    queryKey: [TOKENS_QUERY_KEY, chainId, "configured"],
+    queryFn: async () => {
+      const tokens = await Promise.all(
+        activeChain.tokenAddresses.map(async (tokenAddress) => {
+          try {
+            const metadata = await wallet.getTokenMetadata(tokenAddress);
+            return {
+              ...metadata,
+              name: metadata.symbol,
+              logoUrl: getTokenLogo(metadata.symbol),
+              source: "config",
+            };
+          } catch (error) {
+            console.warn("Skipping unreadable token:", tokenAddress, error);
+            return null;
+          }
+        })
+      );
+      return tokens.filter(Boolean);
+    },
+    enabled: activeChain.tokenAddresses.length > 0 && !!activeChain.rpcUrl,
+    staleTime: Infinity,
+  });
+
+  const customQuery = useQuery({
+    queryKey: customTokensQueryKey(chainId),
+    queryFn: () => loadCustomTokens(chainId),
+    staleTime: Infinity,
+  });
+
+  const tokens = useMemo(() => {
+    const all = [
+      ...getBuiltinTokens(activeChain, {
+        usdcDecimals: usdcQuery.data ?? null,
+      }),
+      ...(configuredQuery.data || []),
+      ...(customQuery.data || []),
+    ];
+    return all.filter(
+      (token, index) =>
+        all.findIndex((other) => isSameToken(other, token)) === index
+    );
+  }, [activeChain, usdcQuery.data, configuredQuery.data, customQuery.data]);
+
+  const getToken = useCallback(
+    (address) =>
+      tokens.find((token) => isSameToken(token, { address })) || null,
+    [tokens]
+  );
+
+  const addCustomToken = useCallback(
+    async (tokenAddress) => {
+      const token = await fetchCustomToken(wallet, tokenAddress);
+      if (getToken(token.address)) {
+        throw new Error(`${token.symbol} is already in your token list`);
+      }
+
+      const next = [...loadCustomTokens(chainId), token];
+      saveCustomTokens(chainId, next);
+      queryClient.setQueryData(customTokensQueryKey(chainId), next);
+      return token;
+    },
+    [wallet, chainId, getToken, queryClient]
+  );
+
+  const removeCustomToken = useCallback(
+    (tokenAddress) => {
+      const next = loadCustomTokens(chainId).filter(
+        (token) => !isSameToken(token, { address: tokenAddress })
+      );
+      saveCustomTokens(chainId, next);
+      queryClient.setQueryData(customTokensQueryKey(chainId), next);
+    },
+    [chainId, queryClient]
+  );
+
+  return { tokens, getToken, addCustomToken, removeCustomToken };
+}
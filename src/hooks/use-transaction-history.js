@@ -0,0 +1,169 @@
+import { useCallback } from "react";
+import {
+  useQuery,
+  useQueryClient,
+  keepPreviousData,
+} from "@tanstack/react-query";
+import { useAuth } from "@/contexts/auth-context";
+import { TRANSACTION_STATUS } from "@/lib/transaction-lifecycle";
+
+export const TRANSACTIONS_QUERY_KEY = "/api/transactions";
+
+export const HISTORY_PAGE_SIZE = 20;
+
+const EXPORT_PAGE_SIZE = 100;
+
+export const EMPTY_HISTORY_FILTERS = {
+  type: "",
+  status: "",
+  tokenSymbol: "",
+  from: "",
+  to: "",
+};
+
+// Query params for GET /api/transactions. Date inputs are whole days, so the
+// range runs from the start of `from` to the end of `to`.
+export function buildHistoryParams(userId, filters, page, limit) {
+  return {
+    userId,
+    type: filters.type,
+    status: filters.status,
+    tokenSymbol: filters.tokenSymbol,
+    from: filters.from
+      ? new Date(`${filters.from}T00:00:00`).toISOString()
+      : "",
+    to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : "",
+    page,
+    limit,
+  };
+}
+
+// The API answers either a bare array or { transactions, total }
+export function normalizeHistoryResponse(data) {
+  const transactions = Array.isArray(data) ? data : data?.transactions || [];
+  return {
+    transactions,
+    total: Array.isArray(data)
+      ? transactions.length
+      : data?.total ?? transactions.length,
+  };
+}
+
+const isInFlight = (transaction) =>
+  [
+    TRANSACTION_STATUS.PENDING,
+    TRANSACTION_STATUS.SUBMITTED,
+    TRANSACTION_STATUS.INCLUDED,
+  ].includes(transaction.status);
+
+// One page of the signed-in user's transactions, fetched through the default
+// queryFn. Pages with transactions still in flight are polled.
+export function useTransactionHistory(
+  filters,
+  page = 1,
+  limit = HISTORY_PAGE_SIZE
+) {
+  const { user } = useAuth();
+
+  const query = useQuery({
+    queryKey: [
+      TRANSACTIONS_QUERY_KEY,
+      buildHistoryParams(user?.id, filters, page, limit),
+    ],
+    enabled: !!user?.id,
+    staleTime: 1000 * 30,
+    placeholderData: keepPreviousData,
+    select: normalizeHistoryResponse,
+    refetchInterval: (query) => {
+      const { transactions } = normalizeHistoryResponse(query.state.data);
+      return transactions.some(isInFlight) ? 5000 : false;
+    },
+  });
+
+  const total = query.data?.total ?? 0;
+
+  return {
+    ...query,
+    transactions: query.data?.transactions || [],
+    total,
+    pageCount: Math.max(1, Math.ceil(total / limit)),
+  };
+}
+
+// Fetch every transaction matching filters, page by page, through the same
+// query keys the history table uses (pages already cached are reused unless
+// older than staleTime)
+export function useFetchAllTransactions() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  return useCallback(
+    async (filters, { staleTime = 1000 * 30 } = {}) => {
+      if (!user?.id) throw new Error("User not authenticated");
+
+      const transactions = [];
+      for (let page = 1; ; page++) {
+        const data = await queryClient.fetchQuery({
+          queryKey: [
+            TRANSACTIONS_QUERY_KEY,
+            buildHistoryParams(user.id, filters, page, EXPORT_PAGE_SIZE),
+          ],
+          staleTime,
+        });
+        const { transactions: pageTransactions, total } =
+          normalizeHistoryResponse(data);
+
+        transactions.push(...pageTransactions);
+        if (
+          pageTransactions.length < EXPORT_PAGE_SIZE ||
+          transactions.length >= total
+        ) {
+          return transactions;
+        }
+      }
+    },
+    [user, queryClient]
+  );
+}
+
+const RECENT_RECIPIENTS_LIMIT = 100;
+
+// Distinct recipients of the user's latest transactions (and their batch
+// operations), for spotting look-alike addresses
+export function useRecentRecipients() {
+  const { user } = useAuth();
+
+  const { data } = useQuery({
+    queryKey: [
+      TRANSACTIONS_QUERY_KEY,
+      buildHistoryParams(
+        user?.id,
+        EMPTY_HISTORY_FILTERS,
+        1,
+        RECENT_RECIPIENTS_LIMIT
+      ),
+    ],
+    enabled: !!user?.id,
+    staleTime: 1000 * 60,
+    select: (response) => {
+      const recipients = new Map();
+      for (const transaction of normalizeHistoryResponse(response)
+        .transactions) {
+        const addresses = [
+          transaction.recipient,
+          ...(transaction.batchOperations || []).map(
+            (operation) => operation.recipient
+          ),
+        ];
+        for (const address of addresses) {
+          if (address && !recipients.has(address.toLowerCase())) {
+            recipients.set(address.toLowerCase(), { address });
+          }
+        }
+      }
+      return [...recipients.values()];
+    },
+  });
+
+  return data || [];
+}
@@ -0,0 +1,255 @@
+import { useMemo } from "react";
+import {
+  useMutation,
+  useQueries,
+  useQuery,
+  useQueryClient,
+} from "@tanstack/react-query";
+import { useWeb3 } from "@/contexts/web3-context";
+import { useOwnerKey, OWNER_KEY_QUERY_KEY } from "@/hooks/use-owner-key";
+import { BALANCES_QUERY_KEY } from "@/hooks/use-balances";
+import {
+  TREASURIES_ENDPOINT,
+  TREASURY_PROPOSAL_KIND,
+  TREASURY_PROPOSAL_STATUS,
+  addProposalApproval,
+  addProposalRejection,
+  createProposal,
+  createTreasury as createTreasuryRequest,
+  findOwner,
+  getProposalTally,
+  listProposals,
+  listTreasuries,
+  normalizeOwnerConfig,
+  updateProposal,
+  updateTreasury,
+} from "@/lib/multisig";
+
+// Multisig treasuries this device's owner key co-owns on the active chain,
+// plus creating a new one
+export function useTreasuries() {
+  const { chain, hasMultisigValidator, createTreasuryAccount } = useWeb3();
+  const { status } = useOwnerKey();
+  const queryClient = useQueryClient();
+  const ownerAddress = status?.address ?? null;
+
+  const treasuriesQuery = useQuery({
+    queryKey: [TREASURIES_ENDPOINT, ownerAddress],
+    queryFn: () => listTreasuries(ownerAddress),
+    enabled: !!ownerAddress && hasMultisigValidator,
+  });
+
+  const treasuries = useMemo(
+    () =>
+      (treasuriesQuery.data || []).filter(
+        (treasury) => treasury.chainId === chain.chainId
+      ),
+    [treasuriesQuery.data, chain.chainId]
+  );
+
+  const createTreasury = useMutation({
+    mutationFn: async ({ name, owners, threshold }) => {
+      const config = normalizeOwnerConfig({ owners, threshold });
+      if (!findOwner(config.owners, ownerAddress)) {
+        throw new Error("Include your own owner address in the treasury");
+      }
+      return createTreasuryRequest({
+        name: name.trim(),
+        ...(await createTreasuryAccount(config)),
+        initialConfig: config,
+        ...config,
+      });
+    },
+    onSuccess: () =>
+      queryClient.invalidateQueries({ queryKey: [TREASURIES_ENDPOINT] }),
+  });
+
+  return {
+    ownerAddress,
+    treasuries,
+    isLoading: treasuriesQuery.isLoading,
+    error: treasuriesQuery.error,
+    createTreasury,
+  };
+}
+
+// The owner address co-owners add for this user, creating this device's
+// owner key when there is none yet
+export function useTreasuryOwnerAddress() {
+  const { getTreasuryOwnerAddress } = useWeb3();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => getTreasuryOwnerAddress(),
+    onSuccess: () =>
+      queryClient.invalidateQueries({ queryKey: [OWNER_KEY_QUERY_KEY] }),
+  });
+}
+
+// Proposals of the given treasuries with their approval tally, and the
+// actions an owner takes on them: propose, approve, reject and execute
+export function useTreasuryProposals(treasuries, ownerAddress) {
+  const {
+    signTreasuryApproval,
+    prepareTreasuryTransfer,
+    prepareTreasuryOwnerChange,
+    executeTreasuryProposal,
+  } = useWeb3();
+  const queryClient = useQueryClient();
+
+  const proposalQueries = useQueries({
+    queries: treasuries.map((treasury) => ({
+      queryKey: [TREASURIES_ENDPOINT, "proposals", treasury._id],
+      queryFn: () => listProposals(treasury._id),
+    })),
+  });
+
+  // Tally against the treasury's current owners; this owner's own signature
+  // counts as an approval when they execute
+  const getTally = (treasury, proposal) => {
+    const tally = getProposalTally(
+      proposal,
+      treasury.owners,
+      treasury.threshold
+    );
+    const hasApproved = tally.approvals.some(
+      (approval) =>
+        approval.signer.toLowerCase() === ownerAddress?.toLowerCase()
+    );
+    const hasRejected = tally.rejections.some(
+      (signer) => signer.toLowerCase() === ownerAddress?.toLowerCase()
+    );
+    const ownWeight = findOwner(treasury.owners, ownerAddress)?.weight || 0;
+
+    return {
+      ...tally,
+      hasApproved,
+      hasRejected,
+      canExecute:
+        ownWeight > 0 &&
+        tally.approvedWeight + (hasApproved ? 0 : ownWeight) >=
+          treasury.threshold,
+    };
+  };
+
+  const pendingProposals = treasuries.flatMap((treasury, index) =>
+    (proposalQueries[index]?.data || [])
+      .filter(
+        (proposal) => proposal.status === TREASURY_PROPOSAL_STATUS.PENDING
+      )
+      .map((proposal) => ({
+        treasury,
+        proposal,
+        tally: getTally(treasury, proposal),
+      }))
+  );
+
+  const invalidate = () =>
+    queryClient.invalidateQueries({ queryKey: [TREASURIES_ENDPOINT] });
+
+  const proposeTransfer = useMutation({
+    mutationFn: async ({ treasury, to, amount, token, description }) =>
+      createProposal(treasury._id, {
+        kind: TREASURY_PROPOSAL_KIND.TRANSACTION,
+        status: TREASURY_PROPOSAL_STATUS.PENDING,
+        description:
+          description?.trim() || `Send ${amount} ${token.symbol} to ${to}`,
+        transfer: { to, amount, tokenAddress: token.address || null },
+        ...(await prepareTreasuryTransfer(treasury, {
+          to,
+          amount,
+          tokenAddress: token.address || null,
+        })),
+      }),
+    onSuccess: invalidate,
+  });
+
+  // Owners and threshold change through a proposal like any other operation
+  const proposeOwnerChange = useMutation({
+    mutationFn: async ({ treasury, owners, threshold, description }) => {
+      const config = normalizeOwnerConfig({ owners, threshold });
+      return createProposal(treasury._id, {
+        kind: TREASURY_PROPOSAL_KIND.OWNERS,
+        status: TREASURY_PROPOSAL_STATUS.PENDING,
+        description:
+          description ||
+          `Set ${config.owners.length} owner(s) with threshold ${config.threshold}`,
+        ownerConfig: config,
+        ...(await prepareTreasuryOwnerChange(treasury, config)),
+      });
+    },
+    onSuccess: invalidate,
+  });
+
+  const approve = useMutation({
+    mutationFn: async ({ treasury, proposal }) =>
+      addProposalApproval(
+        treasury._id,
+        proposal._id,
+        await signTreasuryApproval(treasury, proposal)
+      ),
+    onSuccess: invalidate,
+  });
+
+  // A proposal that can no longer reach the threshold is closed as rejected
+  const reject = useMutation({
+    mutationFn: async ({ treasury, proposal }) => {
+      const updated = await addProposalRejection(
+        treasury._id,
+        proposal._id,
+        ownerAddress
+      );
+      const { canPass } = getProposalTally(
+        updated || {
+          ...proposal,
+          rejections: [...(proposal.rejections || []), ownerAddress],
+        },
+        treasury.owners,
+        treasury.threshold
+      );
+      if (canPass) return updated;
+      return updateProposal(treasury._id, proposal._id, {
+        status: TREASURY_PROPOSAL_STATUS.REJECTED,
+      });
+    },
+    onSuccess: invalidate,
+  });
+
+  const execute = useMutation({
+    mutationFn: async ({ treasury, proposal }) => {
+      const tally = getTally(treasury, proposal);
+      if (!tally.canExecute) {
+        throw new Error(
+          `Needs ${treasury.threshold} approval weight, has ${tally.approvedWeight}`
+        );
+      }
+
+      const userOpHash = await executeTreasuryProposal(
+        treasury,
+        proposal,
+        tally.approvals
+      );
+      if (proposal.kind === TREASURY_PROPOSAL_KIND.OWNERS) {
+        await updateTreasury(treasury._id, proposal.ownerConfig);
+      }
+      return updateProposal(treasury._id, proposal._id, {
+        status: TREASURY_PROPOSAL_STATUS.EXECUTED,
+        userOpHash,
+      });
+    },
+    onSuccess: () => {
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: [BALANCES_QUERY_KEY] });
+    },
+  });
+
+  return {
+    pendingProposals,
+    isLoading: proposalQueries.some((query) => query.isLoading),
+    proposeTransfer,
+    proposeOwnerChange,
+    approve,
+    reject,
+    execute,
+  };
+}
@@ -1,19 +1,73 @@
-import { useState, useCallback, useEffect, useRef } from "react";
-import { zeroDevWallet } from "@/lib/zerodev";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
+import { parseUnits } from "ethers";
+import { getZeroDevWallet } from "@/lib/zerodev";
+import { encodeApproveAndTransfer } from "@/lib/erc20";
+import {
+  OwnerKeyMissingError,
+  loadAccountSigner,
+  loadOwnerSigner,
+} from "@/lib/owner-signer";
+import { lockAllOwnerKeys } from "@/lib/owner-key-manager";
+import {
+  PasskeySigner,
+  WALLET_OWNER_TYPE,
+  listPasskeys,
+  registerPasskey,
+  setPasskeyEnabledOn,
+} from "@/lib/passkeys";
+import { isPasskeySupported } from "@/lib/webauthn";
+import { resolveRecipient } from "@/lib/ens";
+import { PreflightError } from "@/lib/preflight";
+import { mayHaveBeenSubmitted } from "@/lib/transaction-lifecycle";
+import {
+  createTreasuryIndex,
+  getProposalTally,
+  toValidatorConfig,
+  verifyApproval,
+} from "@/lib/multisig";
+import {
+  SESSION_KEY_STATUS,
+  SessionKeyStore,
+  buildPermissionTree,
+  buildPermissions,
+  getSessionMaxTransfers,
+  isSessionKeyUsable,
+} from "@/lib/session-keys";
+import {
+  SPENDING_WINDOW_MS,
+  checkSpendingLimits,
+  loadSpendingLimits,
+} from "@/lib/spending-limits";
+import {
+  EMPTY_HISTORY_FILTERS,
+  useFetchAllTransactions,
+} from "@/hooks/use-transaction-history";
 import { useAuth } from "@/contexts/auth-context";
+import { useChain } from "@/contexts/chain-context";
 
 export function useZeroDev() {
   const [smartAccount, setSmartAccount] = useState(null);
   const [isConnecting, setIsConnecting] = useState(false);
   const [authErrorHandled, setAuthErrorHandled] = useState(false);
   const { user, updateUserWallet, sessionValidated } = useAuth();
+  const { activeChain } = useChain();
   const authErrorRef = useRef(false);
+  // Chain, account and owner combinations already checked on-chain
+  const verifiedOwnersRef = useRef(new Set());
+  const fetchAllTransactions = useFetchAllTransactions();
+
+  // Every wallet call is scoped to the active chain. Kernel accounts are
+  // deployed with CREATE2, so the account address is the same on every chain.
+  const wallet = useMemo(
+    () => getZeroDevWallet(activeChain.chainId),
+    [activeChain]
+  );
 
   // Helper function to get current smart account from state or user data
   const getCurrentSmartAccount = useCallback(() => {
     if (smartAccount) return smartAccount;
     if (user?.walletAddress) {
-      return { address: user.walletAddress, owner: user.googleId };
+      return { address: user.walletAddress, owner: null };
     }
     return null;
   }, [smartAccount, user]);
@@ -34,11 +88,16 @@ export function useZeroDev() {
       );
       setSmartAccount({
         address: user.walletAddress,
-        owner: user.googleId,
+        owner: null,
       });
     }
   }, [user, smartAccount, isConnecting, authErrorHandled, sessionValidated]);
 
+  // Owner keys never stay unlocked past the session
+  useEffect(() => {
+    if (!user) lockAllOwnerKeys();
+  }, [user]);
+
   const connect = useCallback(async () => {
     if (!user) {
       throw new Error("User must be authenticated first");
@@ -60,7 +119,7 @@ export function useZeroDev() {
       console.log("🔗 Restoring existing wallet:", user.walletAddress);
       const restoredAccount = {
         address: user.walletAddress,
-        owner: user.googleId,
+        owner: null,
       };
       setSmartAccount(restoredAccount);
       return user.walletAddress;
@@ -69,19 +128,42 @@ export function useZeroDev() {
     console.log("🔗 Creating new wallet for user:", user.email);
     setIsConnecting(true);
     try {
-      // Create smart wallet using user's Google ID as owner
-      const walletAddress = await zeroDevWallet.createSmartAccount(
-        user.googleId
-      );
+      // New wallets are owned by a passkey when the browser supports them
+      // and a P-256 validator is configured, otherwise by a device key
+      const usePasskey = isPasskeySupported() && !!wallet.p256ValidatorAddress;
+      let ownerSigner;
+      let creationPasskey = null;
+      if (usePasskey) {
+        // A passkey left from an earlier attempt is reused rather than
+        // replaced; the one used is stored with the wallet, since the
+        // account address depends on it
+        const passkeys = await listPasskeys();
+        creationPasskey =
+          passkeys[0] || (await registerPasskey(user, "Wallet owner"));
+        ownerSigner = new PasskeySigner(
+          passkeys.length > 0 ? passkeys : [creationPasskey],
+          {
+            creationCredentialId: creationPasskey.credentialId,
+            chainId: activeChain.chainId,
+          }
+        );
+      } else {
+        ownerSigner = await loadOwnerSigner(user.id, { create: true });
+      }
+      const walletAddress = await wallet.createSmartAccount(ownerSigner);
 
       console.log("✅ Wallet created successfully:", walletAddress);
 
-      // Update user with wallet address
-      await updateUserWallet(walletAddress);
+      // Update user with wallet address and what owns it
+      await updateUserWallet(
+        walletAddress,
+        usePasskey ? WALLET_OWNER_TYPE.PASSKEY : WALLET_OWNER_TYPE.DEVICE_KEY,
+        creationPasskey?.credentialId ?? null
+      );
 
       const newAccount = {
         address: walletAddress,
-        owner: user.googleId,
+        owner: ownerSigner.address ?? null,
       };
       setSmartAccount(newAccount);
 
@@ -109,16 +191,23 @@ export function useZeroDev() {
     } finally {
       setIsConnecting(false);
     }
-  }, [user, updateUserWallet, authErrorHandled, sessionValidated]);
+  }, [
+    user,
+    updateUserWallet,
+    authErrorHandled,
+    sessionValidated,
+    wallet,
+    activeChain,
+  ]);
 
   const disconnect = useCallback(() => {
     console.log("🔌 Disconnecting wallet");
-    zeroDevWallet.disconnect();
+    wallet.disconnect();
     setSmartAccount(null);
     // Reset auth error flags on disconnect
     authErrorRef.current = false;
     setAuthErrorHandled(false);
-  }, []);
+  }, [wallet]);
 
   const ensureSmartAccount = useCallback(async () => {
     // Check auth conditions first
@@ -142,7 +231,7 @@ export function useZeroDev() {
 
       currentSmartAccount = {
         address: walletAddress,
-        owner: user.googleId,
+        owner: null,
       };
     }
 
@@ -151,7 +240,34 @@ export function useZeroDev() {
       setSmartAccount(currentSmartAccount);
     }
 
-    return currentSmartAccount;
+    // Attach the owner signer (device key or passkeys) so the wallet can
+    // sign UserOperations
+    const ownerSigner = await loadAccountSigner(user, {
+      chainId: activeChain.chainId,
+    });
+    const account = {
+      ...currentSmartAccount,
+      owner: ownerSigner.address ?? null,
+      signer: ownerSigner,
+    };
+
+    // A key from another device or an older install would derive a
+    // different account, so check it really controls the user's wallet
+    const verifiedKey = `${activeChain.chainId}:${account.address}:${account.owner}`;
+    if (!verifiedOwnersRef.current.has(verifiedKey)) {
+      try {
+        await wallet.verifyAccountOwner(account);
+      } catch (error) {
+        if (error.message.includes("does not control")) {
+          throw new Error(
+            "This device's wallet key doesn't control your wallet. Restore the right key or recover the wallet with your guardians."
+          );
+        }
+        throw error;
+      }
+      verifiedOwnersRef.current.add(verifiedKey);
+    }
+    return account;
   }, [
     getCurrentSmartAccount,
     authErrorHandled,
@@ -159,22 +275,113 @@ export function useZeroDev() {
     connect,
     user,
     smartAccount,
+    wallet,
+    activeChain,
   ]);
 
+  // Block calls that would go over the user's spending limits on this chain.
+  // The last day of history is fetched fresh so back-to-back sends count.
+  const enforceSpendingLimits = useCallback(
+    async (calls, { kinds } = {}) => {
+      const limits = loadSpendingLimits(user.id, activeChain.chainId);
+      if (limits.length === 0) return;
+
+      const since = new Date(Date.now() - SPENDING_WINDOW_MS);
+      const transactions = await fetchAllTransactions(
+        // "en-CA" formats as YYYY-MM-DD, the history filter's date format
+        { ...EMPTY_HISTORY_FILTERS, from: since.toLocaleDateString("en-CA") },
+        { staleTime: 0 }
+      );
+      checkSpendingLimits({
+        limits,
+        calls,
+        transactions,
+        chainId: activeChain.chainId,
+        kinds,
+      });
+    },
+    [user, activeChain, fetchAllTransactions]
+  );
+
+  // Transfers default to the chain's USDC; pass a null tokenAddress for the
+  // native token
   const sendGaslessTransaction = useCallback(
-    async (to, amount) => {
+    async (
+      to,
+      amount,
+      tokenAddress = activeChain.usdcAddress || null,
+      options = {}
+    ) => {
       try {
         // Ensure we have a valid smart account
         const currentSmartAccount = await ensureSmartAccount();
 
-        console.log("💸 Sending gasless transaction:", { to, amount });
-        const txHash = await zeroDevWallet.sendGaslessTransaction(
+        console.log("💸 Sending gasless transaction:", {
           to,
           amount,
-          null,
-          currentSmartAccount
+          tokenAddress,
+        });
+
+        const calls = await wallet.buildTransferCalls(to, amount, tokenAddress);
+        await enforceSpendingLimits(calls);
+
+        // Use a session key when one covers this transfer, so the owner key
+        // isn't needed; fall back to the owner only if the session operation
+        // was rejected before it reached the bundler (paymaster, estimation,
+        // signing or bundler validation)
+        const sessionStore = new SessionKeyStore(user.id);
+        const session = await sessionStore.findSession({
+          chainId: activeChain.chainId,
+          accountAddress: currentSmartAccount.address,
+          calls,
+        });
+        if (session) {
+          let sessionTxHash = null;
+          try {
+            sessionTxHash = await wallet.sendGaslessTransaction(
+              to,
+              amount,
+              tokenAddress,
+              currentSmartAccount,
+              { ...options, session }
+            );
+          } catch (error) {
+            if (
+              error instanceof PreflightError ||
+              mayHaveBeenSubmitted(error)
+            ) {
+              throw error;
+            }
+            console.warn("Session key not accepted, using owner key:", error);
+          }
+
+          if (sessionTxHash) {
+            // Counted once submitted, so a cap can't be exceeded by retries
+            try {
+              await sessionStore.recordSpend(
+                session.record.id,
+                session.token.address,
+                session.amount
+              );
+            } catch (error) {
+              console.warn("Failed to record session key spend:", error);
+            }
+            console.log(
+              "🔑 UserOperation submitted with session key:",
+              sessionTxHash
+            );
+            return sessionTxHash;
+          }
+        }
+
+        const txHash = await wallet.sendGaslessTransaction(
+          to,
+          amount,
+          tokenAddress,
+          currentSmartAccount,
+          options
         );
-        console.log("✅ Transaction successful:", txHash);
+        console.log("✅ UserOperation submitted:", txHash);
         return txHash;
       } catch (error) {
         console.error("❌ Error sending gasless transaction:", error);
@@ -195,33 +402,84 @@ export function useZeroDev() {
         throw error;
       }
     },
-    [ensureSmartAccount]
+    [ensureSmartAccount, enforceSpendingLimits, wallet, user, activeChain]
   );
 
-  const sendBatchTransaction = useCallback(
-    async (to, amount) => {
+  // Ask the paymaster how gas for a transfer would be paid, without sending
+  const quoteGaslessTransaction = useCallback(
+    async (to, amount, tokenAddress = activeChain.usdcAddress || null) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      return wallet.quoteGaslessTransaction(
+        to,
+        amount,
+        tokenAddress,
+        currentSmartAccount
+      );
+    },
+    [ensureSmartAccount, wallet, activeChain]
+  );
+
+  // Gas estimate shown while the transfer is edited; it doesn't ask the
+  // paymaster, so no sponsorship quota is used
+  const estimateGaslessTransaction = useCallback(
+    async (to, amount, tokenAddress = activeChain.usdcAddress || null) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      return wallet.estimateGaslessTransaction(
+        to,
+        amount,
+        tokenAddress,
+        currentSmartAccount
+      );
+    },
+    [ensureSmartAccount, wallet, activeChain]
+  );
+
+  const quoteBatchOperations = useCallback(
+    async (operations) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      return wallet.quoteCalls(operations, currentSmartAccount);
+    },
+    [ensureSmartAccount, wallet]
+  );
+
+  // Spending limits, balance check + simulation, run before a transaction is
+  // recorded
+  const preflightTransaction = useCallback(
+    async (to, amount, tokenAddress = activeChain.usdcAddress || null) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      const calls = await wallet.buildTransferCalls(to, amount, tokenAddress);
+      await enforceSpendingLimits(calls);
+      return wallet.preflightCalls(calls, currentSmartAccount);
+    },
+    [ensureSmartAccount, enforceSpendingLimits, wallet, activeChain]
+  );
+
+  const preflightBatchOperations = useCallback(
+    async (operations) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      await enforceSpendingLimits(operations);
+      return wallet.preflightCalls(operations, currentSmartAccount);
+    },
+    [ensureSmartAccount, enforceSpendingLimits, wallet]
+  );
+
+  const sendBatchOperations = useCallback(
+    async (operations, options = {}) => {
       try {
         // Ensure we have a valid smart account
         const currentSmartAccount = await ensureSmartAccount();
 
-        console.log("📦 Sending batch transaction:", { to, amount });
-        // Mock batch operations - approve + transfer
-        const operations = [
-          {
-            to: "0x", // Mock USDC contract address
-            data: "0x", // Mock approve function call data
-          },
-          {
-            to: "0x", // Mock USDC contract address
-            data: "0x", // Mock transfer function call data
-          },
-        ];
+        console.log("📦 Sending batch transaction:", {
+          operations: operations.length,
+        });
+        await enforceSpendingLimits(operations);
 
-        const txHash = await zeroDevWallet.sendBatchTransaction(
+        const txHash = await wallet.sendBatchTransaction(
           operations,
-          currentSmartAccount
+          currentSmartAccount,
+          options
         );
-        console.log("✅ Batch transaction successful:", txHash);
+        console.log("✅ Batch UserOperation submitted:", txHash);
         return txHash;
       } catch (error) {
         console.error("❌ Error sending batch transaction:", error);
@@ -244,9 +502,425 @@ export function useZeroDev() {
         throw error;
       }
     },
+    [ensureSmartAccount, enforceSpendingLimits, wallet]
+  );
+
+  const sendBatchTransaction = useCallback(
+    async (to, amount) => {
+      const { address: recipient } = await resolveRecipient(to);
+      if (parseFloat(amount) <= 0) {
+        throw new Error("Amount must be greater than 0");
+      }
+
+      const usdcAddress = wallet.usdcAddress;
+      if (!usdcAddress) {
+        throw new Error("USDC contract address not configured");
+      }
+
+      // approve(recipient, amount) + transfer(recipient, amount) on USDC
+      const decimals = await wallet.getTokenDecimals(usdcAddress);
+      const operations = encodeApproveAndTransfer(
+        usdcAddress,
+        recipient,
+        parseUnits(String(amount), decimals)
+      );
+
+      return sendBatchOperations(operations);
+    },
+    [sendBatchOperations, wallet]
+  );
+
+  // Generate a session key for `policy` ({ tokens, maxAmountPerTx,
+  // spendingCap, expiresAt }), register it on the account with an
+  // owner-signed UserOperation and store it encrypted on this device
+  const createSessionKey = useCallback(
+    async (policy) => {
+      // The validator enforces the cap through a limit on transfers
+      const keyPolicy = {
+        ...policy,
+        maxTransfers: getSessionMaxTransfers(policy),
+      };
+      const currentSmartAccount = await ensureSmartAccount();
+      const sessionStore = new SessionKeyStore(user.id);
+      const record = await sessionStore.generate({
+        chainId: activeChain.chainId,
+        accountAddress: currentSmartAccount.address,
+        policy: keyPolicy,
+      });
+
+      const { root } = buildPermissionTree(buildPermissions(keyPolicy));
+      const calls = wallet.buildEnableSessionKeyCalls(currentSmartAccount, {
+        sessionKeyAddress: record.sessionKeyAddress,
+        merkleRoot: root,
+        validUntil: policy.expiresAt,
+        nonce: record.nonce,
+      });
+
+      console.log("🔑 Enabling session key:", record.sessionKeyAddress);
+      const userOpHash = await wallet.sendUserOperation(
+        currentSmartAccount,
+        calls
+      );
+      await wallet.trackUserOperation(userOpHash);
+      await sessionStore.add(record);
+      return record;
+    },
+    [ensureSmartAccount, user, activeChain, wallet]
+  );
+
+  // Disable a session key on-chain; expired keys are only marked revoked
+  const revokeSessionKey = useCallback(
+    async (record) => {
+      const sessionStore = new SessionKeyStore(user.id);
+
+      if (isSessionKeyUsable(record)) {
+        const currentSmartAccount = await ensureSmartAccount();
+        console.log("🔑 Revoking session key:", record.sessionKeyAddress);
+        const userOpHash = await wallet.sendUserOperation(
+          currentSmartAccount,
+          wallet.buildRevokeSessionKeyCalls(record.sessionKeyAddress)
+        );
+        await wallet.trackUserOperation(userOpHash);
+      }
+
+      await sessionStore.update(record.id, {
+        status: SESSION_KEY_STATUS.REVOKED,
+        revokedAt: new Date().toISOString(),
+      });
+    },
+    [ensureSmartAccount, user, wallet]
+  );
+
+  // Write a token's limit to the on-chain spending limit policy, or remove it
+  // when `limit` is null
+  const installSpendingLimit = useCallback(
+    async (tokenAddress, limit) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      console.log("🛡️ Updating on-chain spending limit:", tokenAddress, limit);
+      const userOpHash = await wallet.sendUserOperation(
+        currentSmartAccount,
+        wallet.buildSpendingLimitCalls(tokenAddress, limit)
+      );
+      await wallet.trackUserOperation(userOpHash);
+      return userOpHash;
+    },
+    [ensureSmartAccount, wallet]
+  );
+
+  // Enable a registered passkey on a passkey-owned account on the active
+  // chain, or disable it with `remove`
+  const updateAccountPasskey = useCallback(
+    async (passkey, { remove = false } = {}) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      console.log(
+        remove ? "🔐 Removing passkey:" : "🔐 Adding passkey:",
+        passkey.credentialId
+      );
+      const userOpHash = await wallet.sendUserOperation(
+        currentSmartAccount,
+        wallet.buildPasskeyCalls(passkey, { remove })
+      );
+      await wallet.trackUserOperation(userOpHash);
+      // Only offered for signing on this chain once it's confirmed
+      await setPasskeyEnabledOn(passkey, activeChain.chainId, !remove);
+      return userOpHash;
+    },
+    [ensureSmartAccount, wallet, activeChain]
+  );
+
+  // Install or update the account's recovery guardians on the active chain
+  const configureGuardians = useCallback(
+    async (config) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      console.log("🛟 Updating recovery guardians:", config);
+      const userOpHash = await wallet.sendUserOperation(
+        currentSmartAccount,
+        await wallet.buildGuardianCalls(currentSmartAccount, config)
+      );
+      await wallet.trackUserOperation(userOpHash);
+      return userOpHash;
+    },
+    [ensureSmartAccount, wallet]
+  );
+
+  // Fields of a recovery handing the wallet to this device's owner key, for
+  // the guardians to approve
+  const prepareRecovery = useCallback(async () => {
+    const walletAddress = getCurrentSmartAccount()?.address;
+    if (!walletAddress) {
+      throw new Error("No wallet to recover");
+    }
+    if (user.walletOwnerType === WALLET_OWNER_TYPE.PASSKEY) {
+      throw new Error("Passkey wallets are recovered with another passkey");
+    }
+
+    const settings = await wallet.getGuardianSettings(walletAddress);
+    if (!settings) {
+      throw new Error(
+        `Recovery isn't set up for this wallet on ${activeChain.name}`
+      );
+    }
+
+    // Recovery moves the wallet to this device, so it gets a key if needed
+    const { address: newOwner } = await loadOwnerSigner(user.id, {
+      create: true,
+    });
+    if ((await wallet.getAccountOwner(walletAddress)) === newOwner) {
+      throw new Error("This device's key already owns the wallet");
+    }
+
+    return {
+      walletAddress,
+      newOwner,
+      threshold: settings.threshold,
+      delaySeconds: settings.delaySeconds,
+      ...(await wallet.prepareRecovery(walletAddress, newOwner)),
+    };
+  }, [getCurrentSmartAccount, user, wallet, activeChain]);
+
+  const getRecoveryProposal = useCallback(
+    (request) =>
+      getZeroDevWallet(request.chainId).getRecoveryProposal(
+        request.walletAddress,
+        request.callDataAndNonceHash
+      ),
+    []
+  );
+
+  // Approve another user's recovery as their guardian, on the chain it was
+  // started on
+  const approveRecovery = useCallback(
+    async (request) => {
+      const currentSmartAccount = await ensureSmartAccount();
+      const requestWallet = getZeroDevWallet(request.chainId);
+      console.log("🛟 Approving recovery for:", request.walletAddress);
+      const userOpHash = await requestWallet.sendUserOperation(
+        currentSmartAccount,
+        requestWallet.buildApproveRecoveryCalls(
+          request.walletAddress,
+          request.callDataAndNonceHash
+        )
+      );
+      await requestWallet.trackUserOperation(userOpHash);
+      return userOpHash;
+    },
     [ensureSmartAccount]
   );
 
+  // Veto a recovery on-chain. Only a device holding the current owner key
+  // can; elsewhere this resolves to null.
+  const vetoRecovery = useCallback(
+    async (request) => {
+      let deviceOwner;
+      try {
+        ({ address: deviceOwner } = await loadOwnerSigner(user.id));
+      } catch (error) {
+        if (error instanceof OwnerKeyMissingError) return null;
+        throw error;
+      }
+      if (
+        (await wallet.getAccountOwner(request.walletAddress)) !== deviceOwner
+      ) {
+        return null;
+      }
+
+      const currentSmartAccount = await ensureSmartAccount();
+      console.log("🛟 Vetoing recovery:", request.callDataAndNonceHash);
+      const userOpHash = await wallet.sendUserOperation(
+        currentSmartAccount,
+        wallet.buildVetoRecoveryCalls(request.callDataAndNonceHash)
+      );
+      await wallet.trackUserOperation(userOpHash);
+      return userOpHash;
+    },
+    [ensureSmartAccount, user, wallet]
+  );
+
+  // Submit an approved recovery once its delay has passed. From then on this
+  // device's owner key controls the wallet.
+  const completeRecovery = useCallback(
+    async (request) => {
+      console.log("🛟 Completing recovery to:", request.newOwner);
+      const userOpHash = await wallet.sendRecoveryUserOperation(
+        request.walletAddress,
+        request
+      );
+      await wallet.trackUserOperation(userOpHash);
+      await updateUserWallet(
+        request.walletAddress,
+        WALLET_OWNER_TYPE.DEVICE_KEY
+      );
+      return userOpHash;
+    },
+    [wallet, updateUserWallet]
+  );
+
+  // Treasury accounts are owned by this device's owner key, whatever owns
+  // the user's own wallet
+  const getTreasuryOwnerAddress = useCallback(
+    async () => (await loadOwnerSigner(user.id, { create: true })).address,
+    [user]
+  );
+
+  const getTreasuryAccount = useCallback(
+    async (treasury) => ({
+      address: treasury.address,
+      index: BigInt(treasury.index),
+      multisig: toValidatorConfig(treasury.initialConfig),
+      signer: await loadOwnerSigner(user.id),
+    }),
+    [user]
+  );
+
+  // Counterfactual address of a new treasury on the active chain. It is
+  // deployed by its first executed proposal.
+  const createTreasuryAccount = useCallback(
+    async (config) => {
+      const index = createTreasuryIndex();
+      const address = await wallet.getCounterfactualAddress(
+        toValidatorConfig(config),
+        index
+      );
+      console.log("🏦 Created treasury account:", address);
+      return { address, index: index.toString(), chainId: activeChain.chainId };
+    },
+    [wallet, activeChain]
+  );
+
+  // Owners and threshold installed on-chain, or null before deployment
+  const getTreasuryOwners = useCallback(
+    (treasury) =>
+      getZeroDevWallet(treasury.chainId).getMultisigOwners(treasury.address),
+    []
+  );
+
+  // This device's approval of a proposal: its owner key signs the proposal's
+  // calldata and nonce hash as typed data
+  const signTreasuryApproval = useCallback(
+    async (treasury, proposal) => {
+      const signer = await loadOwnerSigner(user.id);
+      const { domain, types, value } = await getZeroDevWallet(
+        treasury.chainId
+      ).getMultisigApprovalTypedData(proposal.callDataAndNonceHash);
+      return {
+        signer: signer.address,
+        signature: await signer.signTypedData(domain, types, value),
+      };
+    },
+    [user]
+  );
+
+  // Proposal fields for calls from the treasury, approved by the proposer
+  const prepareTreasuryProposal = useCallback(
+    async (treasury, calls) => {
+      const treasuryWallet = getZeroDevWallet(treasury.chainId);
+      const prepared = await treasuryWallet.prepareMultisigOperation(
+        treasury.address,
+        calls
+      );
+      const approval = await signTreasuryApproval(treasury, prepared);
+      return {
+        chainId: treasury.chainId,
+        proposer: approval.signer,
+        approvals: [approval],
+        rejections: [],
+        ...prepared,
+      };
+    },
+    [signTreasuryApproval]
+  );
+
+  const prepareTreasuryTransfer = useCallback(
+    async (treasury, { to, amount, tokenAddress }) =>
+      prepareTreasuryProposal(
+        treasury,
+        await getZeroDevWallet(treasury.chainId).buildTransferCalls(
+          to,
+          amount,
+          tokenAddress
+        )
+      ),
+    [prepareTreasuryProposal]
+  );
+
+  const prepareTreasuryOwnerChange = useCallback(
+    (treasury, config) =>
+      prepareTreasuryProposal(
+        treasury,
+        getZeroDevWallet(treasury.chainId).buildMultisigOwnerCalls(
+          toValidatorConfig(config)
+        )
+      ),
+    [prepareTreasuryProposal]
+  );
+
+  // Submit a proposal whose approvals reach the threshold. This device's
+  // owner key signs the UserOperation, which counts as its approval.
+  const executeTreasuryProposal = useCallback(
+    async (treasury, proposal, approvals) => {
+      const treasuryWallet = getZeroDevWallet(treasury.chainId);
+      const account = await getTreasuryAccount(treasury);
+      const typedData = await treasuryWallet.getMultisigApprovalTypedData(
+        proposal.callDataAndNonceHash
+      );
+
+      const coOwnerApprovals = approvals.filter(
+        (approval) =>
+          approval.signer.toLowerCase() !== account.signer.address.toLowerCase()
+      );
+      coOwnerApprovals.forEach((approval) => {
+        if (!verifyApproval(typedData, approval)) {
+          throw new Error(`Invalid approval from ${approval.signer}`);
+        }
+      });
+
+      // The validator rejects too little weight only after the operation was
+      // sent, so check against the owners installed on-chain (the stored
+      // config before deployment), counting this owner's own signature
+      const { owners, threshold } =
+        (await treasuryWallet.getMultisigOwners(treasury.address)) ?? treasury;
+      const tally = getProposalTally(
+        {
+          approvals: [...coOwnerApprovals, { signer: account.signer.address }],
+        },
+        owners,
+        threshold
+      );
+      if (!tally.isApproved) {
+        throw new Error(
+          `Needs ${threshold} approval weight, has ${tally.approvedWeight}`
+        );
+      }
+
+      console.log("🏦 Executing treasury proposal:", proposal._id);
+      const userOpHash = await treasuryWallet.sendUserOperation(account, [], {
+        multisig: {
+          callData: proposal.callData,
+          nonce: proposal.nonce,
+          approvals: coOwnerApprovals,
+        },
+      });
+      await treasuryWallet.trackUserOperation(userOpHash);
+      return userOpHash;
+    },
+    [getTreasuryAccount]
+  );
+
+  const trackUserOperation = useCallback(
+    (userOpHash, options) => wallet.trackUserOperation(userOpHash, options),
+    [wallet]
+  );
+
+  const getTokenDecimals = useCallback(
+    (tokenAddress) => wallet.getTokenDecimals(tokenAddress),
+    [wallet]
+  );
+
+  const waitForTransactionHash = useCallback(
+    (userOpHash) => wallet.waitForTransactionHash(userOpHash),
+    [wallet]
+  );
+
   return {
     smartAccount,
     isConnected: !!getCurrentSmartAccount(),
@@ -254,7 +928,40 @@ export function useZeroDev() {
     connect,
     disconnect,
     sendGaslessTransaction,
+    quoteGaslessTransaction,
+    estimateGaslessTransaction,
+    quoteBatchOperations,
+    preflightTransaction,
+    preflightBatchOperations,
+    enforceSpendingLimits,
     sendBatchTransaction,
+    sendBatchOperations,
+    createSessionKey,
+    revokeSessionKey,
+    installSpendingLimit,
+    updateAccountPasskey,
+    hasSpendingLimitPolicy: !!wallet.spendingLimitPolicyAddress,
+    hasPasskeyValidator: !!wallet.p256ValidatorAddress,
+    hasRecoveryModule: wallet.isRecoveryConfigured(),
+    configureGuardians,
+    prepareRecovery,
+    getRecoveryProposal,
+    approveRecovery,
+    vetoRecovery,
+    completeRecovery,
+    hasMultisigValidator: wallet.isMultisigConfigured(),
+    getTreasuryOwnerAddress,
+    createTreasuryAccount,
+    getTreasuryOwners,
+    signTreasuryApproval,
+    prepareTreasuryTransfer,
+    prepareTreasuryOwnerChange,
+    executeTreasuryProposal,
+    waitForTransactionHash,
+    trackUserOperation,
+    getTokenDecimals,
+    usdcAddress: wallet.usdcAddress,
+    chain: activeChain,
     authErrorHandled,
     getCurrentSmartAccount, // Expose this helper for debugging
   };
@@ -0,0 +1,235 @@
+// @/lib/address-book.js
+
+import { ApiError, apiRequest } from "@/lib/queryClient";
+import { safariUtils } from "@/lib/safari-compatibility";
+import { isHexAddress, parseAddress } from "@/lib/address-safety";
+
+export const CONTACTS_ENDPOINT = "/api/contacts";
+
+const cacheKey = (userId) => `address_book:${userId}`;
+const pendingKey = (userId) => `address_book_pending:${userId}`;
+const failedKey = (userId) => `address_book_failed:${userId}`;
+
+const readJson = (key, fallback) => {
+  try {
+    const value = safariUtils.safeLocalStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.warn("Failed to read address book cache:", error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) =>
+  safariUtils.safeLocalStorage.setItem(key, JSON.stringify(value));
+
+// Network failures (status 0) and the browser reporting no connection are
+// treated as offline; HTTP errors from the backend are not.
+const isOffline = (error) =>
+  (typeof navigator !== "undefined" && navigator.onLine === false) ||
+  (error instanceof ApiError && error.status === 0);
+
+const isLocalId = (id) => String(id).startsWith("local-");
+
+// Validated { label, address } with a checksummed address
+export function normalizeContact({ label, address }) {
+  const trimmedLabel = (label || "").trim();
+  if (!trimmedLabel) {
+    throw new Error("Contact label is required");
+  }
+  if (!isHexAddress(address)) {
+    throw new Error("Invalid contact address format");
+  }
+  return { label: trimmedLabel, address: parseAddress(address) };
+}
+
+// Saved recipients for a user. Contacts live on the backend; the last known
+// list is cached in localStorage and edits made while offline are applied to
+// the cache and queued, then replayed on the next successful list().
+export class AddressBook {
+  constructor(userId) {
+    if (!userId) {
+      throw new Error("User ID is required to load the address book");
+    }
+    this.userId = userId;
+  }
+
+  getCachedContacts() {
+    return readJson(cacheKey(this.userId), []);
+  }
+
+  setCachedContacts(contacts) {
+    writeJson(cacheKey(this.userId), contacts);
+  }
+
+  getPendingChanges() {
+    return readJson(pendingKey(this.userId), []);
+  }
+
+  queueChange(change) {
+    writeJson(pendingKey(this.userId), [...this.getPendingChanges(), change]);
+  }
+
+  // Queued changes the backend rejected while syncing, with its error
+  getFailedChanges() {
+    return readJson(failedKey(this.userId), []);
+  }
+
+  parkChange(change, error) {
+    writeJson(failedKey(this.userId), [
+      ...this.getFailedChanges(),
+      { ...change, error: error.message, failedAt: new Date().toISOString() },
+    ]);
+  }
+
+  dismissFailedChanges() {
+    writeJson(failedKey(this.userId), []);
+  }
+
+  async list() {
+    try {
+      await this.syncPendingChanges();
+      const response = await apiRequest(
+        "GET",
+        `${CONTACTS_ENDPOINT}?userId=${encodeURIComponent(this.userId)}`
+      );
+      const contacts = Array.isArray(response.data)
+        ? response.data
+        : response.data?.contacts || [];
+      this.setCachedContacts(contacts);
+      return contacts;
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+      console.warn("📴 Address book offline, using cached contacts");
+      return this.getCachedContacts();
+    }
+  }
+
+  async create(contact) {
+    const data = normalizeContact(contact);
+    this.assertUniqueAddress(data.address);
+
+    try {
+      const response = await apiRequest("POST", CONTACTS_ENDPOINT, {
+        userId: this.userId,
+        ...data,
+      });
+      this.setCachedContacts([...this.getCachedContacts(), response.data]);
+      return response.data;
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+
+      const localContact = { _id: `local-${Date.now()}`, ...data };
+      this.setCachedContacts([...this.getCachedContacts(), localContact]);
+      this.queueChange({ type: "create", id: localContact._id, data });
+      return localContact;
+    }
+  }
+
+  async update(id, contact) {
+    const data = normalizeContact(contact);
+    this.assertUniqueAddress(data.address, id);
+
+    const applyLocally = (updated) =>
+      this.setCachedContacts(
+        this.getCachedContacts().map((item) =>
+          item._id === id ? { ...item, ...updated } : item
+        )
+      );
+
+    try {
+      if (isLocalId(id)) throw new ApiError("Contact not synced yet", 0);
+      const response = await apiRequest(
+        "PATCH",
+        `${CONTACTS_ENDPOINT}/${id}`,
+        data
+      );
+      applyLocally(response.data);
+      return response.data;
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+
+      applyLocally(data);
+      this.queueChange({ type: "update", id, data });
+      return { _id: id, ...data };
+    }
+  }
+
+  async remove(id) {
+    const removeLocally = () =>
+      this.setCachedContacts(
+        this.getCachedContacts().filter((item) => item._id !== id)
+      );
+
+    try {
+      if (isLocalId(id)) throw new ApiError("Contact not synced yet", 0);
+      await apiRequest("DELETE", `${CONTACTS_ENDPOINT}/${id}`);
+      removeLocally();
+    } catch (error) {
+      if (!isOffline(error)) throw error;
+
+      removeLocally();
+      this.queueChange({ type: "delete", id });
+    }
+  }
+
+  // Replay queued offline edits in order. Contacts created offline get their
+  // server id on create; later edits to them are mapped onto that id. A
+  // change the backend rejects (duplicate, invalid, gone) is parked in the
+  // failed list so the rest of the queue still syncs.
+  async syncPendingChanges() {
+    const changes = this.getPendingChanges();
+    if (changes.length === 0) return;
+
+    console.log("🔄 Syncing offline address book changes:", changes.length);
+    const serverIds = new Map();
+    const resolveId = (id) => serverIds.get(id) || id;
+
+    while (changes.length > 0) {
+      const change = changes[0];
+      const id = resolveId(change.id);
+
+      try {
+        if (change.type === "create") {
+          const response = await apiRequest("POST", CONTACTS_ENDPOINT, {
+            userId: this.userId,
+            ...change.data,
+          });
+          serverIds.set(change.id, response.data._id);
+        } else if (!isLocalId(id)) {
+          if (change.type === "update") {
+            await apiRequest(
+              "PATCH",
+              `${CONTACTS_ENDPOINT}/${id}`,
+              change.data
+            );
+          } else if (change.type === "delete") {
+            await apiRequest("DELETE", `${CONTACTS_ENDPOINT}/${id}`);
+          }
+        }
+      } catch (error) {
+        if (isOffline(error)) throw error;
+        console.warn("⚠️ Address book change rejected:", error.message);
+        this.parkChange({ ...change, id }, error);
+      }
+
+      // Persist progress so a failure part-way doesn't replay synced changes
+      changes.shift();
+      writeJson(
+        pendingKey(this.userId),
+        changes.map((item) => ({ ...item, id: resolveId(item.id) }))
+      );
+    }
+  }
+
+  assertUniqueAddress(address, ignoreId = null) {
+    const existing = this.getCachedContacts().find(
+      (item) =>
+        item._id !== ignoreId &&
+        item.address?.toLowerCase() === address.toLowerCase()
+    );
+    if (existing) {
+      throw new Error(`Address already saved as "${existing.label}"`);
+    }
+  }
+}
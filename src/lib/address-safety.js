@@ -0,0 +1,102 @@
+// @/lib/address-safety.js
+
+import { getAddress } from "ethers";
+
+const HEX_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+export const isHexAddress = (value) =>
+  typeof value === "string" && HEX_ADDRESS_PATTERN.test(value.trim());
+
+// All-lowercase and all-uppercase addresses carry no checksum; mixed case
+// must match EIP-55 exactly.
+export function hasValidChecksum(address) {
+  const body = address.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+  return getAddress(address.toLowerCase()) === address;
+}
+
+// Checksummed address for a hex input, rejecting mixed-case addresses whose
+// EIP-55 checksum doesn't match (usually a typo).
+export function parseAddress(value) {
+  const input = (value || "").trim();
+  if (!isHexAddress(input)) {
+    throw new Error("Invalid recipient address format");
+  }
+  if (!hasValidChecksum(input)) {
+    throw new Error(
+      "Address checksum is invalid (EIP-55). Check the address for typos."
+    );
+  }
+  return getAddress(input.toLowerCase());
+}
+
+export const ADDRESS_WARNING = {
+  SELF: "self",
+  TOKEN_CONTRACT: "token_contract",
+  LOOKALIKE: "lookalike",
+};
+
+// Characters compared at each end when looking for look-alike addresses.
+// Poisoning attacks generate vanity addresses matching what wallets show in
+// truncated form (0x1234...abcd).
+const LOOKALIKE_PREFIX = 4;
+const LOOKALIKE_SUFFIX = 4;
+
+const isLookalike = (a, b) => {
+  const left = a.toLowerCase().slice(2);
+  const right = b.toLowerCase().slice(2);
+  return (
+    left !== right &&
+    left.slice(0, LOOKALIKE_PREFIX) === right.slice(0, LOOKALIKE_PREFIX) &&
+    left.slice(-LOOKALIKE_SUFFIX) === right.slice(-LOOKALIKE_SUFFIX)
+  );
+};
+
+// Reasons to double-check a recipient before sending: the wallet's own
+// address, a token contract (funds sent there are usually lost), or an
+// address that mimics one the user has sent to before.
+export function getAddressWarnings(
+  address,
+  { ownAddress, tokenAddresses = [], knownAddresses = [] } = {}
+) {
+  if (!isHexAddress(address)) return [];
+
+  const target = address.toLowerCase();
+  const warnings = [];
+
+  if (ownAddress && ownAddress.toLowerCase() === target) {
+    warnings.push({
+      type: ADDRESS_WARNING.SELF,
+      message: "This is your own wallet address.",
+    });
+  }
+
+  const token = tokenAddresses.find(
+    (item) => item.address.toLowerCase() === target
+  );
+  if (token) {
+    warnings.push({
+      type: ADDRESS_WARNING.TOKEN_CONTRACT,
+      message: `This is the ${token.symbol} token contract. Tokens sent to a token contract are usually lost.`,
+    });
+  }
+
+  const isKnown = knownAddresses.some(
+    (item) => item.address.toLowerCase() === target
+  );
+  const lookalike =
+    !isKnown &&
+    knownAddresses.find((item) => isLookalike(item.address, address));
+  if (lookalike) {
+    warnings.push({
+      type: ADDRESS_WARNING.LOOKALIKE,
+      message: `Looks like ${
+        lookalike.label
+          ? `${lookalike.label} (${lookalike.address})`
+          : lookalike.address
+      }, which you've used before, but the middle differs. This may be an address poisoning attempt.`,
+    });
+  }
+
+  return warnings;
+}
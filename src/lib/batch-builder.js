@@ -0,0 +1,169 @@
+// @/lib/batch-builder.js
+
+import { Interface, formatEther, formatUnits, getAddress } from "ethers";
+import { encodeApprove, encodeTransfer } from "@/lib/erc20";
+
+let operationId = 0;
+
+const nextId = () => {
+  operationId = (operationId + 1) % Number.MAX_SAFE_INTEGER;
+  return `op-${operationId}`;
+};
+
+// Composable list of calls executed atomically by the smart account through
+// ZeroDevWallet.sendBatchTransaction. Mutating methods return the builder so
+// calls can be chained; use clone() to get a fresh instance for React state.
+export class BatchBuilder {
+  constructor(operations = []) {
+    this.operations = [...operations];
+  }
+
+  clone() {
+    return new BatchBuilder(this.operations);
+  }
+
+  get length() {
+    return this.operations.length;
+  }
+
+  isEmpty() {
+    return this.operations.length === 0;
+  }
+
+  // Arbitrary contract call from a human-readable ABI fragment, e.g.
+  // "function mint(address to, uint256 amount)"
+  addCall(target, abiFragment, args = [], { value = 0n, label } = {}) {
+    const contractInterface = new Interface([abiFragment]);
+    const fragment = contractInterface.fragments.find(
+      (item) => item.type === "function"
+    );
+    if (!fragment) {
+      throw new Error("ABI fragment must describe a function");
+    }
+
+    const data = contractInterface.encodeFunctionData(fragment, args);
+    const formattedArgs = args.map((arg) => String(arg)).join(", ");
+
+    return this.push({
+      kind: "call",
+      to: getAddress(target),
+      value: BigInt(value),
+      data,
+      description: label || `${fragment.name}(${formattedArgs})`,
+    });
+  }
+
+  // `symbol` is the chain's native token symbol (ETH, POL, ...)
+  addNativeTransfer(recipient, amount, { symbol = "ETH" } = {}) {
+    const to = getAddress(recipient);
+
+    return this.push({
+      kind: "native",
+      to,
+      value: BigInt(amount),
+      data: "0x",
+      recipient: to,
+      amount: BigInt(amount),
+      symbol,
+      decimals: 18,
+      description: `Send ${formatEther(amount)} ${symbol}`,
+    });
+  }
+
+  addApprove(
+    tokenAddress,
+    spender,
+    amount,
+    { symbol = "", decimals = 18 } = {}
+  ) {
+    const recipient = getAddress(spender);
+
+    return this.push({
+      kind: "approve",
+      to: getAddress(tokenAddress),
+      value: 0n,
+      data: encodeApprove(recipient, amount),
+      recipient,
+      amount: BigInt(amount),
+      symbol,
+      decimals,
+      description: `Approve ${formatUnits(amount, decimals)} ${symbol}`.trim(),
+    });
+  }
+
+  addTransfer(tokenAddress, to, amount, { symbol = "", decimals = 18 } = {}) {
+    const recipient = getAddress(to);
+
+    return this.push({
+      kind: "transfer",
+      to: getAddress(tokenAddress),
+      value: 0n,
+      data: encodeTransfer(recipient, amount),
+      recipient,
+      amount: BigInt(amount),
+      symbol,
+      decimals,
+      description: `Transfer ${formatUnits(amount, decimals)} ${symbol}`.trim(),
+    });
+  }
+
+  move(fromIndex, toIndex) {
+    if (
+      fromIndex < 0 ||
+      fromIndex >= this.operations.length ||
+      toIndex < 0 ||
+      toIndex >= this.operations.length
+    ) {
+      return this;
+    }
+
+    const [operation] = this.operations.splice(fromIndex, 1);
+    this.operations.splice(toIndex, 0, operation);
+    return this;
+  }
+
+  remove(id) {
+    this.operations = this.operations.filter(
+      (operation) => operation.id !== id
+    );
+    return this;
+  }
+
+  clear() {
+    this.operations = [];
+    return this;
+  }
+
+  // Human-readable summary of every operation, in execution order
+  preview() {
+    return this.operations.map((operation, index) => ({
+      index,
+      id: operation.id,
+      kind: operation.kind,
+      to: operation.to,
+      recipient: operation.recipient || null,
+      amount:
+        operation.amount !== undefined
+          ? formatUnits(operation.amount, operation.decimals)
+          : null,
+      symbol: operation.symbol || null,
+      value: formatEther(operation.value),
+      data: operation.data,
+      description: operation.description,
+    }));
+  }
+
+  // Operations in the { to, value, data } shape sendBatchTransaction expects
+  build() {
+    return this.operations.map(({ to, value, data }) => ({ to, value, data }));
+  }
+
+  push(operation) {
+    this.operations.push({ id: nextId(), ...operation });
+    return this;
+  }
+}
+
+export function createBatchBuilder() {
+  return new BatchBuilder();
+}
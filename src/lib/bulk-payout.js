@@ -0,0 +1,402 @@
+// @/lib/bulk-payout.js
+
+import { parseUnits } from "ethers";
+import { apiRequest } from "@/lib/queryClient";
+import { BatchBuilder } from "@/lib/batch-builder";
+import {
+  TRANSACTION_STATUS,
+  mayHaveBeenSubmitted,
+} from "@/lib/transaction-lifecycle";
+import { PAYMASTER_MODE } from "@/lib/paymaster";
+import {
+  getAddressWarnings,
+  isHexAddress,
+  parseAddress,
+} from "@/lib/address-safety";
+import { isNativeToken, isSameToken } from "@/lib/tokens";
+
+export const MAX_PAYOUT_ROWS = 500;
+
+// Limits for a single UserOperation. Larger payouts are split into chunks
+// that are sent one after another.
+export const MAX_CHUNK_CALLS = 100;
+export const MAX_CHUNK_CALL_GAS = 6000000n;
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+// RFC 4180 parsing: quoted fields may contain commas, quotes ("") and line
+// breaks. Blank lines are skipped; each row keeps its 1-based line number.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some((value) => value.trim() !== "")) {
+      rows.push({ line: rowLine, values: row });
+    }
+    row = [];
+    field = "";
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  endRow();
+  return rows;
+}
+
+// Rows of an `address,amount[,token,memo]` file. A header row starting with
+// "address" is skipped.
+export function parsePayoutCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (rows[0]?.values[0].trim().toLowerCase() === "address") {
+    rows.shift();
+  }
+
+  if (rows.length === 0) {
+    throw new Error("The file has no payout rows");
+  }
+  if (rows.length > MAX_PAYOUT_ROWS) {
+    throw new Error(
+      `A payout can have at most ${MAX_PAYOUT_ROWS} rows (this file has ${rows.length})`
+    );
+  }
+
+  return rows.map(({ line, values }) => ({
+    line,
+    address: (values[0] || "").trim(),
+    amount: (values[1] || "").trim(),
+    token: (values[2] || "").trim(),
+    memo: (values[3] || "").trim(),
+  }));
+}
+
+// Registry token for a symbol or contract address; blank means the default
+const findToken = (tokens, value, defaultToken) => {
+  if (!value) return defaultToken;
+  if (isHexAddress(value)) {
+    return tokens.find((token) => isSameToken(token, { address: value }));
+  }
+  return tokens.find(
+    (token) => token.symbol.toLowerCase() === value.toLowerCase()
+  );
+};
+
+// Check every row: address format and checksum, not the wallet itself or a
+// token contract, a known token, a positive amount within the token's
+// decimals, and no duplicate recipient for the same token. Totals per token
+// are compared with `balances` (from useBalances) when given; the native
+// total also has to cover `nativeGasFee` when gas isn't sponsored.
+export function validatePayoutRows(
+  rows,
+  { tokens, defaultToken, ownAddress, balances = null, nativeGasFee = 0n }
+) {
+  const tokenAddresses = tokens.filter((token) => !isNativeToken(token));
+  const seen = new Map();
+  const totals = new Map();
+
+  const validated = rows.map((row) => {
+    const errors = [];
+    let address = null;
+    let baseAmount = null;
+
+    try {
+      address = parseAddress(row.address);
+      getAddressWarnings(address, { ownAddress, tokenAddresses }).forEach(
+        (warning) => errors.push(warning.message)
+      );
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    const token = findToken(tokens, row.token, defaultToken);
+    if (!token) {
+      errors.push(`Unknown token "${row.token}" on this network`);
+    }
+
+    if (!AMOUNT_PATTERN.test(row.amount)) {
+      errors.push("Amount must be a positive number");
+    } else if (token) {
+      try {
+        baseAmount = parseUnits(row.amount, token.decimals);
+        if (baseAmount === 0n) errors.push("Amount must be greater than 0");
+      } catch (error) {
+        errors.push(
+          `${token.symbol} amounts have at most ${token.decimals} decimals`
+        );
+      }
+    }
+
+    if (address && token) {
+      const key = `${address.toLowerCase()}:${token.address || "native"}`;
+      if (seen.has(key)) {
+        errors.push(`Duplicate of line ${seen.get(key)}`);
+      } else {
+        seen.set(key, row.line);
+      }
+    }
+
+    if (errors.length === 0) {
+      const key = token.address || "native";
+      const total = totals.get(key) || { token, total: 0n };
+      totals.set(key, { token, total: total.total + baseAmount });
+    }
+
+    return {
+      ...row,
+      address: address || row.address,
+      token,
+      baseAmount,
+      errors,
+    };
+  });
+
+  const nativeToken = tokens.find(isNativeToken);
+  if (nativeGasFee > 0n && nativeToken && !totals.has("native")) {
+    totals.set("native", { token: nativeToken, total: 0n });
+  }
+
+  const tokenTotals = [...totals.values()].map(({ token, total }) => {
+    const balance =
+      balances?.find((item) => isSameToken(item, token))?.balance ?? null;
+    const gasFee = isNativeToken(token) ? nativeGasFee : 0n;
+    return {
+      token,
+      total,
+      gasFee,
+      balance,
+      insufficient: balance !== null && total + gasFee > balance,
+    };
+  });
+  const errorCount = validated.filter((row) => row.errors.length > 0).length;
+
+  return {
+    rows: validated,
+    totals: tokenTotals,
+    errorCount,
+    isValid:
+      validated.length > 0 &&
+      errorCount === 0 &&
+      tokenTotals.every((item) => !item.insufficient),
+  };
+}
+
+// One batch operation per validated row, in file order
+export function buildPayoutBatch(rows) {
+  const builder = new BatchBuilder();
+  rows.forEach(({ token, address, baseAmount }) => {
+    if (isNativeToken(token)) {
+      builder.addNativeTransfer(address, baseAmount, { symbol: token.symbol });
+    } else {
+      builder.addTransfer(token.address, address, baseAmount, {
+        symbol: token.symbol,
+        decimals: token.decimals,
+      });
+    }
+  });
+  return builder;
+}
+
+const toCalls = (operations) =>
+  operations.map(({ to, value, data }) => ({ to, value, data }));
+
+// Split operations into chunks that fit one UserOperation each. Chunks are
+// capped at maxCalls, then halved until the quoted call gas is under
+// maxCallGas. `quote` is useZeroDev's quoteBatchOperations; every chunk is
+// returned with its quote.
+export async function chunkOperations(
+  operations,
+  quote,
+  { maxCalls = MAX_CHUNK_CALLS, maxCallGas = MAX_CHUNK_CALL_GAS } = {}
+) {
+  const splitByGas = async (chunk) => {
+    const chunkQuote = await quote(toCalls(chunk));
+    if (chunk.length === 1 || chunkQuote.callGasLimit <= maxCallGas) {
+      return [{ operations: chunk, calls: toCalls(chunk), quote: chunkQuote }];
+    }
+
+    const middle = Math.ceil(chunk.length / 2);
+    return [
+      ...(await splitByGas(chunk.slice(0, middle))),
+      ...(await splitByGas(chunk.slice(middle))),
+    ];
+  };
+
+  const chunks = [];
+  for (let i = 0; i < operations.length; i += maxCalls) {
+    chunks.push(...(await splitByGas(operations.slice(i, i + maxCalls))));
+  }
+  return chunks;
+}
+
+// Combined quote for the review dialog: total fee across chunks, and the
+// least favourable gas payment mode
+export function mergeChunkQuotes(chunks) {
+  const quotes = chunks.map((chunk) => chunk.quote);
+  const unsponsored = quotes.find(
+    (quote) => quote.paymasterMode !== PAYMASTER_MODE.SPONSORED
+  );
+
+  return {
+    ...(unsponsored || quotes[0]),
+    estimatedFee: quotes.reduce(
+      (total, quote) => total + quote.estimatedFee,
+      0n
+    ),
+  };
+}
+
+// Gas the account pays itself in the native token across chunks; chunks
+// that are sponsored or pay gas in USDC don't count
+export const getNativeGasFee = (chunks) =>
+  chunks
+    .filter((chunk) => chunk.quote.paymasterMode === PAYMASTER_MODE.NATIVE)
+    .reduce((total, chunk) => total + chunk.quote.estimatedFee, 0n);
+
+// Send payout chunks in order for an existing parent /api/transactions
+// record. The record's batchOperations are the payout rows; each row tracks
+// the status and hashes of the chunk it was sent in. Rows of chunks that were
+// never sent, or reverted, are marked failed; a chunk that reached the
+// bundler but couldn't be followed keeps its submitted or included status,
+// since it may still pay. The thrown error carries the row records, so only
+// the failed rows can be retried.
+export async function runPayout({
+  transactionId,
+  chunks,
+  payouts,
+  submit,
+  track,
+  onStatusChange = () => {},
+}) {
+  const records = payouts.map((payout) => ({
+    ...payout,
+    status: TRANSACTION_STATUS.PENDING,
+  }));
+  let userOpHash = null;
+  let txHash = null;
+  let currentChunk = 0;
+
+  const updateChunk = (chunkIndex, fields) =>
+    records.forEach((record, index) => {
+      if (record.chunk === chunkIndex) {
+        records[index] = { ...record, ...fields };
+      }
+    });
+
+  const update = async (status, { chunk = null, ...fields } = {}) => {
+    onStatusChange({ status, userOpHash, hash: txHash, chunk, ...fields });
+    await apiRequest("PATCH", `/api/transactions/${transactionId}`, {
+      status,
+      userOpHash,
+      hash: txHash,
+      batchOperations: records,
+      ...fields,
+    });
+  };
+
+  onStatusChange({ status: TRANSACTION_STATUS.PENDING, chunk: 0 });
+
+  try {
+    for (const [index, chunk] of chunks.entries()) {
+      currentChunk = index;
+      userOpHash = await submit(chunk);
+      if (!userOpHash) {
+        throw new Error("Transaction failed - no hash returned");
+      }
+      txHash = null;
+      updateChunk(index, { status: TRANSACTION_STATUS.SUBMITTED, userOpHash });
+      await update(TRANSACTION_STATUS.SUBMITTED, { chunk: index });
+
+      await track(userOpHash, {
+        onIncluded: async (receipt) => {
+          txHash = receipt.receipt.transactionHash;
+          updateChunk(index, {
+            status: TRANSACTION_STATUS.INCLUDED,
+            hash: txHash,
+          });
+          await update(TRANSACTION_STATUS.INCLUDED, { chunk: index });
+        },
+      });
+      updateChunk(index, { status: TRANSACTION_STATUS.CONFIRMED });
+    }
+
+    await update(TRANSACTION_STATUS.CONFIRMED);
+    return records;
+  } catch (error) {
+    console.error("❌ Payout failed:", error);
+    const message =
+      error instanceof Error ? error.message : "Transaction failed";
+
+    // Only the chunk being sent can be in flight; it is unknown unless it
+    // reverted or never reached the bundler
+    const unknown =
+      !error?.reverted &&
+      (mayHaveBeenSubmitted(error) ||
+        records.some(
+          (record) =>
+            record.chunk === currentChunk &&
+            (record.status === TRANSACTION_STATUS.SUBMITTED ||
+              record.status === TRANSACTION_STATUS.INCLUDED)
+        ));
+    if (unknown && error instanceof Error) error.maybeSubmitted = true;
+
+    records.forEach((record, index) => {
+      if (record.status === TRANSACTION_STATUS.CONFIRMED) return;
+      const inFlight = unknown && record.chunk === currentChunk;
+      records[index] = {
+        ...record,
+        status: !inFlight
+          ? TRANSACTION_STATUS.FAILED
+          : record.status === TRANSACTION_STATUS.PENDING
+          ? TRANSACTION_STATUS.SUBMITTED
+          : record.status,
+        error: message,
+      };
+    });
+
+    try {
+      await update(
+        unknown ? TRANSACTION_STATUS.SUBMITTED : TRANSACTION_STATUS.FAILED,
+        { error: message }
+      );
+    } catch (patchError) {
+      console.warn("Failed to record payout failure:", patchError);
+    }
+
+    if (error instanceof Error) error.records = records;
+    throw error;
+  }
+}
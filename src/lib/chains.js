@@ -0,0 +1,141 @@
+// @/lib/chains.js
+
+const ZERODEV_RPC_BASE_URL = "https://rpc.zerodev.app/api/v3";
+
+// Static metadata for networks we know about. Endpoints come from env config.
+const KNOWN_CHAINS = {
+  1: {
+    name: "Ethereum",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://etherscan.io",
+    usdcAddress: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+  },
+  11155111: {
+    name: "Sepolia",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://sepolia.etherscan.io",
+    usdcAddress: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238",
+    testnet: true,
+  },
+  8453: {
+    name: "Base",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://basescan.org",
+    usdcAddress: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+  },
+  84532: {
+    name: "Base Sepolia",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://sepolia.basescan.org",
+    usdcAddress: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    testnet: true,
+  },
+  10: {
+    name: "Optimism",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://optimistic.etherscan.io",
+    usdcAddress: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+  },
+  42161: {
+    name: "Arbitrum One",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://arbiscan.io",
+    usdcAddress: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+  },
+  421614: {
+    name: "Arbitrum Sepolia",
+    nativeSymbol: "ETH",
+    explorerUrl: "https://sepolia.arbiscan.io",
+    usdcAddress: "0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d",
+    testnet: true,
+  },
+  137: {
+    name: "Polygon",
+    nativeSymbol: "POL",
+    explorerUrl: "https://polygonscan.com",
+    usdcAddress: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",
+  },
+  80002: {
+    name: "Polygon Amoy",
+    nativeSymbol: "POL",
+    explorerUrl: "https://amoy.polygonscan.com",
+    usdcAddress: "0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582",
+    testnet: true,
+  },
+  31337: {
+    name: "Local",
+    nativeSymbol: "ETH",
+    rpcUrl: "http://127.0.0.1:8545",
+    explorerUrl: "",
+    usdcAddress: "",
+    testnet: true,
+  },
+};
+
+const DEFAULT_CHAIN_ID = 84532;
+
+// Build the chain config for chainId from VITE_*_<chainId> env variables.
+// The un-suffixed variables (VITE_RPC_URL, VITE_USDC_ADDRESS, ...) still
+// apply to the default chain.
+function buildChainConfig(chainId, env, isDefault) {
+  const known = KNOWN_CHAINS[chainId] || {};
+  const read = (name, legacyName) =>
+    env[`${name}_${chainId}`] || (isDefault && legacyName && env[legacyName]);
+  const projectId = env.VITE_ZERODEV_PROJECT_ID || "";
+
+  return {
+    chainId,
+    name: read("VITE_CHAIN_NAME") || known.name || `Chain ${chainId}`,
+    nativeSymbol: known.nativeSymbol || "ETH",
+    testnet: !!known.testnet,
+    rpcUrl: read("VITE_RPC_URL", "VITE_RPC_URL") || known.rpcUrl || "",
+    bundlerUrl:
+      read("VITE_BUNDLER_URL", "VITE_ZERODEV_BUNDLER_URL") ||
+      (projectId
+        ? `${ZERODEV_RPC_BASE_URL}/${projectId}/chain/${chainId}`
+        : ""),
+    paymasterUrl:
+      read("VITE_PAYMASTER_URL", "VITE_ZERODEV_PAYMASTER_URL") || "",
+    explorerUrl: read("VITE_EXPLORER_URL") || known.explorerUrl || "",
+    usdcAddress:
+      read("VITE_USDC_ADDRESS", "VITE_USDC_ADDRESS") || known.usdcAddress || "",
+    // Extra ERC-20 tokens to show balances for (comma separated addresses)
+    tokenAddresses: (read("VITE_TOKEN_ADDRESSES", "VITE_TOKEN_ADDRESSES") || "")
+      .split(",")
+      .map((address) => address.trim())
+      .filter(Boolean),
+  };
+}
+
+// The default VITE_CHAIN_ID network first, followed by any other chains
+// enabled through VITE_CHAIN_IDS (comma separated)
+export function buildChainRegistry(env = import.meta.env) {
+  const defaultChainId = Number(env.VITE_CHAIN_ID || DEFAULT_CHAIN_ID);
+  const extraChainIds = (env.VITE_CHAIN_IDS || "")
+    .split(",")
+    .map((id) => Number(id.trim()))
+    .filter((id) => Number.isInteger(id) && id > 0 && id !== defaultChainId);
+  const chainIds = [defaultChainId, ...new Set(extraChainIds)];
+
+  return chainIds.map((chainId) =>
+    buildChainConfig(chainId, env, chainId === defaultChainId)
+  );
+}
+
+export const chains = buildChainRegistry();
+
+export const defaultChain = chains[0];
+
+export function getChain(chainId) {
+  return chains.find((chain) => chain.chainId === Number(chainId)) || null;
+}
+
+export function getExplorerTxUrl(chain, hash) {
+  return chain?.explorerUrl && hash ? `${chain.explorerUrl}/tx/${hash}` : null;
+}
+
+export function getExplorerAddressUrl(chain, address) {
+  return chain?.explorerUrl && address
+    ? `${chain.explorerUrl}/address/${address}`
+    : null;
+}
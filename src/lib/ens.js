@@ -0,0 +1,111 @@
+// @/lib/ens.js
+
+import { EnsPlugin, JsonRpcProvider, Network, getAddress } from "ethers";
+import { getChain } from "@/lib/chains";
+import { isHexAddress, parseAddress } from "@/lib/address-safety";
+
+const CACHE_TTL = 1000 * 60 * 5; // 5 minutes
+
+export const isEnsName = (value) =>
+  typeof value === "string" && /^[^\s.]+(\.[^\s.]+)*\.eth$/i.test(value.trim());
+
+// Forward (name → address) and reverse (address → name) ENS lookups against
+// one network. ENS lives on Ethereum mainnet by default; pointing rpcUrl and
+// registryAddress at a local node with its own ENS deployment lets tests run
+// offline.
+export class EnsResolver {
+  constructor({ rpcUrl, chainId = 1, registryAddress } = {}) {
+    this.rpcUrl = rpcUrl || "";
+    this.chainId = Number(chainId);
+    this.registryAddress = registryAddress || "";
+    this.provider = null;
+    this.cache = new Map();
+  }
+
+  isConfigured() {
+    return !!this.rpcUrl;
+  }
+
+  getProvider() {
+    if (!this.isConfigured()) {
+      throw new Error("ENS resolver RPC URL not configured");
+    }
+    if (!this.provider) {
+      // Known networks come with the canonical ENS registry; a custom
+      // registry needs a fresh network to attach it to
+      const network = this.registryAddress
+        ? new Network(`ens-${this.chainId}`, this.chainId)
+        : Network.from(this.chainId);
+      if (this.registryAddress) {
+        network.attachPlugin(
+          new EnsPlugin(getAddress(this.registryAddress), this.chainId)
+        );
+      }
+      this.provider = new JsonRpcProvider(this.rpcUrl, network, {
+        staticNetwork: network,
+      });
+    }
+    return this.provider;
+  }
+
+  async cached(key, lookup) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+
+    const value = await lookup();
+    this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL });
+    return value;
+  }
+
+  // Checksummed address for an ENS name, or null when it has none
+  async resolveName(name) {
+    const normalized = name.trim().toLowerCase();
+    return this.cached(`name:${normalized}`, async () => {
+      const address = await this.getProvider().resolveName(normalized);
+      return address ? getAddress(address) : null;
+    });
+  }
+
+  // Primary ENS name for an address. ethers only returns names whose forward
+  // record points back at the address, so spoofed reverse records are ignored.
+  async lookupAddress(address) {
+    const checksummed = getAddress(address);
+    return this.cached(`address:${checksummed}`, () =>
+      this.getProvider().lookupAddress(checksummed)
+    );
+  }
+}
+
+function createEnsResolver(env = import.meta.env) {
+  const chainId = Number(env.VITE_ENS_CHAIN_ID || 1);
+  return new EnsResolver({
+    rpcUrl: env.VITE_ENS_RPC_URL || getChain(chainId)?.rpcUrl,
+    chainId,
+    registryAddress: env.VITE_ENS_REGISTRY_ADDRESS,
+  });
+}
+
+export const ensResolver = createEnsResolver();
+
+// Resolve a recipient field to { address, ensName }. Hex addresses are
+// checksum-validated; anything else must be a resolvable .eth name.
+export async function resolveRecipient(value, resolver = ensResolver) {
+  const input = (value || "").trim();
+
+  if (isHexAddress(input)) {
+    return { address: parseAddress(input), ensName: null };
+  }
+
+  if (!isEnsName(input)) {
+    throw new Error("Invalid recipient address format");
+  }
+  if (!resolver.isConfigured()) {
+    throw new Error("ENS resolution is not configured");
+  }
+
+  const address = await resolver.resolveName(input);
+  if (!address) {
+    throw new Error(`${input} does not resolve to an address`);
+  }
+  return { address, ensName: input.toLowerCase() };
+}
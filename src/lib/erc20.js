@@ -0,0 +1,36 @@
+// @/lib/erc20.js
+
+import { Interface, formatUnits } from "ethers";
+
+export const erc20Interface = new Interface([
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+]);
+
+export function encodeTransfer(to, amount) {
+  return erc20Interface.encodeFunctionData("transfer", [to, amount]);
+}
+
+export function encodeApprove(spender, amount) {
+  return erc20Interface.encodeFunctionData("approve", [spender, amount]);
+}
+
+// Approve + transfer pair for the batch card; amount is in base units
+export function encodeApproveAndTransfer(tokenAddress, recipient, amount) {
+  return [
+    { to: tokenAddress, value: 0n, data: encodeApprove(recipient, amount) },
+    { to: tokenAddress, value: 0n, data: encodeTransfer(recipient, amount) },
+  ];
+}
+
+// Base units -> display string, trimmed to maxFractionDigits (rounded down)
+export function formatTokenAmount(amount, decimals, maxFractionDigits = 6) {
+  const [whole, fraction = ""] = formatUnits(amount, decimals).split(".");
+  const trimmed = fraction.slice(0, maxFractionDigits).replace(/0+$/, "");
+  const grouped = BigInt(whole).toLocaleString("en-US");
+  return trimmed ? `${grouped}.${trimmed}` : grouped;
+}
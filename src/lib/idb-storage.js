@@ -0,0 +1,108 @@
+// @/lib/idb-storage.js
+
+import { safariUtils } from "@/lib/safari-compatibility";
+
+const DB_NAME = "zerodev-dapp";
+const DB_VERSION = 1;
+const STORE_NAME = "keyval";
+const FALLBACK_PREFIX = "idb:";
+
+let dbPromise = null;
+
+// Open (or reuse) the IndexedDB database. Resolves to null when IndexedDB is
+// unavailable, e.g. in Safari private browsing.
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    try {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("IndexedDB open failed:", request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn("IndexedDB unavailable:", error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return { fallback: true };
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve({ value: request.result });
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Small key/value store backed by IndexedDB, falling back to
+// safariUtils.safeLocalStorage (JSON-encoded) when IndexedDB is unavailable.
+export const idbStorage = {
+  getItem: async (key) => {
+    try {
+      const result = await runTransaction("readonly", (store) =>
+        store.get(key)
+      );
+      if (!result.fallback) return result.value ?? null;
+    } catch (error) {
+      console.warn("IndexedDB getItem failed:", error);
+    }
+
+    const raw = safariUtils.safeLocalStorage.getItem(FALLBACK_PREFIX + key);
+    try {
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  setItem: async (key, value) => {
+    try {
+      const result = await runTransaction("readwrite", (store) =>
+        store.put(value, key)
+      );
+      if (!result.fallback) return true;
+    } catch (error) {
+      console.warn("IndexedDB setItem failed:", error);
+    }
+
+    return safariUtils.safeLocalStorage.setItem(
+      FALLBACK_PREFIX + key,
+      JSON.stringify(value)
+    );
+  },
+
+  removeItem: async (key) => {
+    try {
+      const result = await runTransaction("readwrite", (store) =>
+        store.delete(key)
+      );
+      if (!result.fallback) return true;
+    } catch (error) {
+      console.warn("IndexedDB removeItem failed:", error);
+    }
+
+    return safariUtils.safeLocalStorage.removeItem(FALLBACK_PREFIX + key);
+  },
+};
+
+export default idbStorage;
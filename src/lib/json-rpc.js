@@ -0,0 +1,75 @@
+// @/lib/json-rpc.js
+
+// Error returned by a JSON-RPC endpoint (bundler, paymaster, node).
+// `transport` is set when the request got no JSON-RPC answer (network
+// failure, unreadable or non-2xx response), so the endpoint may still have
+// processed it.
+export class JsonRpcError extends Error {
+  constructor(message, code, data, { transport = false } = {}) {
+    super(message);
+    this.name = "JsonRpcError";
+    this.code = code;
+    this.data = data;
+    this.transport = transport;
+  }
+}
+
+let requestId = 0;
+
+// Minimal JSON-RPC 2.0 client for ERC-4337 endpoints that ethers' providers
+// don't cover (eth_sendUserOperation, pm_sponsorUserOperation, ...).
+export async function jsonRpcRequest(url, method, params = [], options = {}) {
+  if (!url) {
+    throw new JsonRpcError(`No endpoint configured for ${method}`, -32000);
+  }
+
+  requestId = (requestId + 1) % Number.MAX_SAFE_INTEGER;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: requestId, method, params }),
+      signal: options.signal,
+    });
+  } catch (error) {
+    throw new JsonRpcError(
+      `${method} request failed: ${error.message}`,
+      -32603,
+      { originalError: error.message },
+      { transport: true }
+    );
+  }
+
+  let payload;
+  try {
+    payload = await response.json();
+  } catch (error) {
+    throw new JsonRpcError(
+      `${method} returned an invalid response (HTTP ${response.status})`,
+      -32700,
+      undefined,
+      { transport: true }
+    );
+  }
+
+  if (payload.error) {
+    throw new JsonRpcError(
+      payload.error.message || `${method} failed`,
+      payload.error.code,
+      payload.error.data
+    );
+  }
+
+  if (!response.ok) {
+    throw new JsonRpcError(
+      `${method} failed: HTTP ${response.status}`,
+      response.status,
+      undefined,
+      { transport: true }
+    );
+  }
+
+  return payload.result;
+}
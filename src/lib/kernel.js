@@ -0,0 +1,148 @@
+// @/lib/kernel.js
+
+import { AbiCoder, Interface, ZeroAddress, concat, getBytes } from "ethers";
+
+// Kernel v2 deployment used by ZeroDev (EntryPoint v0.6). Every address can be
+// overridden through env config so a local deployment can stand in for tests.
+export const KERNEL_DEFAULTS = {
+  entryPointAddress: "0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789",
+  factoryAddress: "0x5de4839a76cf55d0c90e2061ef4386d962E15ae3",
+  implementationAddress: "0xd3082872F8B06073A021b4602e022d5A070d7cfC",
+  ecdsaValidatorAddress: "0xd9AB5096a832b9ce79914329DAEE236f8Eea0390",
+  sessionKeyValidatorAddress: "0x5C06CE2b673fD5E6e56076e40DD46aB67f5a72A5",
+};
+
+export const kernelFactoryInterface = new Interface([
+  "function createAccount(address _implementation, bytes _data, uint256 _index) payable returns (address)",
+  "function getAccountAddress(bytes _data, uint256 _index) view returns (address)",
+]);
+
+export const kernelAccountInterface = new Interface([
+  "function initialize(address _defaultValidator, bytes _data)",
+  "function execute(address to, uint256 value, bytes data, uint8 operation)",
+  "function executeBatch((address to, uint256 value, bytes data)[] calls)",
+  "function setExecution(bytes4 _selector, address _executor, address _validator, uint48 _validUntil, uint48 _validAfter, bytes _enableData)",
+]);
+
+// Kernel's ECDSA validator keeps one owner address per account
+export const ecdsaValidatorInterface = new Interface([
+  "function ecdsaValidatorStorage(address _kernel) view returns (address owner)",
+]);
+
+export const KERNEL_EXECUTE_SELECTOR =
+  kernelAccountInterface.getFunction("execute").selector;
+
+// Kernel v2 signatures are prefixed with a 4-byte mode; 0x00000000 selects
+// the default (sudo) validator and 0x00000001 the plugin validator registered
+// for the calldata's selector with setExecution.
+export const KERNEL_SUDO_MODE = "0x00000000";
+export const KERNEL_PLUGIN_MODE = "0x00000001";
+
+// Well-formed ECDSA signature used while estimating gas, before the real
+// UserOperation hash is known.
+export const DUMMY_ECDSA_SIGNATURE =
+  "0xfffffffffffffffffffffffffffffff0000000000000000000000000000000007aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa1c";
+
+export const KERNEL_DUMMY_SIGNATURE = concat([
+  KERNEL_SUDO_MODE,
+  DUMMY_ECDSA_SIGNATURE,
+]);
+
+// Calldata for Kernel.initialize: the validator is enabled as the default
+// validator with enableData (for the ECDSA validator, the packed owner
+// address).
+export function encodeKernelInitData(validatorAddress, enableData) {
+  return kernelAccountInterface.encodeFunctionData("initialize", [
+    validatorAddress,
+    enableData,
+  ]);
+}
+
+// Calldata for KernelFactory.createAccount, used as the UserOperation initCode
+// suffix when the account has not been deployed yet.
+export function encodeKernelFactoryData(
+  implementationAddress,
+  initData,
+  index
+) {
+  return kernelFactoryInterface.encodeFunctionData("createAccount", [
+    implementationAddress,
+    initData,
+    index,
+  ]);
+}
+
+export function encodeKernelInitCode(factoryAddress, factoryData) {
+  return concat([getBytes(factoryAddress), getBytes(factoryData)]);
+}
+
+// Calldata for a single call executed by the Kernel account
+export function encodeKernelExecute(to, value, data = "0x") {
+  return kernelAccountInterface.encodeFunctionData("execute", [
+    to,
+    value,
+    data,
+    0, // Operation.Call
+  ]);
+}
+
+export function encodeKernelSignature(ecdsaSignature) {
+  return concat([KERNEL_SUDO_MODE, ecdsaSignature]);
+}
+
+// Calldata for Kernel.setExecution: route `selector` through `validator` in
+// plugin mode between validAfter and validUntil (unix seconds), enabling the
+// validator with enableData. Selectors Kernel doesn't implement itself are
+// delegated to executorAddress. Must be called by the account itself.
+export function encodeKernelSetExecution(
+  selector,
+  validatorAddress,
+  { validUntil, validAfter = 0, enableData, executorAddress = ZeroAddress }
+) {
+  return kernelAccountInterface.encodeFunctionData("setExecution", [
+    selector,
+    executorAddress,
+    validatorAddress,
+    validUntil,
+    validAfter,
+    enableData,
+  ]);
+}
+
+// Calldata executing several calls atomically from the Kernel account
+export function encodeKernelExecuteBatch(calls) {
+  return kernelAccountInterface.encodeFunctionData("executeBatch", [
+    calls.map((call) => [call.to, call.value ?? 0n, call.data ?? "0x"]),
+  ]);
+}
+
+// EIP-1271: Kernel v2.4 wraps the hash being checked in its own typed data
+// (bound to the account and chain) before the default validator verifies the
+// owner's signature, so owners sign this instead of the raw hash.
+export const getKernelWrapperTypedData = (chainId, accountAddress, hash) => ({
+  domain: {
+    name: "Kernel",
+    version: "0.2.4",
+    chainId,
+    verifyingContract: accountAddress,
+  },
+  types: {
+    KernelWrapper: [{ name: "hash", type: "bytes32" }],
+  },
+  value: { hash },
+});
+
+// ERC-6492 suffix marking a signature from an account that isn't deployed
+// yet; verifiers deploy it in a simulation before calling isValidSignature
+export const ERC6492_MAGIC_BYTES =
+  "0x6492649264926492649264926492649264926492649264926492649264926492";
+
+export function encodeErc6492Signature(factoryAddress, factoryData, signature) {
+  return concat([
+    AbiCoder.defaultAbiCoder().encode(
+      ["address", "bytes", "bytes"],
+      [factoryAddress, factoryData, signature]
+    ),
+    ERC6492_MAGIC_BYTES,
+  ]);
+}
@@ -0,0 +1,234 @@
+// @/lib/multisig.js
+
+import { concat, hexlify, toBigInt, verifyTypedData } from "ethers";
+import { apiRequest } from "@/lib/queryClient";
+import { parseAddress } from "@/lib/address-safety";
+import { encodeGuardianConfig, encodeRenewGuardians } from "@/lib/recovery";
+
+export const TREASURIES_ENDPOINT = "/api/treasuries";
+
+// pending → executed once enough owners signed and it was submitted, or
+// pending → rejected once too many owners rejected it to reach the threshold
+export const TREASURY_PROPOSAL_STATUS = {
+  PENDING: "pending",
+  EXECUTED: "executed",
+  REJECTED: "rejected",
+};
+
+export const TREASURY_PROPOSAL_KIND = {
+  TRANSACTION: "transaction",
+  OWNERS: "owners",
+};
+
+export const MAX_OWNER_WEIGHT = 100;
+
+// Treasury accounts use the weighted ECDSA validator as their default
+// validator, with owners as its guardians and no delay. Owners approve an
+// operation off-chain by signing this typed data; the owner submitting it
+// signs the UserOperation hash.
+export const getApprovalTypedData = (
+  chainId,
+  validatorAddress,
+  callDataAndNonceHash
+) => ({
+  domain: {
+    name: "WeightedECDSAValidator",
+    version: "0.0.3",
+    chainId,
+    verifyingContract: validatorAddress,
+  },
+  types: {
+    Approve: [{ name: "callDataAndNonceHash", type: "bytes32" }],
+  },
+  value: { callDataAndNonceHash },
+});
+
+export const encodeMultisigEnableData = ({ owners, weights, threshold }) =>
+  encodeGuardianConfig({
+    guardians: owners,
+    weights,
+    threshold,
+    delaySeconds: 0,
+  });
+
+export const encodeMultisigRenew = ({ owners, weights, threshold }) =>
+  encodeRenewGuardians({
+    guardians: owners,
+    weights,
+    threshold,
+    delaySeconds: 0,
+  });
+
+// Every proposal gets its own EntryPoint nonce key, so pending proposals
+// don't block each other and can execute in any order
+export const createProposalNonceKey = () =>
+  toBigInt(crypto.getRandomValues(new Uint8Array(24)));
+
+// Validated { owners, weights, threshold } with checksummed, unique owners
+export function normalizeOwnerConfig({ owners, threshold }) {
+  const seen = new Set();
+  const normalized = owners.map((owner) => {
+    const address = parseAddress(owner.address);
+    if (seen.has(address)) {
+      throw new Error(`${address} is listed twice`);
+    }
+    seen.add(address);
+
+    const weight = Number(owner.weight ?? 1);
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_OWNER_WEIGHT) {
+      throw new Error(
+        `Owner weights must be whole numbers from 1 to ${MAX_OWNER_WEIGHT}`
+      );
+    }
+    return { address, weight, label: owner.label?.trim() || "" };
+  });
+
+  const totalWeight = normalized.reduce((sum, owner) => sum + owner.weight, 0);
+  const required = Number(threshold);
+  if (normalized.length === 0) {
+    throw new Error("A treasury needs at least one owner");
+  }
+  if (!Number.isInteger(required) || required < 1) {
+    throw new Error("Threshold must be at least 1");
+  }
+  if (required > totalWeight) {
+    throw new Error(`Threshold can't exceed the total weight (${totalWeight})`);
+  }
+
+  return { owners: normalized, threshold: required };
+}
+
+// Owner addresses and weights as the validator stores them
+export const toValidatorConfig = ({ owners, threshold }) => ({
+  owners: owners.map((owner) => owner.address),
+  weights: owners.map((owner) => owner.weight),
+  threshold,
+});
+
+const isSameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+export const findOwner = (owners, address) =>
+  owners.find((owner) => isSameAddress(owner.address, address)) || null;
+
+// Approvals that still count (signed by a current owner), their total weight
+// and whether the proposal can still reach the threshold
+export function getProposalTally(proposal, owners, threshold) {
+  const approvals = (proposal.approvals || []).filter((approval) =>
+    findOwner(owners, approval.signer)
+  );
+  const rejections = (proposal.rejections || []).filter((signer) =>
+    findOwner(owners, signer)
+  );
+
+  const weightOf = (addresses) =>
+    addresses.reduce(
+      (sum, address) => sum + (findOwner(owners, address)?.weight || 0),
+      0
+    );
+  const approvedWeight = weightOf(approvals.map((approval) => approval.signer));
+  const rejectedWeight = weightOf(rejections);
+  const totalWeight = owners.reduce((sum, owner) => sum + owner.weight, 0);
+
+  return {
+    approvals,
+    rejections,
+    approvedWeight,
+    rejectedWeight,
+    threshold,
+    isApproved: approvedWeight >= threshold,
+    canPass: totalWeight - rejectedWeight >= threshold,
+  };
+}
+
+// Check a co-owner's approval before it is stored or submitted
+export function verifyApproval(typedData, approval) {
+  const { domain, types, value } = typedData;
+  const signer = verifyTypedData(domain, types, value, approval.signature);
+  return isSameAddress(signer, approval.signer);
+}
+
+// UserOperation signature for the validator: co-owner approvals in signer
+// order, then the submitting owner's signature over the UserOperation hash
+export function encodeMultisigSignature(approvals, finalSignature) {
+  const ordered = [...approvals].sort((a, b) =>
+    toBigInt(a.signer) < toBigInt(b.signer) ? -1 : 1
+  );
+  return hexlify(
+    concat([...ordered.map((approval) => approval.signature), finalSignature])
+  );
+}
+
+// Random CREATE2 index, so treasuries with the same owners get distinct
+// addresses
+export const createTreasuryIndex = () =>
+  toBigInt(crypto.getRandomValues(new Uint8Array(4)));
+
+export async function listTreasuries(ownerAddress) {
+  const response = await apiRequest(
+    "GET",
+    `${TREASURIES_ENDPOINT}?owner=${encodeURIComponent(ownerAddress)}`
+  );
+  return Array.isArray(response.data)
+    ? response.data
+    : response.data?.treasuries || [];
+}
+
+export async function createTreasury(treasury) {
+  const response = await apiRequest("POST", TREASURIES_ENDPOINT, treasury);
+  return response.data;
+}
+
+export async function updateTreasury(id, fields) {
+  const response = await apiRequest(
+    "PATCH",
+    `${TREASURIES_ENDPOINT}/${id}`,
+    fields
+  );
+  return response.data;
+}
+
+export async function listProposals(treasuryId) {
+  const response = await apiRequest(
+    "GET",
+    `${TREASURIES_ENDPOINT}/${treasuryId}/proposals`
+  );
+  return Array.isArray(response.data)
+    ? response.data
+    : response.data?.proposals || [];
+}
+
+export async function createProposal(treasuryId, proposal) {
+  const response = await apiRequest(
+    "POST",
+    `${TREASURIES_ENDPOINT}/${treasuryId}/proposals`,
+    proposal
+  );
+  return response.data;
+}
+
+export async function addProposalApproval(treasuryId, proposalId, approval) {
+  const response = await apiRequest(
+    "POST",
+    `${TREASURIES_ENDPOINT}/${treasuryId}/proposals/${proposalId}/approvals`,
+    approval
+  );
+  return response.data;
+}
+
+export async function addProposalRejection(treasuryId, proposalId, signer) {
+  const response = await apiRequest(
+    "POST",
+    `${TREASURIES_ENDPOINT}/${treasuryId}/proposals/${proposalId}/rejections`,
+    { signer }
+  );
+  return response.data;
+}
+
+export async function updateProposal(treasuryId, proposalId, fields) {
+  const response = await apiRequest(
+    "PATCH",
+    `${TREASURIES_ENDPOINT}/${treasuryId}/proposals/${proposalId}`,
+    fields
+  );
+  return response.data;
+}
@@ -0,0 +1,437 @@
+// @/lib/owner-key-manager.js
+
+import { Wallet, getBytes, hexlify, toUtf8Bytes } from "ethers";
+import { apiRequest } from "@/lib/queryClient";
+import { idbStorage } from "@/lib/idb-storage";
+
+export const KEY_WRAPPING_ENDPOINT = "/api/user/key-wrapping-key";
+export const OWNER_KEY_BACKUP_ENDPOINT = "/api/user/owner-key";
+
+// How the owner key is encrypted at rest: with a passphrase only the user
+// knows, or with a wrapping key the backend hands out to signed-in sessions
+export const KEY_PROTECTION = {
+  PASSPHRASE: "passphrase",
+  SERVER: "server",
+};
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const DEFAULT_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+const PBKDF2_ITERATIONS = 600000;
+const RECORD_VERSION = 1;
+
+const storageKey = (userId) => `owner_key:${userId}`;
+// Plaintext keys written before the key manager existed
+const legacyStorageKey = (userId) => `owner_signer:${userId}`;
+
+// AES-GCM key derived from a passphrase or wrapping key with PBKDF2
+async function deriveWrappingKey(secret, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    toUtf8Bytes(secret),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: getBytes(salt), iterations },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function fetchServerWrappingKey() {
+  const response = await apiRequest("GET", KEY_WRAPPING_ENDPOINT);
+  const wrappingKey = response.data?.wrappingKey;
+  if (!wrappingKey) {
+    throw new Error("The server did not provide a key wrapping key");
+  }
+  return wrappingKey;
+}
+
+const validatePassphrase = (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+    );
+  }
+};
+
+let unlockHandler = null;
+
+// Register the UI that asks for the passphrase. It is called with
+// { address, unlock, isNewKey } and resolves once unlock({ passphrase })
+// succeeded, or rejects when the user cancels. isNewKey asks the user to
+// choose a passphrase for a key that is being created.
+export function setOwnerKeyUnlockHandler(handler) {
+  unlockHandler = handler;
+  return () => {
+    if (unlockHandler === handler) unlockHandler = null;
+  };
+}
+
+// Signer handed to the wallet: the address is always known, the private key
+// is only unlocked when something has to be signed
+class OwnerKeySigner {
+  constructor(manager, address) {
+    this.manager = manager;
+    this.address = address;
+  }
+
+  async getAddress() {
+    return this.address;
+  }
+
+  async signMessage(message) {
+    const signer = await this.manager.ensureUnlocked();
+    return signer.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    const signer = await this.manager.ensureUnlocked();
+    return signer.signTypedData(domain, types, value);
+  }
+}
+
+// A user's secp256k1 owner key on this device. It is stored in IndexedDB
+// (or safeLocalStorage) encrypted with AES-GCM, kept in memory only while
+// unlocked, and locked again after idleTimeoutMs without activity.
+export class OwnerKeyManager {
+  constructor(userId) {
+    if (!userId) {
+      throw new Error("User ID is required to load the owner key");
+    }
+    this.userId = userId;
+    this.signer = null;
+    this.lockTimer = null;
+    this.pending = null;
+    this.listeners = new Set();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  get isUnlocked() {
+    return !!this.signer;
+  }
+
+  async getRecord() {
+    return idbStorage.getItem(storageKey(this.userId));
+  }
+
+  async saveRecord(record, { backup = true } = {}) {
+    const saved = await idbStorage.setItem(storageKey(this.userId), record);
+    if (!saved) {
+      throw new Error("Unable to persist the wallet owner key on this device");
+    }
+    if (backup && record.protection === KEY_PROTECTION.PASSPHRASE) {
+      await this.backupRecord(record);
+    }
+  }
+
+  // A passphrase-protected record is also kept on the backend, so the
+  // user's other devices restore the same owner key (and account address).
+  // Records protected by the server wrapping key are never uploaded: the
+  // backend holds that key and could decrypt them.
+  async backupRecord(record) {
+    try {
+      await apiRequest("PUT", OWNER_KEY_BACKUP_ENDPOINT, record);
+    } catch (error) {
+      console.warn("⚠️ Could not back up the owner key:", error.message);
+    }
+  }
+
+  // Copy the backed-up record to this device. Resolves to its owner
+  // address, or null when the user has no backup.
+  async restore() {
+    let record;
+    try {
+      ({ data: record } = await apiRequest("GET", OWNER_KEY_BACKUP_ENDPOINT));
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+    if (!record?.address || !record.ciphertext) return null;
+
+    await this.saveRecord(record, { backup: false });
+    console.log("🔑 Restored owner key from backup:", record.address);
+    this.notify();
+    return record.address;
+  }
+
+  async getStatus() {
+    const record = await this.getRecord();
+    return {
+      hasKey: !!record,
+      address: record?.address ?? null,
+      protection: record?.protection ?? null,
+      idleTimeoutMs: record?.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS,
+      isUnlocked: this.isUnlocked,
+    };
+  }
+
+  // Ciphertext is bound to the user and address, so a record can't be
+  // swapped in from another account
+  additionalData(address) {
+    return toUtf8Bytes(`${this.userId}:${address}`);
+  }
+
+  async encryptRecord(signer, { passphrase, wrappingKey, idleTimeoutMs }) {
+    if (passphrase !== undefined) validatePassphrase(passphrase);
+    const protection =
+      passphrase !== undefined
+        ? KEY_PROTECTION.PASSPHRASE
+        : KEY_PROTECTION.SERVER;
+    const secret =
+      passphrase ?? wrappingKey ?? (await fetchServerWrappingKey());
+
+    const salt = hexlify(crypto.getRandomValues(new Uint8Array(16)));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: "AES-GCM",
+        iv,
+        additionalData: this.additionalData(signer.address),
+      },
+      await deriveWrappingKey(secret, salt, PBKDF2_ITERATIONS),
+      getBytes(signer.privateKey)
+    );
+
+    return {
+      version: RECORD_VERSION,
+      address: signer.address,
+      protection,
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      iv: hexlify(iv),
+      ciphertext: hexlify(new Uint8Array(ciphertext)),
+      idleTimeoutMs: idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS,
+    };
+  }
+
+  // A new key is protected with the server wrapping key by default. When the
+  // backend doesn't provide one (no /api/user/key-wrapping-key), the user
+  // chooses a passphrase through the unlock handler instead.
+  async encryptNewRecord(signer, { passphrase }) {
+    if (passphrase !== undefined) {
+      return this.encryptRecord(signer, { passphrase });
+    }
+
+    let wrappingKey;
+    try {
+      wrappingKey = await fetchServerWrappingKey();
+    } catch (error) {
+      console.warn("⚠️ No key wrapping key, asking for a passphrase:", error);
+      if (!unlockHandler) throw error;
+
+      let record = null;
+      await unlockHandler({
+        address: signer.address,
+        isNewKey: true,
+        unlock: async (options) => {
+          record = await this.encryptRecord(signer, options);
+        },
+      });
+      if (!record) {
+        throw new Error("A passphrase is required to protect the wallet key");
+      }
+      return record;
+    }
+    return this.encryptRecord(signer, { wrappingKey });
+  }
+
+  // Generate the owner key (or adopt a plaintext one from before encryption)
+  // and store it encrypted. Resolves to the owner address.
+  async create({ passphrase } = {}) {
+    if (this.pending) return this.pending;
+
+    this.pending = (async () => {
+      const existing = await this.getRecord();
+      if (existing) return existing.address;
+
+      const legacyKey = await idbStorage.getItem(legacyStorageKey(this.userId));
+      const signer = legacyKey ? new Wallet(legacyKey) : Wallet.createRandom();
+
+      await this.saveRecord(
+        await this.encryptNewRecord(signer, { passphrase })
+      );
+      if (legacyKey) {
+        await idbStorage.removeItem(legacyStorageKey(this.userId));
+        console.log("🔐 Encrypted existing owner key:", signer.address);
+      } else {
+        console.log("🔑 Generated new owner key:", signer.address);
+      }
+
+      this.setUnlocked(new Wallet(signer.privateKey));
+      return signer.address;
+    })();
+
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  // Decrypt the key with the passphrase, or with the server wrapping key
+  // when the key isn't passphrase-protected
+  async unlock({ passphrase } = {}) {
+    const record = await this.getRecord();
+    if (!record) {
+      throw new Error("No wallet owner key on this device");
+    }
+
+    const secret =
+      record.protection === KEY_PROTECTION.PASSPHRASE
+        ? passphrase
+        : await fetchServerWrappingKey();
+    if (!secret) {
+      throw new Error("Passphrase is required to unlock the wallet");
+    }
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        {
+          name: "AES-GCM",
+          iv: getBytes(record.iv),
+          additionalData: this.additionalData(record.address),
+        },
+        await deriveWrappingKey(secret, record.salt, record.iterations),
+        getBytes(record.ciphertext)
+      );
+    } catch (error) {
+      throw new Error(
+        record.protection === KEY_PROTECTION.PASSPHRASE
+          ? "Incorrect passphrase"
+          : "Could not unlock the wallet owner key"
+      );
+    }
+
+    const signer = new Wallet(hexlify(new Uint8Array(plaintext)));
+    if (signer.address !== record.address) {
+      throw new Error("Decrypted key does not match the wallet owner");
+    }
+
+    console.log("🔓 Owner key unlocked");
+    this.setUnlocked(signer, record.idleTimeoutMs);
+    return signer;
+  }
+
+  // The unlocked key, unlocking it first: silently with the server wrapping
+  // key, otherwise through the registered passphrase prompt
+  async ensureUnlocked() {
+    if (this.signer) {
+      this.touch();
+      return this.signer;
+    }
+    if (this.pending) {
+      await this.pending;
+      return this.ensureUnlocked();
+    }
+
+    this.pending = (async () => {
+      const record = await this.getRecord();
+      if (record?.protection !== KEY_PROTECTION.PASSPHRASE) {
+        return this.unlock();
+      }
+      if (!unlockHandler) {
+        throw new Error("Wallet is locked");
+      }
+      await unlockHandler({
+        address: record.address,
+        unlock: (options) => this.unlock(options),
+      });
+      if (!this.signer) {
+        throw new Error("Wallet is locked");
+      }
+      return this.signer;
+    })();
+
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  setUnlocked(signer, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS) {
+    this.signer = signer;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.touch();
+    this.notify();
+  }
+
+  // Restart the idle timer
+  touch() {
+    if (!this.signer) return;
+    clearTimeout(this.lockTimer);
+    this.lockTimer = setTimeout(() => {
+      console.log("🔒 Owner key locked after inactivity");
+      this.lock();
+    }, this.idleTimeoutMs);
+  }
+
+  lock() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    if (!this.signer) return;
+    this.signer = null;
+    this.notify();
+  }
+
+  // Re-encrypt the key with a new passphrase, or with the server wrapping
+  // key when passphrase is undefined
+  async setProtection({ passphrase } = {}) {
+    const signer = await this.ensureUnlocked();
+    const record = await this.getRecord();
+    await this.saveRecord(
+      await this.encryptRecord(signer, {
+        passphrase,
+        idleTimeoutMs: record.idleTimeoutMs,
+      })
+    );
+    this.notify();
+  }
+
+  async setIdleTimeout(idleTimeoutMs) {
+    const record = await this.getRecord();
+    if (!record) return;
+    await this.saveRecord({ ...record, idleTimeoutMs });
+    if (this.signer) {
+      this.idleTimeoutMs = idleTimeoutMs;
+      this.touch();
+    }
+    this.notify();
+  }
+
+  getSigner(address) {
+    return new OwnerKeySigner(this, address);
+  }
+}
+
+const managers = new Map();
+
+export function getOwnerKeyManager(userId) {
+  if (!managers.has(userId)) {
+    managers.set(userId, new OwnerKeyManager(userId));
+  }
+  return managers.get(userId);
+}
+
+export function lockAllOwnerKeys() {
+  managers.forEach((manager) => manager.lock());
+}
+
+// User activity keeps unlocked keys from auto-locking
+export function touchOwnerKeys() {
+  managers.forEach((manager) => manager.touch());
+}
@@ -0,0 +1,48 @@
+// @/lib/owner-signer.js
+
+import { getOwnerKeyManager } from "@/lib/owner-key-manager";
+import { PasskeySigner, WALLET_OWNER_TYPE, listPasskeys } from "@/lib/passkeys";
+
+// The user has a wallet but neither this device nor the backup has its key
+export class OwnerKeyMissingError extends Error {
+  constructor(
+    message = "Your wallet key isn't on this device and no backup was found. Import it or recover the wallet with your guardians to use it here."
+  ) {
+    super(message);
+    this.name = "OwnerKeyMissingError";
+  }
+}
+
+// Load the smart account owner signer for a user: the key on this device,
+// else the user's backed-up key (only passphrase-protected keys are backed
+// up). Every device then gets the same key (and the same counterfactual
+// account address); its private key is only unlocked when something has to
+// be signed. A new encrypted secp256k1 key is generated only with `create`
+// (first wallet creation, recovery to this device, revealing a treasury
+// owner address); otherwise a missing key throws OwnerKeyMissingError.
+export async function loadOwnerSigner(userId, { create = false } = {}) {
+  if (!userId) {
+    throw new Error("User ID is required to load the owner signer");
+  }
+
+  const manager = getOwnerKeyManager(userId);
+  const { hasKey, address } = await manager.getStatus();
+  if (hasKey) return manager.getSigner(address);
+
+  const restored = await manager.restore();
+  if (restored) return manager.getSigner(restored);
+  if (!create) throw new OwnerKeyMissingError();
+  return manager.getSigner(await manager.create());
+}
+
+// Signer for a user's smart account on `chainId`: their passkeys when the
+// account is passkey-owned, otherwise this device's owner key
+export async function loadAccountSigner(user, { chainId } = {}) {
+  if (user.walletOwnerType === WALLET_OWNER_TYPE.PASSKEY) {
+    return new PasskeySigner(await listPasskeys(), {
+      creationCredentialId: user.walletPasskeyId,
+      chainId,
+    });
+  }
+  return loadOwnerSigner(user.id);
+}
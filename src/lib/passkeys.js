@@ -0,0 +1,205 @@
+// @/lib/passkeys.js
+
+import { AbiCoder, Interface, ZeroHash, getBytes, keccak256 } from "ethers";
+import { apiRequest } from "@/lib/queryClient";
+import {
+  createPasskey,
+  fromBase64Url,
+  getPasskeyAssertion,
+  parseDerSignature,
+} from "@/lib/webauthn";
+
+export const PASSKEYS_ENDPOINT = "/api/passkeys";
+
+// What owns a user's smart account, stored on the user as walletOwnerType.
+// Accounts created before passkeys existed have none and use the device key.
+export const WALLET_OWNER_TYPE = {
+  DEVICE_KEY: "device_key",
+  PASSKEY: "passkey",
+};
+
+// P-256 (WebAuthn) validator for Kernel v2. It keeps several passkey public
+// keys per account, keyed by keccak256 of the credential ID; enable() adds
+// one and disable() removes one when called by the account.
+export const passkeyValidatorInterface = new Interface([
+  "function enable(bytes _data) payable",
+  "function disable(bytes _data) payable",
+]);
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+export const getAuthenticatorIdHash = (credentialId) =>
+  keccak256(fromBase64Url(credentialId));
+
+export function encodePasskeyEnableData({ credentialId, publicKey }) {
+  return abiCoder.encode(
+    ["bytes32", "uint256", "uint256"],
+    [getAuthenticatorIdHash(credentialId), publicKey.x, publicKey.y]
+  );
+}
+
+export function encodePasskeyDisableData(credentialId) {
+  return abiCoder.encode(["bytes32"], [getAuthenticatorIdHash(credentialId)]);
+}
+
+// Validator signature: which passkey signed, the WebAuthn assertion and where
+// "type" sits in clientDataJSON (the challenge follows it)
+export function encodeWebAuthnSignature({
+  authenticatorIdHash,
+  authenticatorData,
+  clientDataJSON,
+  r,
+  s,
+}) {
+  const responseTypeLocation = clientDataJSON.indexOf('"type":"webauthn.get"');
+  if (responseTypeLocation === -1) {
+    throw new Error("Unexpected passkey client data");
+  }
+
+  return abiCoder.encode(
+    ["bytes32", "bytes", "string", "uint256", "uint256", "uint256"],
+    [
+      authenticatorIdHash,
+      authenticatorData,
+      clientDataJSON,
+      responseTypeLocation,
+      r,
+      s,
+    ]
+  );
+}
+
+// Same size as a real assertion, used while estimating gas
+const PASSKEY_DUMMY_SIGNATURE = encodeWebAuthnSignature({
+  authenticatorIdHash: ZeroHash,
+  authenticatorData:
+    "0x49960de5880e8c687434170f6476605b8fe4aeb9a28632c7995cf3ba831d97630500000000",
+  clientDataJSON: `{"type":"webauthn.get","challenge":"${"A".repeat(
+    43
+  )}","origin":"https://localhost:5173","crossOrigin":false}`,
+  r: 2n ** 255n,
+  s: 2n ** 255n,
+});
+
+// Passkeys registered for the signed-in user, oldest first
+export async function listPasskeys() {
+  const response = await apiRequest("GET", PASSKEYS_ENDPOINT);
+  const passkeys = Array.isArray(response.data)
+    ? response.data
+    : response.data?.passkeys || [];
+  return [...passkeys].sort(
+    (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+  );
+}
+
+// Create a passkey on this device and register it for the user, so it can
+// be used to sign in and (once enabled on the account) to sign
+export async function registerPasskey(user, name) {
+  const { credentialId, publicKey } = await createPasskey({
+    userId: user.id,
+    userName: user.email,
+    displayName: user.name,
+  });
+
+  const response = await apiRequest("POST", PASSKEYS_ENDPOINT, {
+    credentialId,
+    publicKey,
+    name,
+  });
+  return response.data;
+}
+
+export async function deletePasskey(id) {
+  await apiRequest("DELETE", `${PASSKEYS_ENDPOINT}/${id}`);
+}
+
+// Record the chains whose P-256 validator has the passkey enabled, once its
+// enable (or disable) UserOperation is confirmed
+export async function setPasskeyEnabledOn(passkey, chainId, enabled) {
+  const enabledChainIds = (passkey.enabledChainIds || []).filter(
+    (id) => id !== chainId
+  );
+  if (enabled) enabledChainIds.push(chainId);
+
+  const response = await apiRequest(
+    "PATCH",
+    `${PASSKEYS_ENDPOINT}/${passkey._id}`,
+    { enabledChainIds }
+  );
+  return response.data;
+}
+
+// The passkey an account was created with, by the credential ID stored on
+// the user (user.walletPasskeyId). Accounts created before it was stored
+// used the oldest passkey.
+export const findCreationPasskey = (passkeys, credentialId) =>
+  (credentialId
+    ? passkeys.find((passkey) => passkey.credentialId === credentialId)
+    : passkeys[0]) ?? null;
+
+// Whether a passkey can sign for the account on a chain: the creation
+// passkey is installed with the account everywhere, any other one only where
+// its enable UserOperation was confirmed
+export const isPasskeyEnabledOn = (passkey, chainId, creationPasskey) =>
+  passkey.credentialId === creationPasskey?.credentialId ||
+  !!passkey.enabledChainIds?.includes(chainId);
+
+// Signs UserOperations for a passkey-owned account on `chainId`: the
+// UserOperation hash is the WebAuthn challenge, and the user picks any of
+// their passkeys enabled on that chain
+export class PasskeySigner {
+  constructor(passkeys, { creationCredentialId = null, chainId } = {}) {
+    if (!passkeys?.length) {
+      throw new Error("No passkeys are registered for this wallet");
+    }
+    this.passkeys = passkeys;
+    this.creationCredentialId = creationCredentialId;
+    this.chainId = chainId;
+  }
+
+  // Enable data of the passkey the account was created with, used in
+  // Kernel.initialize and therefore part of the counterfactual address
+  getEnableData() {
+    const passkey = findCreationPasskey(
+      this.passkeys,
+      this.creationCredentialId
+    );
+    if (!passkey) {
+      throw new Error(
+        "The passkey this wallet was created with is no longer registered"
+      );
+    }
+    return encodePasskeyEnableData(passkey);
+  }
+
+  get dummySignature() {
+    return PASSKEY_DUMMY_SIGNATURE;
+  }
+
+  async signUserOperationHash(userOpHash) {
+    const creationPasskey = findCreationPasskey(
+      this.passkeys,
+      this.creationCredentialId
+    );
+    const passkeys = this.passkeys.filter((passkey) =>
+      isPasskeyEnabledOn(passkey, this.chainId, creationPasskey)
+    );
+    if (passkeys.length === 0) {
+      throw new Error("None of your passkeys can sign on this network");
+    }
+
+    const assertion = await getPasskeyAssertion({
+      challenge: getBytes(userOpHash),
+      credentialIds: passkeys.map((passkey) => passkey.credentialId),
+    });
+    const { r, s } = parseDerSignature(assertion.signature);
+
+    return encodeWebAuthnSignature({
+      authenticatorIdHash: getAuthenticatorIdHash(assertion.credentialId),
+      authenticatorData: assertion.authenticatorData,
+      clientDataJSON: assertion.clientDataJSON,
+      r,
+      s,
+    });
+  }
+}
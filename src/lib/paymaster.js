@@ -0,0 +1,122 @@
+// @/lib/paymaster.js
+
+import { JsonRpcError, jsonRpcRequest } from "@/lib/json-rpc";
+import { serializeUserOperation } from "@/lib/user-operation";
+
+// How gas for a UserOperation is paid
+export const PAYMASTER_MODE = {
+  SPONSORED: "sponsored", // verifying paymaster covers gas
+  ERC20: "erc20", // ERC-20 paymaster charges gas in USDC
+  NATIVE: "native", // smart account pays gas in the native token
+};
+
+export const PAYMASTER_REJECTION = {
+  QUOTA_EXCEEDED: "quota_exceeded",
+  POLICY_DENIED: "policy_denied",
+  UNAVAILABLE: "unavailable",
+  UNKNOWN: "unknown",
+};
+
+export const PAYMASTER_REJECTION_MESSAGES = {
+  [PAYMASTER_REJECTION.QUOTA_EXCEEDED]: "Sponsorship quota exceeded",
+  [PAYMASTER_REJECTION.POLICY_DENIED]:
+    "Transaction not covered by the sponsorship policy",
+  [PAYMASTER_REJECTION.UNAVAILABLE]: "Paymaster unavailable",
+  [PAYMASTER_REJECTION.UNKNOWN]: "Sponsorship rejected",
+};
+
+// Sponsorship request rejected by the paymaster
+export class PaymasterError extends Error {
+  constructor(message, reason, code, data) {
+    super(message);
+    this.name = "PaymasterError";
+    this.reason = reason;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Map a paymaster JSON-RPC error onto a rejection reason
+export function getRejectionReason(error) {
+  const details = `${error.message || ""} ${
+    error.data ? JSON.stringify(error.data) : ""
+  }`.toLowerCase();
+
+  if (
+    /quota|limit (exceeded|reached)|insufficient (credit|balance)/.test(details)
+  ) {
+    return PAYMASTER_REJECTION.QUOTA_EXCEEDED;
+  }
+  if (
+    /polic|not (allowed|whitelisted|eligible|sponsored)|denied/.test(details)
+  ) {
+    return PAYMASTER_REJECTION.POLICY_DENIED;
+  }
+  if (error.code === -32603 || error.code === -32000 || error.code >= 500) {
+    return PAYMASTER_REJECTION.UNAVAILABLE;
+  }
+  return PAYMASTER_REJECTION.UNKNOWN;
+}
+
+// JSON-RPC client for pm_sponsorUserOperation-style paymasters. The same
+// request is used for the verifying paymaster and, with a token context,
+// for the ERC-20 paymaster.
+export class PaymasterClient {
+  constructor({
+    url,
+    erc20Url,
+    entryPointAddress,
+    sponsorshipPolicyId,
+    erc20PaymasterAddress,
+  } = {}) {
+    this.url = url || "";
+    this.erc20Url = erc20Url || url || "";
+    this.entryPointAddress = entryPointAddress;
+    this.sponsorshipPolicyId = sponsorshipPolicyId || "";
+    this.erc20PaymasterAddress = erc20PaymasterAddress || "";
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  supportsErc20() {
+    return !!(this.erc20Url && this.erc20PaymasterAddress);
+  }
+
+  async request(url, userOp, context) {
+    const params = [serializeUserOperation(userOp), this.entryPointAddress];
+    if (context) params.push(context);
+
+    try {
+      return await jsonRpcRequest(url, "pm_sponsorUserOperation", params);
+    } catch (error) {
+      if (!(error instanceof JsonRpcError)) throw error;
+
+      const reason = getRejectionReason(error);
+      throw new PaymasterError(
+        `${PAYMASTER_REJECTION_MESSAGES[reason]}: ${error.message}`,
+        reason,
+        error.code,
+        error.data
+      );
+    }
+  }
+
+  // Ask the verifying paymaster to cover gas. Resolves to the gas limits and
+  // paymasterAndData for the sponsored operation.
+  sponsorUserOperation(userOp) {
+    return this.request(
+      this.url,
+      userOp,
+      this.sponsorshipPolicyId
+        ? { sponsorshipPolicyId: this.sponsorshipPolicyId }
+        : undefined
+    );
+  }
+
+  // Ask the ERC-20 paymaster to front gas and charge it in tokenAddress
+  sponsorWithErc20(userOp, tokenAddress) {
+    return this.request(this.erc20Url, userOp, { token: tokenAddress });
+  }
+}
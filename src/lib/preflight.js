@@ -0,0 +1,94 @@
+// @/lib/preflight.js
+
+import { Interface, getAddress, isHexString } from "ethers";
+import { erc20Interface } from "@/lib/erc20";
+
+export const PREFLIGHT_FAILURE = {
+  INSUFFICIENT_BALANCE: "insufficient_balance",
+  REVERTED: "reverted",
+  SPENDING_LIMIT: "spending_limit",
+};
+
+// Transaction blocked before it was recorded or submitted
+export class PreflightError extends Error {
+  constructor(message, reason, details = {}) {
+    super(message);
+    this.name = "PreflightError";
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+// Solidity's built-in errors plus the OpenZeppelin ERC-20 custom errors
+const revertInterface = new Interface([
+  "error Error(string message)",
+  "error Panic(uint256 code)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC20InvalidSpender(address spender)",
+]);
+
+const PANIC_MESSAGES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x31: "pop on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to uninitialized function",
+};
+
+// Human-readable reason for ABI-encoded revert data
+export function decodeRevertReason(data) {
+  if (!isHexString(data) || data === "0x") {
+    return "execution reverted without a reason";
+  }
+
+  const error = revertInterface.parseError(data);
+  if (!error) {
+    return `execution reverted with custom error ${data.slice(0, 10)}`;
+  }
+
+  if (error.name === "Error") return error.args[0];
+  if (error.name === "Panic") {
+    const code = Number(error.args[0]);
+    return `panic: ${PANIC_MESSAGES[code] || `code 0x${code.toString(16)}`}`;
+  }
+
+  const args = error.fragment.inputs
+    .map((input, index) => `${input.name}: ${error.args[index]}`)
+    .join(", ");
+  return `${error.name}(${args})`;
+}
+
+// Revert data carried by an ethers CALL_EXCEPTION or a JSON-RPC error, or
+// null when the error isn't a revert (network failure, bad request, ...)
+export function getRevertData(error) {
+  if (error?.code === "CALL_EXCEPTION") return error.data ?? "0x";
+  const data = error?.data?.data ?? error?.data;
+  return isHexString(data) ? data : null;
+}
+
+// Native value and per-token ERC-20 transfer() totals moved out of the
+// account by a list of { to, value, data } calls
+export function getRequiredAmounts(calls) {
+  let native = 0n;
+  const tokens = new Map();
+
+  for (const call of calls) {
+    native += BigInt(call.value ?? 0n);
+
+    const parsed =
+      call.data && call.data !== "0x"
+        ? erc20Interface.parseTransaction({ data: call.data })
+        : null;
+    if (parsed?.name === "transfer") {
+      const token = getAddress(call.to);
+      tokens.set(token, (tokens.get(token) ?? 0n) + parsed.args.amount);
+    }
+  }
+
+  return { native, tokens };
+}
@@ -4,6 +4,7 @@ import { safariUtils } from "@/lib/safari-compatibility";
 export const queryClient = new QueryClient({
   defaultOptions: {
     queries: {
+      queryFn: defaultQueryFn, // GET [url, params] for API query keys
       staleTime: 1000 * 60 * 5, // 5 minutes
       retry: (failureCount, error) => {
         // Don't retry on 4xx errors (client errors)
@@ -293,22 +294,29 @@ export const api = {
   delete: (url, options = {}) => apiRequest("DELETE", url, null, options),
 };
 
-// Enhanced default fetcher for React Query with better error handling
-queryClient.setQueryDefaults(["default"], {
-  queryFn: async ({ queryKey, signal }) => {
-    const [url, params] = queryKey;
+// Enhanced default fetcher for React Query with better error handling.
+// Query keys are [url, params]; empty params are left out of the URL.
+export async function defaultQueryFn({ queryKey, signal }) {
+  const [url, params] = queryKey;
 
-    // Add query parameters if provided
-    const urlWithParams = params
-      ? `${url}?${new URLSearchParams(params).toString()}`
-      : url;
+  const searchParams = new URLSearchParams(
+    Object.entries(params || {}).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  ).toString();
 
-    const response = await apiRequest("GET", urlWithParams, null, {
-      signal, // Support for query cancellation
-    });
+  // Add query parameters if provided
+  const urlWithParams = searchParams ? `${url}?${searchParams}` : url;
 
-    return response.data;
-  },
+  const response = await apiRequest("GET", urlWithParams, null, {
+    signal, // Support for query cancellation
+  });
+
+  return response.data;
+}
+
+queryClient.setQueryDefaults(["default"], {
+  queryFn: defaultQueryFn,
 });
 
 // Helper function for mutations
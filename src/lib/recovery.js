@@ -0,0 +1,264 @@
+// @/lib/recovery.js
+
+import { AbiCoder, Interface, keccak256 } from "ethers";
+import { apiRequest } from "@/lib/queryClient";
+import { parseAddress } from "@/lib/address-safety";
+
+export const RECOVERY_ENDPOINT = "/api/recovery";
+
+export const GUARDIAN_TYPE = {
+  EMAIL: "email",
+  ADDRESS: "address",
+};
+
+// Email guardians start invited and become active once they accept (their
+// smart wallet address is then attached); address guardians are active
+export const GUARDIAN_STATUS = {
+  INVITED: "invited",
+  ACTIVE: "active",
+  DECLINED: "declined",
+};
+
+// pending → executed, or pending → cancelled when the owner vetoes it
+export const RECOVERY_STATUS = {
+  PENDING: "pending",
+  EXECUTED: "executed",
+  CANCELLED: "cancelled",
+};
+
+// ProposalStatus on the guardian validator
+export const PROPOSAL_STATUS = {
+  ONGOING: 0,
+  APPROVED: 1,
+  REJECTED: 2,
+};
+
+export const MIN_RECOVERY_DELAY_SECONDS = 60 * 60;
+
+// Recovery UserOperations use their own EntryPoint nonce key, so everyday
+// transactions from the account don't invalidate a pending recovery
+export const RECOVERY_NONCE_KEY = 0x7265636f76657279n; // "recovery"
+
+// Weighted guardian validator for Kernel v2, installed in plugin mode for
+// doRecovery. Guardians approve a recovery UserOperation (identified by the
+// hash of its sender, calldata and nonce) on-chain; once the approvals reach
+// the threshold it becomes valid after the delay, and the account can veto
+// it until then.
+export const guardianValidatorInterface = new Interface([
+  "function renew(address[] _guardians, uint24[] _weights, uint24 _threshold, uint48 _delay) payable",
+  "function disable(bytes _data) payable",
+  "function approve(bytes32 _callDataAndNonceHash, address _kernel)",
+  "function veto(bytes32 _callDataAndNonceHash)",
+  "function weightedStorage(address _kernel) view returns (uint24 totalWeight, uint24 threshold, uint48 delay, address firstGuardian)",
+  "function guardian(address _guardian, address _kernel) view returns (uint24 weight, address nextGuardian)",
+  "function proposalStatus(bytes32 _callDataAndNonceHash, address _kernel) view returns (uint8 status, uint48 validAfter)",
+]);
+
+// Executor that, in the account's context, re-enables a validator with new
+// data: doRecovery(ecdsaValidator, newOwner) rotates the owner key
+export const recoveryActionInterface = new Interface([
+  "function doRecovery(address _validator, bytes _data)",
+]);
+
+export const RECOVERY_SELECTOR =
+  recoveryActionInterface.getFunction("doRecovery").selector;
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+// Recovery guardians all have weight 1, so the threshold is a number of
+// guardians; multisig owners pass their own weights
+const guardianWeights = (guardians, weights) =>
+  weights ?? guardians.map(() => 1);
+
+export function encodeGuardianConfig({
+  guardians,
+  weights,
+  threshold,
+  delaySeconds,
+}) {
+  return abiCoder.encode(
+    ["address[]", "uint24[]", "uint24", "uint48"],
+    [guardians, guardianWeights(guardians, weights), threshold, delaySeconds]
+  );
+}
+
+export function encodeRenewGuardians({
+  guardians,
+  weights,
+  threshold,
+  delaySeconds,
+}) {
+  return guardianValidatorInterface.encodeFunctionData("renew", [
+    guardians,
+    guardianWeights(guardians, weights),
+    threshold,
+    delaySeconds,
+  ]);
+}
+
+export function encodeRecoveryCallData(ecdsaValidatorAddress, newOwner) {
+  return recoveryActionInterface.encodeFunctionData("doRecovery", [
+    ecdsaValidatorAddress,
+    parseAddress(newOwner),
+  ]);
+}
+
+export const getCallDataAndNonceHash = (account, callData, nonce) =>
+  keccak256(
+    abiCoder.encode(
+      ["address", "bytes", "uint256"],
+      [account, callData, BigInt(nonce)]
+    )
+  );
+
+// Validated { guardians, threshold, delaySeconds } for the guardian
+// validator: active guardians only, deduplicated
+export function normalizeGuardianConfig({
+  guardians,
+  threshold,
+  delaySeconds,
+}) {
+  const addresses = [
+    ...new Set(guardians.map((guardian) => parseAddress(guardian.address))),
+  ];
+  const required = Number(threshold);
+  const delay = Number(delaySeconds);
+
+  if (addresses.length === 0) {
+    throw new Error("Add at least one active guardian first");
+  }
+  if (!Number.isInteger(required) || required < 1) {
+    throw new Error("Threshold must be at least 1");
+  }
+  if (required > addresses.length) {
+    throw new Error(
+      `Threshold can't exceed the ${addresses.length} active guardian(s)`
+    );
+  }
+  if (!Number.isInteger(delay) || delay < MIN_RECOVERY_DELAY_SECONDS) {
+    throw new Error("Recovery delay must be at least 1 hour");
+  }
+
+  return { guardians: addresses, threshold: required, delaySeconds: delay };
+}
+
+// Where a pending recovery stands, from its record and the on-chain proposal
+export function getRecoveryProgress(request, proposal, now = Date.now()) {
+  const approvals = request.approvals?.length ?? 0;
+  const isApproved = proposal?.status === PROPOSAL_STATUS.APPROVED;
+  const readyAt = isApproved ? Number(proposal.validAfter) * 1000 : null;
+
+  return {
+    approvals,
+    threshold: request.threshold,
+    isApproved,
+    readyAt,
+    isReady: isApproved && readyAt <= now,
+  };
+}
+
+const listFrom = (data, field) =>
+  Array.isArray(data) ? data : data?.[field] || [];
+
+export async function listGuardians() {
+  const response = await apiRequest("GET", `${RECOVERY_ENDPOINT}/guardians`);
+  return listFrom(response.data, "guardians");
+}
+
+// Invite a guardian by email (the backend sends the invitation) or add an
+// address guardian directly
+export async function addGuardian({ type, email, address }) {
+  const guardian =
+    type === GUARDIAN_TYPE.EMAIL
+      ? { type, email: email.trim().toLowerCase() }
+      : { type, address: parseAddress(address) };
+
+  if (type === GUARDIAN_TYPE.EMAIL && !/^\S+@\S+\.\S+$/.test(guardian.email)) {
+    throw new Error("Enter a valid email address");
+  }
+
+  const response = await apiRequest(
+    "POST",
+    `${RECOVERY_ENDPOINT}/guardians`,
+    guardian
+  );
+  return response.data;
+}
+
+export async function removeGuardian(id) {
+  await apiRequest("DELETE", `${RECOVERY_ENDPOINT}/guardians/${id}`);
+}
+
+// Guardian settings applied on a chain: { threshold, delaySeconds,
+// guardians, userOpHash }, or null before the first setup
+export async function getRecoveryConfig(chainId) {
+  const response = await apiRequest(
+    "GET",
+    `${RECOVERY_ENDPOINT}/config?chainId=${chainId}`
+  );
+  return response.data || null;
+}
+
+export async function saveRecoveryConfig(chainId, config) {
+  const response = await apiRequest("PUT", `${RECOVERY_ENDPOINT}/config`, {
+    chainId,
+    ...config,
+  });
+  return response.data;
+}
+
+export async function listRecoveryRequests(chainId) {
+  const response = await apiRequest(
+    "GET",
+    `${RECOVERY_ENDPOINT}/requests?chainId=${chainId}`
+  );
+  return listFrom(response.data, "requests");
+}
+
+export async function createRecoveryRequest(request) {
+  const response = await apiRequest(
+    "POST",
+    `${RECOVERY_ENDPOINT}/requests`,
+    request
+  );
+  return response.data;
+}
+
+export async function updateRecoveryRequest(id, fields) {
+  const response = await apiRequest(
+    "PATCH",
+    `${RECOVERY_ENDPOINT}/requests/${id}`,
+    fields
+  );
+  return response.data;
+}
+
+// Guardian side: invitations to guard someone's wallet, and their pending
+// recoveries waiting for this user's approval
+export async function listGuardianInvitations() {
+  const response = await apiRequest("GET", `${RECOVERY_ENDPOINT}/invitations`);
+  return listFrom(response.data, "invitations");
+}
+
+export async function respondToGuardianInvitation(id, accept) {
+  const response = await apiRequest(
+    "POST",
+    `${RECOVERY_ENDPOINT}/invitations/${id}`,
+    { accept }
+  );
+  return response.data;
+}
+
+export async function listApprovalRequests() {
+  const response = await apiRequest("GET", `${RECOVERY_ENDPOINT}/approvals`);
+  return listFrom(response.data, "requests");
+}
+
+export async function recordRecoveryApproval(id, userOpHash) {
+  const response = await apiRequest(
+    "POST",
+    `${RECOVERY_ENDPOINT}/requests/${id}/approvals`,
+    { userOpHash }
+  );
+  return response.data;
+}
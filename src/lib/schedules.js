@@ -0,0 +1,147 @@
+// @/lib/schedules.js
+
+import { apiRequest } from "@/lib/queryClient";
+import { parseAddress } from "@/lib/address-safety";
+import { isEnsName } from "@/lib/ens";
+
+export const SCHEDULES_ENDPOINT = "/api/schedules";
+
+export const SCHEDULE_FREQUENCY = {
+  ONCE: "once",
+  WEEKLY: "weekly",
+  MONTHLY: "monthly",
+};
+
+// active → completed for one-off schedules; active ⇄ paused; cancelled is final
+export const SCHEDULE_STATUS = {
+  ACTIVE: "active",
+  PAUSED: "paused",
+  CANCELLED: "cancelled",
+  COMPLETED: "completed",
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Same local day of month as `anchor`, `months` later, clamped to the last
+// day of shorter months (Jan 31 → Feb 28 → Mar 31)
+const addMonths = (date, months, anchor) => {
+  const target = new Date(date);
+  target.setDate(1);
+  target.setMonth(target.getMonth() + months);
+  target.setDate(
+    Math.min(
+      anchor.getDate(),
+      daysInMonth(target.getFullYear(), target.getMonth())
+    )
+  );
+  return target;
+};
+
+// Run after `nextRunAt`, or null when a one-off schedule has nothing left.
+// Runs missed while the app was closed are skipped rather than replayed.
+export function getFollowingRunAt(schedule, now = new Date()) {
+  if (schedule.frequency === SCHEDULE_FREQUENCY.ONCE) return null;
+
+  const anchor = new Date(schedule.startAt);
+  let next = new Date(schedule.nextRunAt);
+  do {
+    if (schedule.frequency === SCHEDULE_FREQUENCY.WEEKLY) {
+      // Calendar days, so the local time survives DST changes
+      next = new Date(next);
+      next.setDate(next.getDate() + 7);
+    } else {
+      next = addMonths(next, 1, anchor);
+    }
+  } while (next <= now);
+
+  return next.toISOString();
+}
+
+export const isScheduleDue = (schedule, now = new Date()) =>
+  schedule.status === SCHEDULE_STATUS.ACTIVE &&
+  !!schedule.nextRunAt &&
+  new Date(schedule.nextRunAt) <= now;
+
+// Validated schedule fields for create requests
+export function normalizeSchedule({
+  recipient,
+  amount,
+  token,
+  frequency,
+  startAt,
+}) {
+  const trimmedRecipient = (recipient || "").trim();
+  if (!isEnsName(trimmedRecipient)) parseAddress(trimmedRecipient);
+
+  if (!(parseFloat(amount) > 0)) {
+    throw new Error("Amount must be greater than 0");
+  }
+  if (!Object.values(SCHEDULE_FREQUENCY).includes(frequency)) {
+    throw new Error("Unknown schedule frequency");
+  }
+
+  const start = new Date(startAt);
+  if (Number.isNaN(start.getTime())) {
+    throw new Error("Start date is required");
+  }
+  if (start <= new Date()) {
+    throw new Error("Start date must be in the future");
+  }
+
+  return {
+    recipient: isEnsName(trimmedRecipient)
+      ? trimmedRecipient
+      : parseAddress(trimmedRecipient),
+    amount: String(amount),
+    tokenAddress: token?.address || null,
+    tokenSymbol: token?.symbol,
+    frequency,
+    startAt: start.toISOString(),
+    nextRunAt: start.toISOString(),
+  };
+}
+
+export async function listSchedules(userId) {
+  const response = await apiRequest(
+    "GET",
+    `${SCHEDULES_ENDPOINT}?userId=${encodeURIComponent(userId)}`
+  );
+  return Array.isArray(response.data)
+    ? response.data
+    : response.data?.schedules || [];
+}
+
+export async function createSchedule(userId, chainId, schedule) {
+  const response = await apiRequest("POST", SCHEDULES_ENDPOINT, {
+    userId,
+    chainId,
+    status: SCHEDULE_STATUS.ACTIVE,
+    ...normalizeSchedule(schedule),
+  });
+  return response.data;
+}
+
+export async function updateSchedule(id, fields) {
+  const response = await apiRequest(
+    "PATCH",
+    `${SCHEDULES_ENDPOINT}/${id}`,
+    fields
+  );
+  return response.data;
+}
+
+// Claim a due run by moving nextRunAt forward, only if it is still the run
+// this client saw (compare-and-set on nextRunAt). Resolves to false when
+// another tab or device claimed it first.
+export async function claimScheduleRun(schedule, fields) {
+  try {
+    await apiRequest("PATCH", `${SCHEDULES_ENDPOINT}/${schedule._id}`, {
+      ...fields,
+      expectedNextRunAt: schedule.nextRunAt,
+    });
+    return true;
+  } catch (error) {
+    if (error.status === 409) return false;
+    throw error;
+  }
+}
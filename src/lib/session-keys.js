@@ -0,0 +1,316 @@
+// @/lib/session-keys.js
+
+import {
+  AbiCoder,
+  Interface,
+  Wallet,
+  ZeroAddress,
+  concat,
+  getAddress,
+  hexlify,
+  getBytes,
+  keccak256,
+  parseUnits,
+  solidityPacked,
+  toBeHex,
+  zeroPadValue,
+} from "ethers";
+import { erc20Interface } from "@/lib/erc20";
+import { KERNEL_PLUGIN_MODE } from "@/lib/kernel";
+import { idbStorage } from "@/lib/idb-storage";
+
+export const SESSION_KEY_STATUS = {
+  ACTIVE: "active",
+  REVOKED: "revoked",
+};
+
+// ZeroDev SessionKeyValidator (Kernel v2). Enabled per account through
+// Kernel.setExecution; revoked by the account calling disable().
+export const sessionKeyValidatorInterface = new Interface([
+  "function enable(bytes _data) payable",
+  "function disable(bytes _data) payable",
+]);
+
+// ParamCondition enum of the validator
+const PARAM_CONDITION_LESS_THAN_OR_EQUAL = 4;
+
+const PERMISSION_TYPE =
+  "tuple(uint32 index, address target, bytes4 sig, uint256 valueLimit, tuple(uint256 offset, uint8 condition, bytes32 param)[] rules, tuple(uint48 validAfter, uint48 interval, uint48 runs) executionRule)";
+
+const TRANSFER_SELECTOR = erc20Interface.getFunction("transfer").selector;
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+// Transfers a key may make per token so the validator bounds the total:
+// ceil(spendingCap / maxAmountPerTx) runs of at most maxAmountPerTx each
+export function getSessionMaxTransfers({ maxAmountPerTx, spendingCap }) {
+  const perTransfer = parseUnits(maxAmountPerTx, 18);
+  const cap = parseUnits(spendingCap, 18);
+  return Number((cap + perTransfer - 1n) / perTransfer);
+}
+
+// One permission per allowed token: transfer(address,uint256) with the amount
+// (second argument, 32 bytes in) capped at the per-transaction maximum, and
+// limited to policy.maxTransfers runs. Keys created before maxTransfers have
+// no run limit (0), so their permissions still match what was enabled.
+export function buildPermissions(policy) {
+  return policy.tokens.map((token, index) => ({
+    index,
+    target: getAddress(token.address),
+    sig: TRANSFER_SELECTOR,
+    valueLimit: 0n,
+    rules: [
+      {
+        offset: 32n,
+        condition: PARAM_CONDITION_LESS_THAN_OR_EQUAL,
+        param: zeroPadValue(
+          toBeHex(parseUnits(policy.maxAmountPerTx, token.decimals)),
+          32
+        ),
+      },
+    ],
+    executionRule: {
+      validAfter: 0,
+      interval: 0,
+      runs: policy.maxTransfers ?? 0,
+    },
+  }));
+}
+
+const hashPermission = (permission) =>
+  keccak256(abiCoder.encode([PERMISSION_TYPE], [permission]));
+
+const hashPair = (a, b) => keccak256(concat(a < b ? [a, b] : [b, a]));
+
+// Sorted-pair keccak merkle tree over the permissions, as verified by the
+// validator (OpenZeppelin MerkleProof). An odd node is carried up unhashed.
+export function buildPermissionTree(permissions) {
+  const layers = [permissions.map(hashPermission)];
+  while (layers[layers.length - 1].length > 1) {
+    const nodes = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < nodes.length; i += 2) {
+      next.push(
+        i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]
+      );
+    }
+    layers.push(next);
+  }
+
+  const getProof = (leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const nodes of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < nodes.length) proof.push(nodes[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  };
+
+  return { root: layers[layers.length - 1][0], getProof };
+}
+
+// SessionKeyValidator enable data: session key, permission root, validity
+// window, required paymaster (zero = any) and a nonce above any revoked one
+export function encodeSessionEnableData({
+  sessionKeyAddress,
+  merkleRoot,
+  validAfter = 0,
+  validUntil,
+  paymaster = ZeroAddress,
+  nonce,
+}) {
+  return solidityPacked(
+    ["address", "bytes32", "uint48", "uint48", "address", "uint256"],
+    [sessionKeyAddress, merkleRoot, validAfter, validUntil, paymaster, nonce]
+  );
+}
+
+export function encodeSessionDisableData(sessionKeyAddress) {
+  return sessionKeyValidatorInterface.encodeFunctionData("disable", [
+    getAddress(sessionKeyAddress),
+  ]);
+}
+
+// Plugin-mode Kernel signature: session key address, its ECDSA signature of
+// the UserOperation hash, and the permission used with its merkle proof
+export function encodeSessionSignature(
+  sessionKeyAddress,
+  ecdsaSignature,
+  permission,
+  proof
+) {
+  return concat([
+    KERNEL_PLUGIN_MODE,
+    sessionKeyAddress,
+    ecdsaSignature,
+    abiCoder.encode([PERMISSION_TYPE, "bytes32[]"], [permission, proof]),
+  ]);
+}
+
+export const isSessionKeyUsable = (record, now = Date.now()) =>
+  record.status === SESSION_KEY_STATUS.ACTIVE &&
+  record.policy.expiresAt * 1000 > now;
+
+// Permission of `record` covering a single ERC-20 transfer call, or null.
+// On-chain the cap is only bounded by the number of runs, so the exact total
+// is also checked here against what this device has sent with the key.
+export function matchSessionPermission(record, calls, now = Date.now()) {
+  if (!isSessionKeyUsable(record, now) || calls.length !== 1) return null;
+
+  const [call] = calls;
+  if (!call.data || !call.data.startsWith(TRANSFER_SELECTOR)) return null;
+  if ((call.value ?? 0n) !== 0n) return null;
+
+  const index = record.policy.tokens.findIndex(
+    (token) => token.address.toLowerCase() === call.to.toLowerCase()
+  );
+  if (index === -1) return null;
+
+  const token = record.policy.tokens[index];
+  const [, amount] = erc20Interface.decodeFunctionData("transfer", call.data);
+  const spent = BigInt(record.spent?.[token.address] || 0);
+  if (
+    amount > parseUnits(record.policy.maxAmountPerTx, token.decimals) ||
+    spent + amount > parseUnits(record.policy.spendingCap, token.decimals)
+  ) {
+    return null;
+  }
+
+  const permissions = buildPermissions(record.policy);
+  return {
+    permission: permissions[index],
+    proof: buildPermissionTree(permissions).getProof(index),
+    token,
+    amount,
+  };
+}
+
+const storageKey = (userId) => `session_keys:${userId}`;
+const DEVICE_KEY_STORAGE_KEY = "session_keys_device_key";
+
+// Non-extractable AES-GCM key kept in IndexedDB; session key private keys
+// are encrypted with it at rest.
+async function getDeviceKey() {
+  const stored = await idbStorage.getItem(DEVICE_KEY_STORAGE_KEY);
+  if (stored instanceof CryptoKey) return stored;
+
+  const key = await crypto.subtle.generateKey(
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  await idbStorage.setItem(DEVICE_KEY_STORAGE_KEY, key);
+
+  // The localStorage fallback can't hold a CryptoKey
+  if (
+    !((await idbStorage.getItem(DEVICE_KEY_STORAGE_KEY)) instanceof CryptoKey)
+  ) {
+    throw new Error("Session keys need IndexedDB, which is unavailable here");
+  }
+  return key;
+}
+
+async function encryptPrivateKey(privateKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    await getDeviceKey(),
+    getBytes(privateKey)
+  );
+  return { iv: hexlify(iv), ciphertext: hexlify(new Uint8Array(ciphertext)) };
+}
+
+async function decryptPrivateKey({ iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: getBytes(iv) },
+    await getDeviceKey(),
+    getBytes(ciphertext)
+  );
+  return hexlify(new Uint8Array(plaintext));
+}
+
+// Session keys created on this device for a user. Records hold the policy,
+// the encrypted private key and how much has been spent per token.
+export class SessionKeyStore {
+  constructor(userId) {
+    if (!userId) {
+      throw new Error("User ID is required to load session keys");
+    }
+    this.userId = userId;
+  }
+
+  async list() {
+    return (await idbStorage.getItem(storageKey(this.userId))) || [];
+  }
+
+  async save(records) {
+    const saved = await idbStorage.setItem(storageKey(this.userId), records);
+    if (!saved) {
+      throw new Error("Unable to save session keys on this device");
+    }
+  }
+
+  // Fresh key and its record; not stored until the enable UserOperation has
+  // been submitted
+  async generate({ chainId, accountAddress, policy }) {
+    const signer = Wallet.createRandom();
+    return {
+      id: `session-${Date.now()}`,
+      chainId,
+      accountAddress,
+      sessionKeyAddress: signer.address,
+      encryptedKey: await encryptPrivateKey(signer.privateKey),
+      policy,
+      nonce: String(Date.now()),
+      spent: {},
+      status: SESSION_KEY_STATUS.ACTIVE,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  async add(record) {
+    await this.save([...(await this.list()), record]);
+  }
+
+  async update(id, fields) {
+    await this.save(
+      (
+        await this.list()
+      ).map((record) => (record.id === id ? { ...record, ...fields } : record))
+    );
+  }
+
+  async recordSpend(id, tokenAddress, amount) {
+    const records = await this.list();
+    const record = records.find((item) => item.id === id);
+    if (!record) return;
+
+    const spent = BigInt(record.spent?.[tokenAddress] || 0) + amount;
+    await this.update(id, {
+      spent: { ...record.spent, [tokenAddress]: spent.toString() },
+    });
+  }
+
+  // Usable session for the calls on this chain and account: the decrypted
+  // signer plus the matching permission and proof, or null
+  async findSession({ chainId, accountAddress, calls }) {
+    const records = await this.list();
+    for (const record of records) {
+      if (
+        record.chainId !== chainId ||
+        record.accountAddress.toLowerCase() !== accountAddress.toLowerCase()
+      ) {
+        continue;
+      }
+
+      const match = matchSessionPermission(record, calls);
+      if (match) {
+        const signer = new Wallet(await decryptPrivateKey(record.encryptedKey));
+        return { ...match, record, address: signer.address, signer };
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,149 @@
+// @/lib/siwe.js
+
+import { getAddress, hexlify, toUtf8Bytes } from "ethers";
+import { apiRequest } from "@/lib/queryClient";
+import { idbStorage } from "@/lib/idb-storage";
+import { defaultChain } from "@/lib/chains";
+import { getZeroDevWallet } from "@/lib/zerodev";
+import { KEY_PROTECTION, getOwnerKeyManager } from "@/lib/owner-key-manager";
+import { WALLET_OWNER_TYPE } from "@/lib/passkeys";
+
+export const SIWE_ENDPOINT = "/api/auth/siwe";
+
+export const SIWE_STATEMENT = "Sign in to your ZeroDev smart wallet.";
+
+// Signed messages are only accepted for a short while
+const MESSAGE_TTL_MS = 10 * 60 * 1000;
+
+// EIP-1193 user rejection
+const USER_REJECTED_CODE = 4001;
+
+const SMART_ACCOUNT_KEY = "siwe_smart_account";
+
+export async function fetchSiweNonce() {
+  const response = await apiRequest("GET", `${SIWE_ENDPOINT}/nonce`);
+  const nonce = response.data?.nonce;
+  // EIP-4361 nonces are at least 8 alphanumeric characters
+  if (!nonce || !/^[a-zA-Z0-9]{8,}$/.test(nonce)) {
+    throw new Error("The server did not provide a valid sign-in nonce");
+  }
+  return nonce;
+}
+
+// EIP-4361 message for this site. The server checks the domain, URI, nonce
+// and expiration before verifying the signature.
+export function createSiweMessage({
+  address,
+  chainId,
+  nonce,
+  statement = SIWE_STATEMENT,
+  issuedAt = new Date(),
+}) {
+  const expirationTime = new Date(issuedAt.getTime() + MESSAGE_TTL_MS);
+
+  return [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    getAddress(address),
+    "",
+    statement,
+    "",
+    `URI: ${window.location.origin}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expirationTime.toISOString()}`,
+  ].join("\n");
+}
+
+export const getInjectedProvider = () =>
+  (typeof window !== "undefined" && window.ethereum) || null;
+
+const withRejectionMessage = async (request) => {
+  try {
+    return await request();
+  } catch (error) {
+    if (error?.code === USER_REJECTED_CODE) {
+      throw new Error("The sign-in request was rejected in your wallet");
+    }
+    throw error;
+  }
+};
+
+// { message, signature } from a browser wallet (EIP-1193). Contract wallets
+// return EIP-1271 signatures, which the server verifies on the message's
+// chain.
+export async function signInWithInjectedProvider(provider, nonce) {
+  if (!provider) {
+    throw new Error("No browser wallet found. Install one and try again.");
+  }
+
+  return withRejectionMessage(async () => {
+    const [account] = await provider.request({
+      method: "eth_requestAccounts",
+    });
+    if (!account) {
+      throw new Error("No account selected in your wallet");
+    }
+    const address = getAddress(account);
+    const chainId = Number(await provider.request({ method: "eth_chainId" }));
+
+    const message = createSiweMessage({ address, chainId, nonce });
+    const signature = await provider.request({
+      method: "personal_sign",
+      params: [hexlify(toUtf8Bytes(message)), address],
+    });
+    return { message, signature };
+  });
+}
+
+// Smart account last used on this device by a device-key owned user, so
+// they can sign in again with it. Kept across logouts.
+export async function rememberSmartAccount(user) {
+  if (
+    !user?.walletAddress ||
+    user.walletOwnerType === WALLET_OWNER_TYPE.PASSKEY
+  ) {
+    return;
+  }
+  await idbStorage.setItem(SMART_ACCOUNT_KEY, {
+    userId: user.id,
+    address: user.walletAddress,
+  });
+}
+
+// The remembered smart account when it can sign in: its owner key must be
+// on this device and passphrase-protected, since unlocking with the server
+// wrapping key needs a session
+export async function getSmartAccountLogin() {
+  const account = await idbStorage.getItem(SMART_ACCOUNT_KEY);
+  if (!account) return null;
+
+  const status = await getOwnerKeyManager(account.userId).getStatus();
+  if (!status.hasKey || status.protection !== KEY_PROTECTION.PASSPHRASE) {
+    return null;
+  }
+  return account;
+}
+
+// { message, signature } from the smart account itself (EIP-1271), signed
+// with this device's owner key on the default chain
+export async function signInWithSmartAccount(account, nonce) {
+  const manager = getOwnerKeyManager(account.userId);
+  const { hasKey, address: owner } = await manager.getStatus();
+  if (!hasKey) {
+    throw new Error("This device no longer has the key for that wallet");
+  }
+
+  const wallet = getZeroDevWallet(defaultChain.chainId);
+  const message = createSiweMessage({
+    address: account.address,
+    chainId: defaultChain.chainId,
+    nonce,
+  });
+  const signature = await wallet.signMessageAsAccount(
+    { address: account.address, owner, signer: manager.getSigner(owner) },
+    message
+  );
+  return { message, signature };
+}
@@ -0,0 +1,224 @@
+// @/lib/spending-limits.js
+
+import {
+  Interface,
+  MaxUint256,
+  ZeroAddress,
+  getAddress,
+  parseUnits,
+} from "ethers";
+import { erc20Interface, formatTokenAmount } from "@/lib/erc20";
+import { PREFLIGHT_FAILURE, PreflightError } from "@/lib/preflight";
+import { TRANSACTION_STATUS } from "@/lib/transaction-lifecycle";
+import { safariUtils } from "@/lib/safari-compatibility";
+
+// Daily limits cover a rolling window, not the calendar day
+export const SPENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const SPENDING_LIMIT_KIND = {
+  PER_TRANSACTION: "per_transaction",
+  DAILY: "daily",
+};
+
+// Transaction blocked by one of the user's spending limits
+export class SpendingLimitError extends PreflightError {
+  constructor(message, kind, details = {}) {
+    super(message, PREFLIGHT_FAILURE.SPENDING_LIMIT, details);
+    this.name = "SpendingLimitError";
+    this.kind = kind;
+  }
+}
+
+// Policy contract that keeps limits per account and token (the zero address
+// standing for the native token). It only enforces them once it is wired
+// into the account's validation; setting limits is a call from the account.
+export const spendingLimitPolicyInterface = new Interface([
+  "function setLimit(address token, uint256 perTransaction, uint256 daily)",
+  "function removeLimit(address token)",
+]);
+
+const TRANSFER_SELECTOR = erc20Interface.getFunction("transfer").selector;
+
+const limitsKey = (userId, chainId) => `spending_limits:${userId}:${chainId}`;
+
+// Limits are { tokenAddress (null for native), symbol, decimals,
+// perTransaction, daily, onChain }; a blank amount means no limit
+export function loadSpendingLimits(userId, chainId) {
+  try {
+    const stored = safariUtils.safeLocalStorage.getItem(
+      limitsKey(userId, chainId)
+    );
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn("Failed to read spending limits:", error);
+    return [];
+  }
+}
+
+export function saveSpendingLimits(userId, chainId, limits) {
+  return safariUtils.safeLocalStorage.setItem(
+    limitsKey(userId, chainId),
+    JSON.stringify(limits)
+  );
+}
+
+const isSameLimitToken = (limit, tokenAddress) =>
+  limit.tokenAddress && tokenAddress
+    ? limit.tokenAddress.toLowerCase() === tokenAddress.toLowerCase()
+    : !limit.tokenAddress && !tokenAddress;
+
+const toBaseAmount = (amount, decimals) => {
+  try {
+    return parseUnits(String(amount), decimals);
+  } catch (error) {
+    return 0n;
+  }
+};
+
+// Value leaving the account per token: native value on any call plus ERC-20
+// transfer() amounts, as [{ tokenAddress, amount }]
+export function getCallOutflows(calls) {
+  const outflows = new Map();
+  const add = (tokenAddress, amount) => {
+    const key = tokenAddress ? getAddress(tokenAddress) : null;
+    outflows.set(key, (outflows.get(key) || 0n) + amount);
+  };
+
+  for (const call of calls) {
+    if (call.value && BigInt(call.value) > 0n) {
+      add(null, BigInt(call.value));
+    }
+    if (call.data?.startsWith(TRANSFER_SELECTOR)) {
+      const [, amount] = erc20Interface.decodeFunctionData(
+        "transfer",
+        call.data
+      );
+      add(call.to, amount);
+    }
+  }
+
+  return [...outflows].map(([tokenAddress, amount]) => ({
+    tokenAddress,
+    amount,
+  }));
+}
+
+// A record or batch row counts once it has been submitted
+const isSpent = (status) =>
+  status !== TRANSACTION_STATUS.PENDING && status !== TRANSACTION_STATUS.FAILED;
+
+// Whether a transfer record or batch row moved the limit's token. Rows and
+// older records may only carry a symbol.
+const spendsToken = (item, limit) => {
+  if (item.type === "native") return !limit.tokenAddress;
+  if (item.tokenAddress) return isSameLimitToken(limit, item.tokenAddress);
+  return item.tokenSymbol === limit.symbol;
+};
+
+// Amount of the limit's token sent on chainId within the window before now,
+// from /api/transactions records (transfers, batches and payouts)
+export function getRecentSpending(
+  transactions,
+  limit,
+  { chainId, now = Date.now() }
+) {
+  let total = 0n;
+
+  for (const transaction of transactions) {
+    if (
+      Number(transaction.chainId) !== Number(chainId) ||
+      new Date(transaction.createdAt).getTime() < now - SPENDING_WINDOW_MS ||
+      !isSpent(transaction.status)
+    ) {
+      continue;
+    }
+
+    if (transaction.batchOperations?.length) {
+      for (const row of transaction.batchOperations) {
+        if (
+          ["transfer", "native"].includes(row.type) &&
+          isSpent(row.status || transaction.status) &&
+          spendsToken(row, limit)
+        ) {
+          total += toBaseAmount(row.amount, limit.decimals);
+        }
+      }
+    } else if (
+      transaction.type === "transfer" &&
+      spendsToken(transaction, limit)
+    ) {
+      total += toBaseAmount(transaction.amount, limit.decimals);
+    }
+  }
+
+  return total;
+}
+
+// Throw a SpendingLimitError when calls would go over a per-transaction
+// limit or the rolling daily limit of any token they send. `kinds` narrows
+// the check, e.g. to the daily limit for calls sent as several transactions.
+export function checkSpendingLimits({
+  limits,
+  calls,
+  transactions,
+  chainId,
+  now = Date.now(),
+  kinds = Object.values(SPENDING_LIMIT_KIND),
+}) {
+  for (const { tokenAddress, amount } of getCallOutflows(calls)) {
+    const limit = limits.find((item) => isSameLimitToken(item, tokenAddress));
+    if (!limit) continue;
+
+    const format = (value) =>
+      `${formatTokenAmount(value, limit.decimals)} ${limit.symbol}`;
+
+    if (
+      limit.perTransaction &&
+      kinds.includes(SPENDING_LIMIT_KIND.PER_TRANSACTION)
+    ) {
+      const maximum = toBaseAmount(limit.perTransaction, limit.decimals);
+      if (amount > maximum) {
+        throw new SpendingLimitError(
+          `${format(amount)} is over your limit of ${format(
+            maximum
+          )} per transaction`,
+          SPENDING_LIMIT_KIND.PER_TRANSACTION,
+          { limit, amount }
+        );
+      }
+    }
+
+    if (limit.daily && kinds.includes(SPENDING_LIMIT_KIND.DAILY)) {
+      const maximum = toBaseAmount(limit.daily, limit.decimals);
+      const spent = getRecentSpending(transactions, limit, { chainId, now });
+      if (spent + amount > maximum) {
+        const remaining = maximum > spent ? maximum - spent : 0n;
+        throw new SpendingLimitError(
+          `${format(amount)} is over your 24-hour limit of ${format(
+            maximum
+          )}: ${format(remaining)} left`,
+          SPENDING_LIMIT_KIND.DAILY,
+          { limit, amount, spent, remaining }
+        );
+      }
+    }
+  }
+}
+
+// Policy call writing a limit for the account; blank amounts are unlimited
+export function encodeSetSpendingLimit(limit) {
+  const toLimit = (amount) =>
+    amount ? parseUnits(amount, limit.decimals) : MaxUint256;
+
+  return spendingLimitPolicyInterface.encodeFunctionData("setLimit", [
+    limit.tokenAddress || ZeroAddress,
+    toLimit(limit.perTransaction),
+    toLimit(limit.daily),
+  ]);
+}
+
+export function encodeRemoveSpendingLimit(tokenAddress) {
+  return spendingLimitPolicyInterface.encodeFunctionData("removeLimit", [
+    tokenAddress || ZeroAddress,
+  ]);
+}
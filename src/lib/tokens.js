@@ -0,0 +1,104 @@
+// @/lib/tokens.js
+
+import { getAddress } from "ethers";
+import { safariUtils } from "@/lib/safari-compatibility";
+import { parseAddress } from "@/lib/address-safety";
+
+const TOKEN_LOGOS = {
+  ETH: "https://assets.coingecko.com/coins/images/279/small/ethereum.png",
+  POL: "https://assets.coingecko.com/coins/images/4713/small/polygon.png",
+  USDC: "https://assets.coingecko.com/coins/images/6319/small/usdc.png",
+};
+
+const customTokensKey = (chainId) => `custom_tokens:${chainId}`;
+
+// Registry entry: { address, symbol, name, decimals, logoUrl, source }.
+// The native token has a null address; source is "native", "builtin",
+// "config" (VITE_TOKEN_ADDRESSES) or "custom" (added by the user).
+export const isNativeToken = (token) => !token?.address;
+
+export const isSameToken = (a, b) =>
+  (a?.address || null)?.toLowerCase() === (b?.address || null)?.toLowerCase();
+
+export const getTokenLogo = (symbol) => TOKEN_LOGOS[symbol] || null;
+
+// USDC when the chain has it, otherwise the first token (native)
+export const getDefaultToken = (tokens) =>
+  tokens.find((token) => token.source === "builtin") || tokens[0] || null;
+
+// The native token and USDC. USDC's decimals are read on-chain, since a
+// configured usdcAddress (a local mock, say) needn't use 6; it is left out
+// until they are known.
+export function getBuiltinTokens(chain, { usdcDecimals = null } = {}) {
+  const tokens = [
+    {
+      address: null,
+      symbol: chain.nativeSymbol,
+      name: chain.nativeSymbol,
+      decimals: 18,
+      logoUrl: getTokenLogo(chain.nativeSymbol),
+      source: "native",
+    },
+  ];
+
+  if (chain.usdcAddress && usdcDecimals !== null) {
+    tokens.push({
+      address: getAddress(chain.usdcAddress),
+      symbol: "USDC",
+      name: "USD Coin",
+      decimals: usdcDecimals,
+      logoUrl: TOKEN_LOGOS.USDC,
+      source: "builtin",
+    });
+  }
+
+  return tokens;
+}
+
+export function loadCustomTokens(chainId) {
+  try {
+    const stored = safariUtils.safeLocalStorage.getItem(
+      customTokensKey(chainId)
+    );
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn("Failed to read custom tokens:", error);
+    return [];
+  }
+}
+
+export function saveCustomTokens(chainId, tokens) {
+  return safariUtils.safeLocalStorage.setItem(
+    customTokensKey(chainId),
+    JSON.stringify(tokens)
+  );
+}
+
+// Validate a user-supplied token address by reading symbol() and decimals()
+// from the contract. `wallet` is the chain's ZeroDevWallet.
+export async function fetchCustomToken(wallet, tokenAddress) {
+  const address = parseAddress(tokenAddress);
+
+  const code = await wallet.getProvider().getCode(address);
+  if (code === "0x") {
+    throw new Error("No contract deployed at this address");
+  }
+
+  let metadata;
+  try {
+    metadata = await wallet.getTokenMetadata(address);
+  } catch (error) {
+    throw new Error(
+      "Not an ERC-20 token: symbol() and decimals() could not be read"
+    );
+  }
+
+  return {
+    address,
+    symbol: metadata.symbol,
+    name: metadata.symbol,
+    decimals: metadata.decimals,
+    logoUrl: getTokenLogo(metadata.symbol),
+    source: "custom",
+  };
+}
@@ -0,0 +1,89 @@
+// @/lib/transaction-export.js
+
+// Export columns, in file order. Keep this order stable: accounting imports
+// map columns by position.
+export const EXPORT_COLUMNS = [
+  { key: "date", label: "Date", value: (tx) => tx.createdAt || "" },
+  { key: "type", label: "Type", value: (tx) => tx.type || "" },
+  { key: "recipient", label: "Recipient", value: (tx) => tx.recipient || "" },
+  { key: "amount", label: "Amount", value: (tx) => tx.amount ?? "" },
+  { key: "token", label: "Token", value: (tx) => tx.tokenSymbol || "" },
+  { key: "status", label: "Status", value: (tx) => tx.status || "" },
+  { key: "hash", label: "Hash", value: (tx) => tx.hash || "" },
+  {
+    key: "batchOperations",
+    label: "Batch Operations",
+    value: (tx) => (tx.batchOperations || []).map(formatOperation).join("; "),
+  },
+  { key: "error", label: "Error", value: (tx) => tx.error || "" },
+];
+
+function formatOperation(operation) {
+  const description = operation.description || operation.type || "";
+  return operation.recipient
+    ? `${description} -> ${operation.recipient}`
+    : description;
+}
+
+// RFC 4180 quoting. Cells that a spreadsheet would evaluate as a formula are
+// prefixed with a quote so exported data can't run in the finance sheet.
+export function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+export function transactionsToCsv(transactions) {
+  const rows = [
+    EXPORT_COLUMNS.map((column) => column.label),
+    ...transactions.map((tx) =>
+      EXPORT_COLUMNS.map((column) => column.value(tx))
+    ),
+  ];
+
+  return rows
+    .map((row) => row.map((value) => escapeCsvValue(value)).join(","))
+    .join("\r\n");
+}
+
+export function transactionsToJson(transactions) {
+  return JSON.stringify(
+    transactions.map((tx) => ({
+      date: tx.createdAt || null,
+      type: tx.type || null,
+      recipient: tx.recipient || null,
+      amount: tx.amount ?? null,
+      token: tx.tokenSymbol || null,
+      status: tx.status || null,
+      hash: tx.hash || null,
+      batchOperations: (tx.batchOperations || []).map((operation) => ({
+        type: operation.type || null,
+        to: operation.to || null,
+        recipient: operation.recipient || null,
+        amount: operation.amount ?? null,
+        token: operation.tokenSymbol || null,
+        description: operation.description || null,
+      })),
+      error: tx.error || null,
+    })),
+    null,
+    2
+  );
+}
+
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,102 @@
+// @/lib/transaction-lifecycle.js
+
+import { apiRequest } from "@/lib/queryClient";
+
+// Lifecycle of a /api/transactions record:
+// pending → submitted → included → confirmed. It is failed only when the
+// UserOperation never reached the bundler or reverted; otherwise it may
+// still be included, so it stays submitted (or included).
+export const TRANSACTION_STATUS = {
+  PENDING: "pending",
+  SUBMITTED: "submitted",
+  INCLUDED: "included",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+};
+
+export const TRANSACTION_STATUS_STEPS = [
+  { status: TRANSACTION_STATUS.PENDING, label: "Preparing" },
+  { status: TRANSACTION_STATUS.SUBMITTED, label: "Submitted" },
+  { status: TRANSACTION_STATUS.INCLUDED, label: "Included" },
+  { status: TRANSACTION_STATUS.CONFIRMED, label: "Confirmed" },
+];
+
+// A send that failed once the UserOperation went to the bundler may still be
+// included, so it must not be sent again another way
+export const mayHaveBeenSubmitted = (error) =>
+  !!(error?.maybeSubmitted || error?.cause?.maybeSubmitted);
+
+// Submit a UserOperation for an existing transaction record and follow it to
+// confirmation, PATCHing the record and reporting every status change.
+// `submit` resolves to the userOpHash; `track` is useZeroDev's
+// trackUserOperation.
+export async function runTransactionLifecycle({
+  transactionId,
+  submit,
+  track,
+  onStatusChange = () => {},
+}) {
+  let userOpHash = null;
+  let txHash = null;
+  let lastStatus = TRANSACTION_STATUS.PENDING;
+
+  const update = async (status, fields = {}) => {
+    lastStatus = status;
+    onStatusChange({ status, userOpHash, hash: txHash, ...fields });
+    await apiRequest("PATCH", `/api/transactions/${transactionId}`, {
+      status,
+      userOpHash,
+      hash: txHash,
+      ...fields,
+    });
+  };
+
+  onStatusChange({ status: TRANSACTION_STATUS.PENDING });
+
+  try {
+    userOpHash = await submit();
+    if (!userOpHash) {
+      throw new Error("Transaction failed - no hash returned");
+    }
+    await update(TRANSACTION_STATUS.SUBMITTED);
+
+    await track(userOpHash, {
+      onIncluded: async (receipt) => {
+        txHash = receipt.receipt.transactionHash;
+        await update(TRANSACTION_STATUS.INCLUDED);
+      },
+    });
+    await update(TRANSACTION_STATUS.CONFIRMED);
+
+    return { userOpHash, txHash };
+  } catch (error) {
+    console.error("❌ Transaction failed:", error);
+    txHash = error?.txHash || txHash;
+    const message =
+      error instanceof Error ? error.message : "Transaction failed";
+
+    // Past submission only a revert is final. A tracking timeout or a failed
+    // PATCH leaves the operation in flight: keep the record counted as
+    // submitted so it isn't sent (and paid) twice.
+    const inFlight =
+      !error?.reverted && (!!userOpHash || mayHaveBeenSubmitted(error));
+    if (inFlight && error instanceof Error) {
+      error.maybeSubmitted = true;
+    }
+
+    try {
+      await update(
+        inFlight
+          ? lastStatus === TRANSACTION_STATUS.PENDING
+            ? TRANSACTION_STATUS.SUBMITTED
+            : lastStatus
+          : TRANSACTION_STATUS.FAILED,
+        { error: message }
+      );
+    } catch (patchError) {
+      console.warn("Failed to record transaction failure:", patchError);
+    }
+
+    throw error;
+  }
+}
@@ -0,0 +1,64 @@
+// @/lib/user-operation.js
+
+import { AbiCoder, Interface, keccak256, toQuantity } from "ethers";
+
+export const entryPointInterface = new Interface([
+  "function getNonce(address sender, uint192 key) view returns (uint256 nonce)",
+]);
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const QUANTITY_FIELDS = [
+  "nonce",
+  "callGasLimit",
+  "verificationGasLimit",
+  "preVerificationGas",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+];
+
+// EntryPoint v0.6 UserOperation hash (what the account owner signs)
+export function getUserOperationHash(userOp, entryPointAddress, chainId) {
+  const packed = abiCoder.encode(
+    [
+      "address",
+      "uint256",
+      "bytes32",
+      "bytes32",
+      "uint256",
+      "uint256",
+      "uint256",
+      "uint256",
+      "uint256",
+      "bytes32",
+    ],
+    [
+      userOp.sender,
+      userOp.nonce,
+      keccak256(userOp.initCode),
+      keccak256(userOp.callData),
+      userOp.callGasLimit,
+      userOp.verificationGasLimit,
+      userOp.preVerificationGas,
+      userOp.maxFeePerGas,
+      userOp.maxPriorityFeePerGas,
+      keccak256(userOp.paymasterAndData),
+    ]
+  );
+
+  return keccak256(
+    abiCoder.encode(
+      ["bytes32", "address", "uint256"],
+      [keccak256(packed), entryPointAddress, chainId]
+    )
+  );
+}
+
+// Convert bigint fields to the hex quantities bundlers expect over JSON-RPC
+export function serializeUserOperation(userOp) {
+  const serialized = { ...userOp };
+  for (const field of QUANTITY_FIELDS) {
+    serialized[field] = toQuantity(userOp[field] ?? 0n);
+  }
+  return serialized;
+}
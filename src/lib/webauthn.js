@@ -0,0 +1,156 @@
+// @/lib/webauthn.js
+
+import { hexlify, toBigInt, toUtf8Bytes } from "ethers";
+
+// ES256 (ECDSA on P-256 with SHA-256), the only algorithm the P-256
+// validator can verify
+const COSE_ALG_ES256 = -7;
+
+const P256_N =
+  0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n;
+
+const CEREMONY_TIMEOUT = 60 * 1000;
+
+export const isPasskeySupported = () =>
+  typeof window !== "undefined" &&
+  !!window.PublicKeyCredential &&
+  !!navigator.credentials;
+
+export function toBase64Url(bytes) {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+export function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+// Uncompressed P-256 point from a SubjectPublicKeyInfo: the key ends with
+// 0x04 || x || y
+function parseP256PublicKey(spki) {
+  const bytes = new Uint8Array(spki);
+  if (bytes.length < 65 || bytes[bytes.length - 65] !== 0x04) {
+    throw new Error("Passkey did not return a P-256 public key");
+  }
+  return {
+    x: hexlify(bytes.slice(-64, -32)),
+    y: hexlify(bytes.slice(-32)),
+  };
+}
+
+// r and s from a DER-encoded ECDSA signature, with s normalised to the lower
+// half of the curve order as on-chain verifiers require
+export function parseDerSignature(der) {
+  const bytes = new Uint8Array(der);
+  const readInteger = (offset) => {
+    if (bytes[offset] !== 0x02) {
+      throw new Error("Malformed passkey signature");
+    }
+    const length = bytes[offset + 1];
+    return {
+      value: toBigInt(bytes.slice(offset + 2, offset + 2 + length)),
+      next: offset + 2 + length,
+    };
+  };
+
+  if (bytes[0] !== 0x30) {
+    throw new Error("Malformed passkey signature");
+  }
+  const r = readInteger(2);
+  const s = readInteger(r.next);
+
+  return {
+    r: r.value,
+    s: s.value > P256_N / 2n ? P256_N - s.value : s.value,
+  };
+}
+
+const asError = (error) =>
+  error?.name === "NotAllowedError"
+    ? new Error("Passkey request was cancelled or timed out")
+    : error;
+
+// Create a discoverable passkey for the user on this device. Resolves to the
+// credential ID (base64url) and its P-256 public key coordinates.
+export async function createPasskey({ userId, userName, displayName }) {
+  if (!isPasskeySupported()) {
+    throw new Error("Passkeys are not supported in this browser");
+  }
+
+  let credential;
+  try {
+    credential = await navigator.credentials.create({
+      publicKey: {
+        rp: { id: window.location.hostname, name: "ZeroDev dApp" },
+        user: {
+          id: toUtf8Bytes(String(userId)),
+          name: userName,
+          displayName: displayName || userName,
+        },
+        // Attestation isn't requested, so the challenge only has to be fresh
+        challenge: crypto.getRandomValues(new Uint8Array(32)),
+        pubKeyCredParams: [{ type: "public-key", alg: COSE_ALG_ES256 }],
+        authenticatorSelection: {
+          residentKey: "required",
+          userVerification: "required",
+        },
+        attestation: "none",
+        timeout: CEREMONY_TIMEOUT,
+      },
+    });
+  } catch (error) {
+    throw asError(error);
+  }
+
+  if (typeof credential.response.getPublicKey !== "function") {
+    throw new Error("This browser can't read the passkey's public key");
+  }
+
+  return {
+    credentialId: toBase64Url(credential.rawId),
+    publicKey: parseP256PublicKey(credential.response.getPublicKey()),
+  };
+}
+
+// Sign `challenge` (bytes) with one of credentialIds (base64url), or any
+// passkey for this site when none are given. Resolves to the raw assertion
+// fields as bytes, plus the credential ID used.
+export async function getPasskeyAssertion({ challenge, credentialIds = [] }) {
+  if (!isPasskeySupported()) {
+    throw new Error("Passkeys are not supported in this browser");
+  }
+
+  let credential;
+  try {
+    credential = await navigator.credentials.get({
+      publicKey: {
+        rpId: window.location.hostname,
+        challenge,
+        allowCredentials: credentialIds.map((id) => ({
+          type: "public-key",
+          id: fromBase64Url(id),
+        })),
+        userVerification: "required",
+        timeout: CEREMONY_TIMEOUT,
+      },
+    });
+  } catch (error) {
+    throw asError(error);
+  }
+
+  const { response } = credential;
+  return {
+    credentialId: toBase64Url(credential.rawId),
+    authenticatorData: new Uint8Array(response.authenticatorData),
+    clientDataJSON: new TextDecoder().decode(response.clientDataJSON),
+    signature: new Uint8Array(response.signature),
+    userHandle: response.userHandle
+      ? new Uint8Array(response.userHandle)
+      : null,
+  };
+}
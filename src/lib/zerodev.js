@@ -1,7 +1,159 @@
-// Mock ZeroDev implementation - replace with actual ZeroDev SDK integration
+import {
+  Contract,
+  JsonRpcProvider,
+  MaxUint256,
+  ZeroAddress,
+  concat,
+  dataSlice,
+  getAddress,
+  getBytes,
+  hashMessage,
+  parseEther,
+  parseUnits,
+} from "ethers";
+import {
+  DUMMY_ECDSA_SIGNATURE,
+  KERNEL_DEFAULTS,
+  KERNEL_DUMMY_SIGNATURE,
+  KERNEL_EXECUTE_SELECTOR,
+  KERNEL_PLUGIN_MODE,
+  ecdsaValidatorInterface,
+  encodeKernelExecute,
+  encodeKernelExecuteBatch,
+  encodeKernelFactoryData,
+  encodeKernelInitCode,
+  encodeKernelInitData,
+  encodeKernelSetExecution,
+  encodeErc6492Signature,
+  encodeKernelSignature,
+  getKernelWrapperTypedData,
+  kernelFactoryInterface,
+} from "@/lib/kernel";
+import {
+  erc20Interface,
+  encodeApprove,
+  encodeTransfer,
+  formatTokenAmount,
+} from "@/lib/erc20";
+import { JsonRpcError, jsonRpcRequest } from "@/lib/json-rpc";
+import {
+  PAYMASTER_MODE,
+  PaymasterClient,
+  PaymasterError,
+} from "@/lib/paymaster";
+import {
+  entryPointInterface,
+  getUserOperationHash,
+  serializeUserOperation,
+} from "@/lib/user-operation";
+import {
+  PREFLIGHT_FAILURE,
+  PreflightError,
+  decodeRevertReason,
+  getRequiredAmounts,
+  getRevertData,
+} from "@/lib/preflight";
+import { ensResolver, resolveRecipient } from "@/lib/ens";
+import {
+  encodeRemoveSpendingLimit,
+  encodeSetSpendingLimit,
+} from "@/lib/spending-limits";
+import {
+  PasskeySigner,
+  encodePasskeyDisableData,
+  encodePasskeyEnableData,
+  passkeyValidatorInterface,
+} from "@/lib/passkeys";
+import {
+  RECOVERY_NONCE_KEY,
+  RECOVERY_SELECTOR,
+  encodeGuardianConfig,
+  encodeRecoveryCallData,
+  encodeRenewGuardians,
+  getCallDataAndNonceHash,
+  guardianValidatorInterface,
+} from "@/lib/recovery";
+import {
+  encodeSessionDisableData,
+  encodeSessionEnableData,
+  encodeSessionSignature,
+} from "@/lib/session-keys";
+import {
+  createProposalNonceKey,
+  encodeMultisigEnableData,
+  encodeMultisigRenew,
+  encodeMultisigSignature,
+  getApprovalTypedData,
+} from "@/lib/multisig";
+
+import { defaultChain, getChain } from "@/lib/chains";
+
+// ZeroDev Kernel smart account wallet bound to one chain. Network endpoints
+// come from the chain registry and contract addresses from env config; both
+// can be overridden per instance, which lets a local RPC/bundler stand-in be
+// used for offline testing.
 export class ZeroDevWallet {
-  constructor() {
-    this.projectId = import.meta.env.VITE_ZERODEV_PROJECT_ID || "";
+  constructor(config = {}) {
+    const env = import.meta.env;
+    const chain = config.chain || defaultChain;
+
+    this.chain = chain;
+    this.projectId = config.projectId ?? (env.VITE_ZERODEV_PROJECT_ID || "");
+    this.rpcUrl = config.rpcUrl ?? chain.rpcUrl;
+    this.bundlerUrl = config.bundlerUrl ?? chain.bundlerUrl;
+    this.paymasterUrl = config.paymasterUrl ?? chain.paymasterUrl;
+    this.usdcAddress = config.usdcAddress ?? chain.usdcAddress;
+    this.entryPointAddress =
+      config.entryPointAddress ??
+      (env.VITE_ENTRYPOINT_ADDRESS || KERNEL_DEFAULTS.entryPointAddress);
+    this.factoryAddress =
+      config.factoryAddress ??
+      (env.VITE_KERNEL_FACTORY_ADDRESS || KERNEL_DEFAULTS.factoryAddress);
+    this.implementationAddress =
+      config.implementationAddress ??
+      (env.VITE_KERNEL_IMPLEMENTATION_ADDRESS ||
+        KERNEL_DEFAULTS.implementationAddress);
+    this.ecdsaValidatorAddress =
+      config.ecdsaValidatorAddress ??
+      (env.VITE_KERNEL_ECDSA_VALIDATOR_ADDRESS ||
+        KERNEL_DEFAULTS.ecdsaValidatorAddress);
+    this.sessionKeyValidatorAddress =
+      config.sessionKeyValidatorAddress ??
+      (env.VITE_KERNEL_SESSION_KEY_VALIDATOR_ADDRESS ||
+        KERNEL_DEFAULTS.sessionKeyValidatorAddress);
+    this.p256ValidatorAddress =
+      config.p256ValidatorAddress ??
+      (env.VITE_KERNEL_P256_VALIDATOR_ADDRESS || null);
+    this.spendingLimitPolicyAddress =
+      config.spendingLimitPolicyAddress ??
+      (env.VITE_SPENDING_LIMIT_POLICY_ADDRESS || null);
+    this.guardianValidatorAddress =
+      config.guardianValidatorAddress ??
+      (env.VITE_RECOVERY_GUARDIAN_VALIDATOR_ADDRESS || null);
+    this.recoveryActionAddress =
+      config.recoveryActionAddress ??
+      (env.VITE_RECOVERY_ACTION_ADDRESS || null);
+    this.multisigValidatorAddress =
+      config.multisigValidatorAddress ??
+      (env.VITE_KERNEL_MULTISIG_VALIDATOR_ADDRESS || null);
+    this.paymaster = new PaymasterClient({
+      url: this.paymasterUrl,
+      erc20Url: config.erc20PaymasterUrl ?? env.VITE_ERC20_PAYMASTER_URL,
+      entryPointAddress: this.entryPointAddress,
+      sponsorshipPolicyId:
+        config.sponsorshipPolicyId ?? env.VITE_ZERODEV_SPONSORSHIP_POLICY_ID,
+      erc20PaymasterAddress:
+        config.erc20PaymasterAddress ?? env.VITE_ERC20_PAYMASTER_ADDRESS,
+    });
+    this.erc20GasFallback =
+      config.erc20GasFallback ?? env.VITE_ERC20_PAYMASTER_FALLBACK === "true";
+    this.ensResolver = config.ensResolver ?? ensResolver;
+    this.confirmations =
+      config.confirmations ?? Number(env.VITE_TX_CONFIRMATIONS || 2);
+
+    this.provider = null;
+    this.chainId = chain.chainId ? BigInt(chain.chainId) : null;
+    this.tokenMetadata = new Map();
     this.smartAccount = null;
 
     if (!this.projectId) {
@@ -9,23 +161,88 @@ export class ZeroDevWallet {
     }
   }
 
-  async createSmartAccount(ownerAddress) {
-    // TODO: Replace with actual ZeroDev SDK integration
-    // This is a mock implementation
+  getProvider() {
+    if (!this.rpcUrl) {
+      throw new Error("RPC URL not configured");
+    }
+    if (!this.provider) {
+      this.provider = this.chainId
+        ? new JsonRpcProvider(this.rpcUrl, Number(this.chainId), {
+            staticNetwork: true,
+          })
+        : new JsonRpcProvider(this.rpcUrl);
+    }
+    return this.provider;
+  }
+
+  // Kernel.initialize calldata for an owner: an address owns the account
+  // through the ECDSA validator, a PasskeySigner through the P-256 validator
+  // and a multisig config ({ owners, weights, threshold }) through the
+  // weighted ECDSA validator
+  getInitData(owner) {
+    if (Array.isArray(owner?.owners)) {
+      if (!this.multisigValidatorAddress) {
+        throw new Error("Multisig validator not configured");
+      }
+      return encodeKernelInitData(
+        this.multisigValidatorAddress,
+        encodeMultisigEnableData(owner)
+      );
+    }
+    if (owner instanceof PasskeySigner) {
+      if (!this.p256ValidatorAddress) {
+        throw new Error("P-256 validator not configured");
+      }
+      return encodeKernelInitData(
+        this.p256ValidatorAddress,
+        owner.getEnableData()
+      );
+    }
+    return encodeKernelInitData(this.ecdsaValidatorAddress, getAddress(owner));
+  }
+
+  // Owner address (from an address or ethers Signer), or the PasskeySigner
+  // or multisig config as is
+  async resolveOwner(owner) {
+    if (owner instanceof PasskeySigner) return owner;
+    if (Array.isArray(owner?.owners)) return owner;
+    return typeof owner === "string"
+      ? getAddress(owner)
+      : getAddress(await owner.getAddress());
+  }
+
+  // Compute the counterfactual Kernel account address for an owner. The
+  // address only depends on the owner, the factory/validator configuration
+  // and the index, so the same owner always maps to the same account.
+  async getCounterfactualAddress(owner, index = 0n) {
+    const factory = new Contract(
+      this.factoryAddress,
+      kernelFactoryInterface,
+      this.getProvider()
+    );
 
+    return getAddress(
+      await factory.getAccountAddress(this.getInitData(owner), index)
+    );
+  }
+
+  // `owner` may be an ethers Signer, a PasskeySigner or a plain owner address
+  async createSmartAccount(owner, { index = 0n } = {}) {
     try {
-      // Mock wallet creation - replace with actual ZeroDev implementation
-      const mockWalletAddress = `0x${Math.random()
-        .toString(16)
-        .slice(2, 42)
-        .padStart(40, "0")}`;
+      const resolvedOwner = await this.resolveOwner(owner);
+      const walletAddress = await this.getCounterfactualAddress(
+        resolvedOwner,
+        index
+      );
 
       this.smartAccount = {
-        address: mockWalletAddress,
-        owner: ownerAddress,
+        address: walletAddress,
+        owner: typeof resolvedOwner === "string" ? resolvedOwner : null,
+        index,
+        signer: typeof owner === "string" ? null : owner,
       };
 
-      return mockWalletAddress;
+      return walletAddress;
     } catch (error) {
       console.error("Error creating smart account:", error);
       throw new Error("Failed to create smart wallet");
@@ -33,17 +250,126 @@ export class ZeroDevWallet {
   }
 
   async sendGaslessTransaction(
+    to,
+    amount,
+    tokenAddress = null,
+    smartAccountOverride = null,
+    options = {}
+  ) {
+    const currentSmartAccount = smartAccountOverride || this.smartAccount;
+
+    if (!currentSmartAccount) {
+      throw new Error("Smart account not initialized");
+    }
+
+    try {
+      const calls = await this.buildTransferCalls(to, amount, tokenAddress);
+
+      console.log("Sending gasless transaction:", {
+        to,
+        amount,
+        tokenAddress,
+        paymasterMode: options.paymasterMode,
+        smartAccount: currentSmartAccount.address,
+      });
+
+      const userOpHash = await this.sendUserOperation(
+        currentSmartAccount,
+        calls,
+        options
+      );
+      console.log("UserOperation submitted:", userOpHash);
+      return userOpHash;
+    } catch (error) {
+      console.error("Error sending gasless transaction:", error);
+      if (error instanceof PaymasterError || error instanceof PreflightError) {
+        throw error;
+      }
+      throw new Error(`Failed to send transaction: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  // Dry-run the paymaster for a transfer so the UI can show how gas will be
+  // paid before the user confirms.
+  async quoteGaslessTransaction(
+    to,
+    amount,
+    tokenAddress = null,
+    smartAccountOverride = null
+  ) {
+    const currentSmartAccount = smartAccountOverride || this.smartAccount;
+
+    if (!currentSmartAccount) {
+      throw new Error("Smart account not initialized");
+    }
+
+    const calls = await this.buildTransferCalls(to, amount, tokenAddress);
+    return this.quoteCalls(calls, currentSmartAccount);
+  }
+
+  // Bundler gas estimate for a transfer, without asking the paymaster: no
+  // sponsorship is requested (or used up) while the user is still typing.
+  async estimateGaslessTransaction(
     to,
     amount,
     tokenAddress = null,
     smartAccountOverride = null
   ) {
+    const calls = await this.buildTransferCalls(to, amount, tokenAddress);
+    const { estimatedFee, callGasLimit } = await this.quoteCalls(
+      calls,
+      smartAccountOverride,
+      { paymasterMode: PAYMASTER_MODE.NATIVE }
+    );
+    return { estimatedFee, callGasLimit };
+  }
+
+  // Gas payment mode, call gas limit and the maximum gas cost (in wei) of a
+  // UserOperation executing calls. With a paymaster the cost is covered by
+  // the sponsor or charged in USDC instead of the account's native balance.
+  async quoteCalls(calls, smartAccountOverride = null, { paymasterMode } = {}) {
     const currentSmartAccount = smartAccountOverride || this.smartAccount;
 
     if (!currentSmartAccount) {
       throw new Error("Smart account not initialized");
     }
 
+    const {
+      userOp,
+      paymasterMode: mode,
+      sponsorshipRejection,
+    } = await this.buildUserOperation(currentSmartAccount, calls, {
+      paymasterMode,
+    });
+    const estimatedFee =
+      (userOp.callGasLimit +
+        userOp.verificationGasLimit +
+        userOp.preVerificationGas) *
+      userOp.maxFeePerGas;
+
+    return {
+      paymasterMode: mode,
+      sponsorshipRejection,
+      estimatedFee,
+      callGasLimit: userOp.callGasLimit,
+    };
+  }
+
+  async preflightGaslessTransaction(
+    to,
+    amount,
+    tokenAddress = null,
+    smartAccountOverride = null
+  ) {
+    const calls = await this.buildTransferCalls(to, amount, tokenAddress);
+    return this.preflightCalls(calls, smartAccountOverride);
+  }
+
+  // ERC-20 transfer call on the token, or a plain value transfer. `to` may be
+  // a hex address or an ENS name.
+  async buildTransferCalls(to, amount, tokenAddress = null) {
     // Validate required parameters
     if (!to || !amount) {
       throw new Error(
@@ -51,37 +377,130 @@ export class ZeroDevWallet {
       );
     }
 
-    // Validate Ethereum address format
-    if (!/^0x[a-fA-F0-9]{40}$/.test(to)) {
-      throw new Error("Invalid recipient address format");
-    }
-
     // Validate amount is positive
     if (parseFloat(amount) <= 0) {
       throw new Error("Amount must be greater than 0");
     }
 
-    try {
-      // TODO: Replace with actual ZeroDev gasless transaction
-      // Mock implementation
-      console.log("Sending gasless transaction:", {
-        to,
-        amount,
-        tokenAddress,
-        smartAccount: currentSmartAccount.address,
-      });
-      await new Promise((resolve) => setTimeout(resolve, 2000)); // Simulate network delay
+    // Validate the recipient address, resolving ENS names
+    const { address: recipient } = await resolveRecipient(to, this.ensResolver);
 
-      const mockTxHash = `0x${Math.random().toString(16).slice(2, 66)}`;
-      console.log("Transaction successful:", mockTxHash);
-      return mockTxHash;
-    } catch (error) {
-      console.error("Error sending gasless transaction:", error);
-      throw new Error("Failed to send transaction");
+    if (!tokenAddress) {
+      return [{ to: recipient, value: parseEther(String(amount)), data: "0x" }];
     }
+
+    const decimals = await this.getTokenDecimals(tokenAddress);
+    return [
+      {
+        to: tokenAddress,
+        value: 0n,
+        data: encodeTransfer(recipient, parseUnits(String(amount), decimals)),
+      },
+    ];
   }
 
-  async sendBatchTransaction(operations, smartAccountOverride = null) {
+  // Pre-flight checks run before a transaction is recorded: the account must
+  // hold enough of every asset the calls move out, and the calls must not
+  // revert when simulated. Throws a PreflightError describing the problem.
+  async preflightCalls(calls, smartAccountOverride = null) {
+    const currentSmartAccount = smartAccountOverride || this.smartAccount;
+
+    if (!currentSmartAccount) {
+      throw new Error("Smart account not initialized");
+    }
+
+    const provider = this.getProvider();
+    const { address } = currentSmartAccount;
+    const required = getRequiredAmounts(calls);
+
+    if (required.native > 0n) {
+      const balance = await provider.getBalance(address);
+      if (balance < required.native) {
+        const symbol = this.chain.nativeSymbol;
+        throw new PreflightError(
+          `Insufficient ${symbol} balance: ${formatTokenAmount(
+            required.native,
+            18
+          )} ${symbol} needed, ${formatTokenAmount(balance, 18)} available`,
+          PREFLIGHT_FAILURE.INSUFFICIENT_BALANCE,
+          { token: null, required: required.native, balance }
+        );
+      }
+    }
+
+    for (const [tokenAddress, amount] of required.tokens) {
+      const token = new Contract(tokenAddress, erc20Interface, provider);
+      const [{ symbol, decimals }, balance] = await Promise.all([
+        this.getTokenMetadata(tokenAddress),
+        token.balanceOf(address),
+      ]);
+      if (balance < amount) {
+        throw new PreflightError(
+          `Insufficient ${symbol} balance: ${formatTokenAmount(
+            amount,
+            decimals
+          )} ${symbol} needed, ${formatTokenAmount(
+            balance,
+            decimals
+          )} available`,
+          PREFLIGHT_FAILURE.INSUFFICIENT_BALANCE,
+          { token: tokenAddress, required: amount, balance }
+        );
+      }
+    }
+
+    await this.simulateCalls(currentSmartAccount, calls);
+  }
+
+  // eth_call the calls as the account would execute them. A deployed Kernel
+  // account runs them through execute/executeBatch (called from the
+  // EntryPoint); before deployment each call is simulated from the account
+  // address on its own.
+  async simulateCalls(account, calls) {
+    const provider = this.getProvider();
+    const code = await provider.getCode(account.address);
+    const simulations =
+      code !== "0x"
+        ? [
+            {
+              index: null,
+              from: this.entryPointAddress,
+              to: account.address,
+              data: this.encodeCalls(calls),
+            },
+          ]
+        : calls.map((call, index) => ({
+            index,
+            from: account.address,
+            to: call.to,
+            value: call.value ?? 0n,
+            data: call.data,
+          }));
+
+    for (const { index, ...transaction } of simulations) {
+      try {
+        await provider.call(transaction);
+      } catch (error) {
+        const revertData = getRevertData(error);
+        if (revertData === null) throw error;
+
+        const reason = decodeRevertReason(revertData);
+        throw new PreflightError(
+          index === null || calls.length === 1
+            ? `Transaction would revert: ${reason}`
+            : `Operation ${index + 1} would revert: ${reason}`,
+          PREFLIGHT_FAILURE.REVERTED,
+          { index, revertData }
+        );
+      }
+    }
+  }
+
+  async sendBatchTransaction(
+    operations,
+    smartAccountOverride = null,
+    options = {}
+  ) {
     const currentSmartAccount = smartAccountOverride || this.smartAccount;
 
     if (!currentSmartAccount) {
@@ -111,21 +530,799 @@ export class ZeroDevWallet {
     }
 
     try {
-      // TODO: Replace with actual ZeroDev batch transaction
-      // Mock implementation
       console.log("Sending batch transaction:", {
         operations,
         smartAccount: currentSmartAccount.address,
       });
-      await new Promise((resolve) => setTimeout(resolve, 3000)); // Simulate network delay
 
-      const mockTxHash = `0x${Math.random().toString(16).slice(2, 66)}`;
-      console.log("Batch transaction successful:", mockTxHash);
-      return mockTxHash;
+      const userOpHash = await this.sendUserOperation(
+        currentSmartAccount,
+        operations,
+        options
+      );
+      console.log("Batch UserOperation submitted:", userOpHash);
+      return userOpHash;
     } catch (error) {
       console.error("Error sending batch transaction:", error);
-      throw new Error("Failed to send batch transaction");
+      if (error instanceof PaymasterError || error instanceof PreflightError) {
+        throw error;
+      }
+      throw new Error(`Failed to send batch transaction: ${error.message}`);
+    }
+  }
+
+  // Owner call registering a session key: Kernel's execute selector is routed
+  // to the SessionKeyValidator, which is enabled for the key with the
+  // permissions' merkle root. The Kernel-level window is left open (0) since
+  // it is shared by every session key; each key's expiry is enforced by the
+  // validator.
+  buildEnableSessionKeyCalls(
+    account,
+    { sessionKeyAddress, merkleRoot, validUntil, nonce }
+  ) {
+    return [
+      {
+        to: account.address,
+        value: 0n,
+        data: encodeKernelSetExecution(
+          KERNEL_EXECUTE_SELECTOR,
+          this.sessionKeyValidatorAddress,
+          {
+            validUntil: 0,
+            enableData: encodeSessionEnableData({
+              sessionKeyAddress,
+              merkleRoot,
+              validUntil,
+              nonce,
+            }),
+          }
+        ),
+      },
+    ];
+  }
+
+  buildRevokeSessionKeyCalls(sessionKeyAddress) {
+    return [
+      {
+        to: this.sessionKeyValidatorAddress,
+        value: 0n,
+        data: encodeSessionDisableData(sessionKeyAddress),
+      },
+    ];
+  }
+
+  // Owner call adding a passkey to (or removing one from) a passkey-owned
+  // account on the P-256 validator
+  buildPasskeyCalls(passkey, { remove = false } = {}) {
+    if (!this.p256ValidatorAddress) {
+      throw new Error("P-256 validator not configured");
     }
+
+    return [
+      {
+        to: this.p256ValidatorAddress,
+        value: 0n,
+        data: passkeyValidatorInterface.encodeFunctionData(
+          remove ? "disable" : "enable",
+          [
+            remove
+              ? encodePasskeyDisableData(passkey.credentialId)
+              : encodePasskeyEnableData(passkey),
+          ]
+        ),
+      },
+    ];
+  }
+
+  isRecoveryConfigured() {
+    return !!this.guardianValidatorAddress && !!this.recoveryActionAddress;
+  }
+
+  getGuardianValidator() {
+    if (!this.isRecoveryConfigured()) {
+      throw new Error("Social recovery contracts not configured");
+    }
+    return new Contract(
+      this.guardianValidatorAddress,
+      guardianValidatorInterface,
+      this.getProvider()
+    );
+  }
+
+  // Current owner of an ECDSA-validated account, read from the validator
+  async getAccountOwner(accountAddress) {
+    const validator = new Contract(
+      this.ecdsaValidatorAddress,
+      ecdsaValidatorInterface,
+      this.getProvider()
+    );
+    return getAddress(await validator.ecdsaValidatorStorage(accountAddress));
+  }
+
+  // Guardian threshold and delay installed for an account, or null when
+  // recovery hasn't been set up on this chain
+  async getGuardianSettings(accountAddress) {
+    const { totalWeight, threshold, delay } =
+      await this.getGuardianValidator().weightedStorage(accountAddress);
+    if (totalWeight === 0n) return null;
+    return {
+      guardianCount: Number(totalWeight),
+      threshold: Number(threshold),
+      delaySeconds: Number(delay),
+    };
+  }
+
+  // Owner call installing the guardians: the first time doRecovery is routed
+  // through the guardian validator (enabling it with the guardians), later
+  // the guardian set, threshold and delay are replaced
+  async buildGuardianCalls(account, config) {
+    if ((await this.getGuardianSettings(account.address)) === null) {
+      return [
+        {
+          to: account.address,
+          value: 0n,
+          data: encodeKernelSetExecution(
+            RECOVERY_SELECTOR,
+            this.guardianValidatorAddress,
+            {
+              validUntil: 0,
+              enableData: encodeGuardianConfig(config),
+              executorAddress: this.recoveryActionAddress,
+            }
+          ),
+        },
+      ];
+    }
+
+    return [
+      {
+        to: this.guardianValidatorAddress,
+        value: 0n,
+        data: encodeRenewGuardians(config),
+      },
+    ];
+  }
+
+  // The recovery UserOperation's calldata and nonce, and the hash guardians
+  // approve. It makes newOwner the account's ECDSA owner.
+  async prepareRecovery(accountAddress, newOwner) {
+    if (!this.isRecoveryConfigured()) {
+      throw new Error("Social recovery contracts not configured");
+    }
+
+    const entryPoint = new Contract(
+      this.entryPointAddress,
+      entryPointInterface,
+      this.getProvider()
+    );
+    const nonce = await entryPoint.getNonce(accountAddress, RECOVERY_NONCE_KEY);
+    const callData = encodeRecoveryCallData(
+      this.ecdsaValidatorAddress,
+      newOwner
+    );
+
+    return {
+      callData,
+      nonce: nonce.toString(),
+      callDataAndNonceHash: getCallDataAndNonceHash(
+        accountAddress,
+        callData,
+        nonce
+      ),
+    };
+  }
+
+  async getRecoveryProposal(accountAddress, callDataAndNonceHash) {
+    const { status, validAfter } =
+      await this.getGuardianValidator().proposalStatus(
+        callDataAndNonceHash,
+        accountAddress
+      );
+    return { status: Number(status), validAfter: Number(validAfter) };
+  }
+
+  // Guardian call approving another account's recovery
+  buildApproveRecoveryCalls(accountAddress, callDataAndNonceHash) {
+    return [
+      {
+        to: this.guardianValidatorAddress,
+        value: 0n,
+        data: guardianValidatorInterface.encodeFunctionData("approve", [
+          callDataAndNonceHash,
+          accountAddress,
+        ]),
+      },
+    ];
+  }
+
+  // Owner call cancelling a recovery before its delay has passed
+  buildVetoRecoveryCalls(callDataAndNonceHash) {
+    return [
+      {
+        to: this.guardianValidatorAddress,
+        value: 0n,
+        data: guardianValidatorInterface.encodeFunctionData("veto", [
+          callDataAndNonceHash,
+        ]),
+      },
+    ];
+  }
+
+  // Submit an approved recovery. The guardians' on-chain approvals authorize
+  // it, so nobody signs and anyone (the new owner's device) can send it.
+  async sendRecoveryUserOperation(accountAddress, recovery) {
+    const { userOp } = await this.buildUserOperation(
+      { address: accountAddress },
+      [],
+      { recovery }
+    );
+
+    return jsonRpcRequest(this.bundlerUrl, "eth_sendUserOperation", [
+      serializeUserOperation(userOp),
+      this.entryPointAddress,
+    ]);
+  }
+
+  isMultisigConfigured() {
+    return !!this.multisigValidatorAddress;
+  }
+
+  // Owners ({ address, weight }) and threshold installed for a treasury, or
+  // null while it isn't deployed on this chain. The validator keeps owners
+  // as a linked list starting at firstGuardian.
+  async getMultisigOwners(accountAddress) {
+    if (!this.isMultisigConfigured()) {
+      throw new Error("Multisig validator not configured");
+    }
+    const validator = new Contract(
+      this.multisigValidatorAddress,
+      guardianValidatorInterface,
+      this.getProvider()
+    );
+
+    const { totalWeight, threshold, firstGuardian } =
+      await validator.weightedStorage(accountAddress);
+    if (totalWeight === 0n) return null;
+
+    const owners = [];
+    let current = firstGuardian;
+    while (current !== ZeroAddress && owners.length < totalWeight) {
+      const { weight, nextGuardian } = await validator.guardian(
+        current,
+        accountAddress
+      );
+      owners.push({ address: getAddress(current), weight: Number(weight) });
+      current = nextGuardian;
+    }
+
+    return { owners, threshold: Number(threshold) };
+  }
+
+  // A treasury operation's calldata and nonce, and the typed data co-owners
+  // sign to approve it. Each proposal takes a random nonce key.
+  async prepareMultisigOperation(accountAddress, calls) {
+    if (!this.isMultisigConfigured()) {
+      throw new Error("Multisig validator not configured");
+    }
+
+    const entryPoint = new Contract(
+      this.entryPointAddress,
+      entryPointInterface,
+      this.getProvider()
+    );
+    const nonce = await entryPoint.getNonce(
+      accountAddress,
+      createProposalNonceKey()
+    );
+    const callData = this.encodeCalls(calls);
+
+    return {
+      callData,
+      nonce: nonce.toString(),
+      callDataAndNonceHash: getCallDataAndNonceHash(
+        accountAddress,
+        callData,
+        nonce
+      ),
+    };
+  }
+
+  async getMultisigApprovalTypedData(callDataAndNonceHash) {
+    return getApprovalTypedData(
+      await this.getChainId(),
+      this.multisigValidatorAddress,
+      callDataAndNonceHash
+    );
+  }
+
+  // Treasury call replacing its owners, their weights and the threshold
+  buildMultisigOwnerCalls(config) {
+    return [
+      {
+        to: this.multisigValidatorAddress,
+        value: 0n,
+        data: encodeMultisigRenew(config),
+      },
+    ];
+  }
+
+  // Owner call writing (or, with a null limit, removing) the account's limit
+  // for a token on the configured spending limit policy contract
+  buildSpendingLimitCalls(tokenAddress, limit) {
+    if (!this.spendingLimitPolicyAddress) {
+      throw new Error("No spending limit policy contract configured");
+    }
+
+    return [
+      {
+        to: this.spendingLimitPolicyAddress,
+        value: 0n,
+        data: limit
+          ? encodeSetSpendingLimit(limit)
+          : encodeRemoveSpendingLimit(tokenAddress),
+      },
+    ];
+  }
+
+  async getChainId() {
+    if (!this.chainId) {
+      this.chainId = (await this.getProvider().getNetwork()).chainId;
+    }
+    return this.chainId;
+  }
+
+  // Cached { address, symbol, decimals } for an ERC-20 token
+  async getTokenMetadata(tokenAddress) {
+    const key = tokenAddress.toLowerCase();
+    if (!this.tokenMetadata.has(key)) {
+      const token = new Contract(
+        tokenAddress,
+        erc20Interface,
+        this.getProvider()
+      );
+      const [symbol, decimals] = await Promise.all([
+        token.symbol(),
+        token.decimals(),
+      ]);
+      this.tokenMetadata.set(key, {
+        address: getAddress(tokenAddress),
+        symbol,
+        decimals: Number(decimals),
+      });
+    }
+    return this.tokenMetadata.get(key);
+  }
+
+  async getTokenDecimals(tokenAddress) {
+    return (await this.getTokenMetadata(tokenAddress)).decimals;
+  }
+
+  // Native balance followed by USDC and any configured tokens (or the given
+  // token addresses), in base units
+  async getBalances(address, tokenAddressesOverride = null) {
+    const provider = this.getProvider();
+    const tokenAddresses = [
+      ...new Set(
+        (
+          tokenAddressesOverride || [
+            this.usdcAddress,
+            ...(this.chain.tokenAddresses || []),
+          ]
+        )
+          .filter(Boolean)
+          .map((tokenAddress) => getAddress(tokenAddress))
+      ),
+    ];
+
+    const [nativeBalance, ...tokenBalances] = await Promise.all([
+      provider.getBalance(address),
+      ...tokenAddresses.map(async (tokenAddress) => {
+        const token = new Contract(tokenAddress, erc20Interface, provider);
+        const [metadata, balance] = await Promise.all([
+          this.getTokenMetadata(tokenAddress),
+          token.balanceOf(address),
+        ]);
+        return { ...metadata, balance };
+      }),
+    ]);
+
+    return [
+      {
+        address: null,
+        symbol: this.chain.nativeSymbol,
+        decimals: 18,
+        balance: nativeBalance,
+      },
+      ...tokenBalances,
+    ];
+  }
+
+  // initCode deploying the account on its first UserOperation, or "0x" once
+  // the account exists on-chain
+  async getInitCode(account) {
+    const code = await this.getProvider().getCode(account.address);
+    if (code !== "0x") return "0x";
+
+    // Treasuries deploy with the owners they were created with
+    const owner = await this.resolveOwner(
+      account.multisig || account.signer || account.owner
+    );
+    const index = account.index ?? 0n;
+
+    const expectedAddress = await this.getCounterfactualAddress(owner, index);
+    if (expectedAddress !== getAddress(account.address)) {
+      throw new Error("Owner signer does not control this smart account");
+    }
+
+    return encodeKernelInitCode(
+      this.factoryAddress,
+      encodeKernelFactoryData(
+        this.implementationAddress,
+        this.getInitData(owner),
+        index
+      )
+    );
+  }
+
+  // Throw unless the account's signer controls it: an undeployed account
+  // must be the signer's counterfactual address, a deployed ECDSA account
+  // must have the signer as its validator owner
+  async verifyAccountOwner(account) {
+    // Undeployed accounts are checked by getInitCode
+    const initCode = await this.getInitCode(account);
+    const owner = await this.resolveOwner(account.signer || account.owner);
+    if (initCode !== "0x" || typeof owner !== "string") return;
+
+    if ((await this.getAccountOwner(account.address)) !== owner) {
+      throw new Error("Owner signer does not control this smart account");
+    }
+  }
+
+  // EIP-1271 signature of the account over an EIP-191 message, signed by
+  // its ECDSA owner. An undeployed account's signature is wrapped per
+  // ERC-6492 so verifiers can check it against the counterfactual account.
+  async signMessageAsAccount(account, message) {
+    if (!account.signer?.signTypedData) {
+      throw new Error("Owner signer not available for this smart account");
+    }
+
+    const { domain, types, value } = getKernelWrapperTypedData(
+      await this.getChainId(),
+      account.address,
+      hashMessage(message)
+    );
+    // Also checks the signer owns the account
+    const initCode = await this.getInitCode(account);
+    const signature = await account.signer.signTypedData(domain, types, value);
+    if (initCode === "0x") return signature;
+
+    return encodeErc6492Signature(
+      dataSlice(initCode, 0, 20),
+      dataSlice(initCode, 20),
+      signature
+    );
+  }
+
+  // Calldata for a list of { to, value, data } calls
+  encodeCalls(calls) {
+    if (calls.length === 1) {
+      const [call] = calls;
+      return encodeKernelExecute(call.to, call.value ?? 0n, call.data);
+    }
+    return encodeKernelExecuteBatch(calls);
+  }
+
+  canPayGasInToken() {
+    return (
+      this.erc20GasFallback &&
+      this.paymaster.supportsErc20() &&
+      !!this.usdcAddress
+    );
+  }
+
+  // approve() call letting the ERC-20 paymaster charge gas in USDC, or null
+  // when the existing allowance is already large enough
+  async getGasTokenApproval(account) {
+    const token = new Contract(
+      this.usdcAddress,
+      erc20Interface,
+      this.getProvider()
+    );
+    const allowance = await token.allowance(
+      account.address,
+      this.paymaster.erc20PaymasterAddress
+    );
+    if (allowance >= MaxUint256 / 2n) return null;
+
+    return {
+      to: this.usdcAddress,
+      value: 0n,
+      data: encodeApprove(this.paymaster.erc20PaymasterAddress, MaxUint256),
+    };
+  }
+
+  // Build an unsigned UserOperation for calls and decide how its gas is paid:
+  // sponsored by the paymaster when possible, otherwise in USDC through the
+  // ERC-20 paymaster (if enabled), or natively when no paymaster is set up.
+  // With `session` the operation is estimated and signed for that session
+  // key instead of the owner; with `recovery` ({ callData, nonce }) it is
+  // the prepared guardian-approved recovery, which needs no signature; with
+  // `multisig` ({ callData, nonce, approvals }) it is a treasury proposal
+  // co-signed by its owners.
+  async buildUserOperation(
+    account,
+    calls,
+    { paymasterMode, session, recovery, multisig } = {}
+  ) {
+    const prepared = recovery || multisig;
+    const provider = this.getProvider();
+    const entryPoint = new Contract(
+      this.entryPointAddress,
+      entryPointInterface,
+      provider
+    );
+
+    const [nonce, initCode, feeData] = await Promise.all([
+      prepared
+        ? BigInt(prepared.nonce)
+        : entryPoint.getNonce(account.address, 0),
+      // Guardians can only be installed on a deployed account
+      recovery ? "0x" : this.getInitCode(account),
+      provider.getFeeData(),
+    ]);
+
+    const userOp = {
+      sender: account.address,
+      nonce,
+      initCode,
+      callData: prepared ? prepared.callData : this.encodeCalls(calls),
+      callGasLimit: 0n,
+      verificationGasLimit: 0n,
+      preVerificationGas: 0n,
+      maxFeePerGas: feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n,
+      maxPriorityFeePerGas:
+        feeData.maxPriorityFeePerGas ?? feeData.gasPrice ?? 0n,
+      paymasterAndData: "0x",
+      signature: recovery
+        ? KERNEL_PLUGIN_MODE
+        : multisig
+        ? encodeKernelSignature(
+            concat(
+              Array(multisig.approvals.length + 1).fill(DUMMY_ECDSA_SIGNATURE)
+            )
+          )
+        : session
+        ? encodeSessionSignature(
+            session.address,
+            DUMMY_ECDSA_SIGNATURE,
+            session.permission,
+            session.proof
+          )
+        : account.signer?.dummySignature
+        ? encodeKernelSignature(account.signer.dummySignature)
+        : KERNEL_DUMMY_SIGNATURE,
+    };
+
+    let mode = this.paymaster.isConfigured()
+      ? paymasterMode || PAYMASTER_MODE.SPONSORED
+      : PAYMASTER_MODE.NATIVE;
+    let sponsorshipRejection = null;
+    let gas;
+
+    if (mode === PAYMASTER_MODE.SPONSORED) {
+      try {
+        gas = await this.paymaster.sponsorUserOperation(userOp);
+      } catch (error) {
+        if (!(error instanceof PaymasterError) || !this.canPayGasInToken()) {
+          throw error;
+        }
+        console.warn("Sponsorship rejected, paying gas in USDC:", error.reason);
+        sponsorshipRejection = { reason: error.reason, message: error.message };
+        mode = PAYMASTER_MODE.ERC20;
+      }
+    }
+
+    if (mode === PAYMASTER_MODE.ERC20) {
+      if (!this.canPayGasInToken()) {
+        throw new Error("Paying gas in USDC is not enabled");
+      }
+      const approval = await this.getGasTokenApproval(account);
+      if (approval && session) {
+        // The session key's permission covers the single call only
+        throw new Error("Session keys can't approve the gas token");
+      }
+      if (approval && recovery) {
+        throw new Error("A recovery can't approve the gas token");
+      }
+      if (approval && multisig) {
+        // Co-owners approved the proposal's calldata as it is
+        throw new Error("A treasury proposal can't approve the gas token");
+      }
+      if (approval) {
+        userOp.callData = this.encodeCalls([approval, ...calls]);
+      }
+      gas = await this.paymaster.sponsorWithErc20(userOp, this.usdcAddress);
+    }
+
+    if (mode === PAYMASTER_MODE.NATIVE) {
+      try {
+        gas = await jsonRpcRequest(
+          this.bundlerUrl,
+          "eth_estimateUserOperationGas",
+          [serializeUserOperation(userOp), this.entryPointAddress]
+        );
+      } catch (error) {
+        // The bundler simulates execution while estimating; surface reverts
+        const revertData = getRevertData(error);
+        if (revertData === null) throw error;
+        throw new PreflightError(
+          `Transaction would revert: ${decodeRevertReason(revertData)}`,
+          PREFLIGHT_FAILURE.REVERTED,
+          { index: null, revertData }
+        );
+      }
+    }
+
+    return {
+      userOp: {
+        ...userOp,
+        callGasLimit: BigInt(gas.callGasLimit),
+        verificationGasLimit: BigInt(gas.verificationGasLimit),
+        preVerificationGas: BigInt(gas.preVerificationGas),
+        paymasterAndData: gas.paymasterAndData || "0x",
+      },
+      paymasterMode: mode,
+      sponsorshipRejection,
+    };
+  }
+
+  async signUserOperation(account, userOp, session = null, multisig = null) {
+    if (!session && !account.signer) {
+      throw new Error("Owner signer not available for this smart account");
+    }
+
+    const userOpHash = getUserOperationHash(
+      userOp,
+      this.entryPointAddress,
+      await this.getChainId()
+    );
+
+    if (session) {
+      const signature = await session.signer.signMessage(getBytes(userOpHash));
+      return {
+        ...userOp,
+        signature: encodeSessionSignature(
+          session.address,
+          signature,
+          session.permission,
+          session.proof
+        ),
+      };
+    }
+
+    // The submitting owner's signature follows the co-owners' approvals
+    if (multisig) {
+      const signature = await account.signer.signMessage(getBytes(userOpHash));
+      return {
+        ...userOp,
+        signature: encodeKernelSignature(
+          encodeMultisigSignature(multisig.approvals, signature)
+        ),
+      };
+    }
+
+    // Passkeys sign the hash itself as the WebAuthn challenge; the ECDSA
+    // validator expects an EIP-191 signed message
+    const signature = account.signer.signUserOperationHash
+      ? await account.signer.signUserOperationHash(userOpHash)
+      : await account.signer.signMessage(getBytes(userOpHash));
+    return { ...userOp, signature: encodeKernelSignature(signature) };
+  }
+
+  // Build, sign and submit a UserOperation executing calls from the account.
+  // Resolves to the userOpHash returned by the bundler.
+  async sendUserOperation(account, calls, options = {}) {
+    const { userOp } = await this.buildUserOperation(account, calls, options);
+    const signedUserOp = await this.signUserOperation(
+      account,
+      userOp,
+      options.session,
+      options.multisig
+    );
+
+    try {
+      return await jsonRpcRequest(this.bundlerUrl, "eth_sendUserOperation", [
+        serializeUserOperation(signedUserOp),
+        this.entryPointAddress,
+      ]);
+    } catch (error) {
+      // Without an answer from the bundler it may still have the operation
+      if (error instanceof JsonRpcError && error.transport) {
+        error.maybeSubmitted = true;
+      }
+      throw error;
+    }
+  }
+
+  // Poll the bundler for a UserOperation receipt, backing off between
+  // attempts. Transient RPC failures are retried until the timeout.
+  async waitForUserOperationReceipt(
+    userOpHash,
+    {
+      timeout = 180000,
+      initialInterval = 1000,
+      maxInterval = 15000,
+      backoffFactor = 1.5,
+    } = {}
+  ) {
+    const deadline = Date.now() + timeout;
+    let interval = initialInterval;
+
+    while (Date.now() < deadline) {
+      try {
+        const receipt = await jsonRpcRequest(
+          this.bundlerUrl,
+          "eth_getUserOperationReceipt",
+          [userOpHash]
+        );
+        if (receipt) return receipt;
+      } catch (error) {
+        console.warn("UserOperation receipt poll failed:", error.message);
+      }
+
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(interval, deadline - Date.now()))
+      );
+      interval = Math.min(interval * backoffFactor, maxInterval);
+    }
+
+    throw new Error(`Timed out waiting for UserOperation ${userOpHash}`);
+  }
+
+  // Follow a submitted UserOperation until it is included and has the
+  // configured number of confirmations. onIncluded receives the receipt as
+  // soon as the bundler reports it.
+  async trackUserOperation(
+    userOpHash,
+    { confirmations = this.confirmations, onIncluded, ...pollOptions } = {}
+  ) {
+    const receipt = await this.waitForUserOperationReceipt(
+      userOpHash,
+      pollOptions
+    );
+    const txHash = receipt.receipt.transactionHash;
+
+    if (!receipt.success) {
+      const error = new Error(
+        `UserOperation reverted${receipt.reason ? `: ${receipt.reason}` : ""}`
+      );
+      error.txHash = txHash;
+      error.reverted = true;
+      throw error;
+    }
+
+    if (onIncluded) {
+      await onIncluded(receipt);
+    }
+
+    if (confirmations > 1) {
+      await this.getProvider().waitForTransaction(txHash, confirmations);
+    }
+
+    return { receipt, txHash };
+  }
+
+  // Resolve the on-chain transaction hash that included a UserOperation
+  async waitForTransactionHash(userOpHash, options) {
+    const receipt = await this.waitForUserOperationReceipt(userOpHash, options);
+
+    if (!receipt.success) {
+      throw new Error(
+        `UserOperation reverted${receipt.reason ? `: ${receipt.reason}` : ""}`
+      );
+    }
+
+    return receipt.receipt.transactionHash;
   }
 
   getSmartAccountAddress() {
@@ -141,4 +1338,19 @@ export class ZeroDevWallet {
   }
 }
 
-export const zeroDevWallet = new ZeroDevWallet();
+const wallets = new Map();
+
+// Wallet instance for a chain in the registry (one per chain, reused)
+export function getZeroDevWallet(chainId = defaultChain.chainId) {
+  const chain = getChain(chainId);
+  if (!chain) {
+    throw new Error(`Unsupported chain: ${chainId}`);
+  }
+
+  if (!wallets.has(chain.chainId)) {
+    wallets.set(chain.chainId, new ZeroDevWallet({ chain }));
+  }
+  return wallets.get(chain.chainId);
+}
+
+export const zeroDevWallet = getZeroDevWallet();
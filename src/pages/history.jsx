@@ -0,0 +1,56 @@
+import React from "react";
+import { History as HistoryIcon } from "lucide-react";
+import { LoginSection } from "@/components/login-section";
+import { AppHeader } from "@/components/app-header";
+import { TransactionHistoryTable } from "@/components/transaction-history-table";
+import { TransactionExport } from "@/components/transaction-export";
+import { Card, CardContent } from "@/components/ui/card";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useAuth } from "@/contexts/auth-context";
+
+export default function History() {
+  const { user, isLoading } = useAuth();
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main className="max-w-6xl mx-auto px-4 py-8">
+        {user ? (
+          <Card className="shadow-card">
+            <CardContent className="p-6">
+              <div className="flex items-center space-x-3 mb-6">
+                <div className="w-10 h-10 bg-primary rounded-lg flex items-center justify-center">
+                  <HistoryIcon className="text-white w-5 h-5" />
+                </div>
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Transaction History
+                  </h3>
+                  <p className="text-sm text-gray-600">
+                    Transfers and batches sent from your smart wallet
+                  </p>
+                </div>
+              </div>
+
+              <div className="space-y-6">
+                <TransactionExport />
+                <TransactionHistoryTable />
+              </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <LoginSection />
+        )}
+      </main>
+    </div>
+  );
+}
@@ -1,13 +1,12 @@
 import React from "react";
-import { Box } from "lucide-react";
 import { LoginSection } from "@/components/login-section";
 import { DashboardSection } from "@/components/dashboard-section";
 import { useAuth } from "@/contexts/auth-context";
 import { LoadingSpinner } from "@/components/ui/loading-spinner";
-import { Button } from "@/components/ui/button";
+import { AppHeader } from "@/components/app-header";
 
 export default function Home() {
-  const { user, isLoading, logout } = useAuth();
+  const { user, isLoading } = useAuth();
 
   if (isLoading) {
     return (
@@ -19,31 +18,7 @@ export default function Home() {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200">
-        <div className="max-w-6xl mx-auto px-4 py-4">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center space-x-3">
-              <div className="w-8 h-8 bg-primary rounded-lg flex items-center justify-center">
-                <Box className="text-white text-sm w-4 h-4" />
-              </div>
-              <h1 className="text-xl font-semibold text-gray-900">
-                ZeroDev dApp
-              </h1>
-            </div>
-            <div className="flex items-center gap-3">
-              <div className="text-sm text-gray-500 font-medium hidden sm:block">
-                Gasless Transactions Demo
-              </div>
-              {user && (
-                <Button variant="outline" size="sm" onClick={logout}>
-                  Logout
-                </Button>
-              )}
-            </div>
-          </div>
-        </div>
-      </header>
+      <AppHeader />
 
       {/* Main Content */}
       <main className="max-w-4xl mx-auto px-4 py-8">
@@ -0,0 +1,44 @@
+import React from "react";
+import { LoginSection } from "@/components/login-section";
+import { GuardianRequestsCard } from "@/components/guardian-requests-card";
+import { OwnerKeyCard } from "@/components/owner-key-card";
+import { PasskeysCard } from "@/components/passkeys-card";
+import { RecoveryCard } from "@/components/recovery-card";
+import { AppHeader } from "@/components/app-header";
+import { SessionKeysCard } from "@/components/session-keys-card";
+import { SpendingLimitsCard } from "@/components/spending-limits-card";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useAuth } from "@/contexts/auth-context";
+
+export default function Settings() {
+  const { user, isLoading } = useAuth();
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main className="max-w-6xl mx-auto px-4 py-8">
+        {user ? (
+          <div className="space-y-6">
+            <OwnerKeyCard />
+            <GuardianRequestsCard />
+            <PasskeysCard />
+            <RecoveryCard />
+            <SpendingLimitsCard />
+            <SessionKeysCard />
+          </div>
+        ) : (
+          <LoginSection />
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React from "react";
+import { LoginSection } from "@/components/login-section";
+import { AppHeader } from "@/components/app-header";
+import { CreateTreasuryCard } from "@/components/create-treasury-card";
+import { TreasuryCard } from "@/components/treasury-card";
+import { TreasuryProposalsCard } from "@/components/treasury-proposals-card";
+import { LoadingSpinner } from "@/components/ui/loading-spinner";
+import { useAuth } from "@/contexts/auth-context";
+import { useTreasuries } from "@/hooks/use-treasuries";
+
+function TreasuryList() {
+  const { ownerAddress, treasuries, isLoading } = useTreasuries();
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {treasuries.length > 0 && <TreasuryProposalsCard />}
+      {treasuries.map((treasury) => (
+        <TreasuryCard
+          key={treasury._id}
+          treasury={treasury}
+          ownerAddress={ownerAddress}
+        />
+      ))}
+    </>
+  );
+}
+
+export default function Treasury() {
+  const { user, isLoading } = useAuth();
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <AppHeader />
+
+      <main className="max-w-6xl mx-auto px-4 py-8">
+        {user ? (
+          <div className="space-y-6">
+            <TreasuryList />
+            <CreateTreasuryCard />
+          </div>
+        ) : (
+          <LoginSection />
+        )}
+      </main>
+    </div>
+  );
+}